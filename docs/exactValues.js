@@ -0,0 +1,722 @@
+/**
+ * Exact Values - Symbolic arithmetic for the Interactive Unit Circle
+ * Represents trig values exactly as sums of rational × (nested) radical terms,
+ * e.g. sin 15° = (√6-√2)/4 or cos 18° = √(10+2√5)/4
+ *
+ * @author Tartuke
+ * @version 1.0.0
+ */
+
+/**
+ * Greatest common divisor of two BigInts
+ * @param {bigint} a
+ * @param {bigint} b
+ * @returns {bigint} Non-negative GCD
+ */
+function bigGcd(a, b) {
+  a = a < 0n ? -a : a;
+  b = b < 0n ? -b : b;
+  while (b !== 0n) [a, b] = [b, a % b];
+  return a;
+}
+
+/**
+ * Split a positive integer into s²·t with t square-free (as far as trial
+ * division can tell; very large leftover factors are kept under the root)
+ * @param {bigint} n - Positive integer
+ * @returns {{outside: bigint, inside: bigint}} s and t with n = s²·t
+ */
+function extractSquare(n) {
+  let outside = 1n;
+  let inside = 1n;
+  let rest = n;
+  for (let p = 2n; p * p <= rest && p < 100000n; p += p === 2n ? 1n : 2n) {
+    let count = 0;
+    while (rest % p === 0n) {
+      rest /= p;
+      count++;
+    }
+    for (let i = 0; i < Math.floor(count / 2); i++) outside *= p;
+    if (count % 2 === 1) inside *= p;
+  }
+  // Whatever is left may still be a perfect square of a large prime
+  const root = bigSqrt(rest);
+  if (root * root === rest) outside *= root;
+  else inside *= rest;
+  return { outside, inside };
+}
+
+/**
+ * Integer square root (floor) of a non-negative BigInt
+ * @param {bigint} n
+ * @returns {bigint}
+ */
+function bigSqrt(n) {
+  if (n < 2n) return n;
+  let x = BigInt(Math.floor(Math.sqrt(Number(n))));
+  // Newton steps to correct floating point error for large values
+  while (x * x > n) x = (x + n / x) / 2n;
+  while ((x + 1n) * (x + 1n) <= n) x += 1n;
+  return x;
+}
+
+/**
+ * An exact fraction num/den with BigInt parts, always in lowest terms
+ * with a positive denominator
+ */
+class Rational {
+  /** @type {bigint} Numerator */
+  num;
+  /** @type {bigint} Denominator (always positive) */
+  den;
+
+  /**
+   * @param {bigint|number} num - Numerator (integer)
+   * @param {bigint|number} [den=1n] - Denominator (non-zero integer)
+   */
+  constructor(num, den = 1n) {
+    let n = BigInt(num);
+    let d = BigInt(den);
+    if (d === 0n) throw new RangeError("Rational with zero denominator");
+    if (d < 0n) {
+      n = -n;
+      d = -d;
+    }
+    const g = bigGcd(n, d) || 1n;
+    this.num = n / g;
+    this.den = d / g;
+  }
+
+  static ZERO = new Rational(0n);
+  static ONE = new Rational(1n);
+
+  add(other) {
+    return new Rational(
+      this.num * other.den + other.num * this.den,
+      this.den * other.den
+    );
+  }
+
+  sub(other) {
+    return this.add(other.neg());
+  }
+
+  mul(other) {
+    return new Rational(this.num * other.num, this.den * other.den);
+  }
+
+  div(other) {
+    return new Rational(this.num * other.den, this.den * other.num);
+  }
+
+  neg() {
+    return new Rational(-this.num, this.den);
+  }
+
+  isZero() {
+    return this.num === 0n;
+  }
+
+  /** @returns {number} -1, 0 or 1 */
+  sign() {
+    return this.num === 0n ? 0 : this.num < 0n ? -1 : 1;
+  }
+
+  /** @returns {number} Floating point approximation */
+  toNumber() {
+    return Number(this.num) / Number(this.den);
+  }
+
+  /** @returns {string} e.g. "3/4" or "-2" */
+  toString() {
+    return this.den === 1n ? `${this.num}` : `${this.num}/${this.den}`;
+  }
+}
+
+/**
+ * An exact real number written as a sum of terms coef·√radicand, where each
+ * radicand is itself an ExactValue (so radicals can nest) or null for 1.
+ * Terms are kept merged and sorted so equal values built the same way
+ * compare equal by key.
+ */
+class ExactValue {
+  /** @type {Array<{coef: Rational, radicand: ExactValue|null}>} Terms of the sum */
+  terms = [];
+  /** @type {string|null} Memoized canonical key */
+  #key = null;
+
+  /**
+   * @param {Array<{coef: Rational, radicand: ExactValue|null}>} [terms=[]]
+   */
+  constructor(terms = []) {
+    // Merge terms that share a radicand and drop zeros
+    const merged = new Map();
+    for (const term of terms) {
+      const key = term.radicand ? term.radicand.key() : "";
+      const existing = merged.get(key);
+      merged.set(key, {
+        coef: existing ? existing.coef.add(term.coef) : term.coef,
+        radicand: term.radicand,
+      });
+    }
+    this.terms = [...merged.entries()]
+      .filter(([, term]) => !term.coef.isZero())
+      .sort(([a], [b]) => ExactValue.compareKeys(a, b))
+      .map(([, term]) => term);
+  }
+
+  /**
+   * Order radicand keys: rational part first, then simple radicals from
+   * largest to smallest (so "√6+√2"), then nested radicals
+   */
+  static compareKeys(a, b) {
+    if (a === b) return 0;
+    if (a === "") return -1;
+    if (b === "") return 1;
+    const aNested = a.includes("√");
+    const bNested = b.includes("√");
+    if (aNested !== bNested) return aNested ? 1 : -1;
+    if (!aNested) {
+      const diff = Number(b.split("*")[0]) - Number(a.split("*")[0]);
+      if (diff !== 0) return diff;
+    }
+    return a.length - b.length || (a < b ? -1 : 1);
+  }
+
+  /**
+   * Create a rational ExactValue
+   * @param {bigint|number} num - Numerator
+   * @param {bigint|number} [den=1n] - Denominator
+   * @returns {ExactValue}
+   */
+  static rational(num, den = 1n) {
+    return ExactValue.fromRational(new Rational(num, den));
+  }
+
+  /**
+   * @param {Rational} value
+   * @returns {ExactValue}
+   */
+  static fromRational(value) {
+    return new ExactValue([{ coef: value, radicand: null }]);
+  }
+
+  /**
+   * Exact square root, simplified by pulling out square factors and
+   * denesting √(a+b√n) into √x ± √y when possible
+   * @param {ExactValue} value - Non-negative value
+   * @returns {ExactValue}
+   */
+  static sqrt(value) {
+    if (value.isZero()) return value;
+    if (value.toNumber() < -1e-12) {
+      throw new RangeError("Square root of a negative value");
+    }
+
+    if (value.isRational()) {
+      // √(a/b) = √(ab)/b, then split ab into s²·t
+      const r = value.rationalPart();
+      const { outside, inside } = extractSquare(r.num * r.den);
+      const coef = new Rational(outside, r.den);
+      if (inside === 1n) return ExactValue.fromRational(coef);
+      return new ExactValue([{ coef, radicand: ExactValue.rational(inside) }]);
+    }
+
+    // Factor out the rational content so the radicand has coprime integers
+    const content = value.content();
+    const reduced = value.scale(Rational.ONE.div(content));
+
+    const denested = ExactValue.denest(reduced);
+    if (denested)
+      return ExactValue.sqrt(ExactValue.fromRational(content)).mul(denested);
+
+    // √c = s·√t, so √(c·R) = s·√(t·R) keeps a single nested radical
+    const { outside, inside } = extractSquare(content.num * content.den);
+    return new ExactValue([
+      {
+        coef: new Rational(outside, content.den),
+        radicand: reduced.scale(new Rational(inside)),
+      },
+    ]);
+  }
+
+  /**
+   * Try to write √(a + b√n) as √x ± √y with rational x, y
+   * @param {ExactValue} value - Radicand with integer coefficients
+   * @returns {ExactValue|null} Denested root or null when it does not denest
+   */
+  static denest(value) {
+    if (value.terms.length !== 2) return null;
+    const [rationalTerm, radicalTerm] = value.terms;
+    if (rationalTerm.radicand !== null) return null;
+    if (!radicalTerm.radicand.isRational()) return null;
+    const a = rationalTerm.coef;
+    const b = radicalTerm.coef;
+    const n = radicalTerm.radicand.rationalPart();
+    const discriminant = a.mul(a).sub(b.mul(b).mul(n));
+    if (discriminant.sign() < 0) return null;
+    const root = ExactValue.sqrt(ExactValue.fromRational(discriminant));
+    if (!root.isRational()) return null;
+    const d = root.rationalPart();
+    const two = new Rational(2n);
+    const x = a.add(d).div(two);
+    const y = a.sub(d).div(two);
+    if (x.sign() < 0 || y.sign() < 0) return null;
+    const sqrtX = ExactValue.sqrt(ExactValue.fromRational(x));
+    const sqrtY = ExactValue.sqrt(ExactValue.fromRational(y));
+    return b.sign() > 0 ? sqrtX.add(sqrtY) : sqrtX.sub(sqrtY);
+  }
+
+  /** @returns {string} Canonical key used to match equal radicands */
+  key() {
+    if (this.#key === null) {
+      this.#key = this.terms
+        .map((t) => `${t.coef}*${t.radicand ? `√[${t.radicand.key()}]` : ""}`)
+        .join("+");
+    }
+    return this.#key;
+  }
+
+  isZero() {
+    return this.terms.length === 0;
+  }
+
+  isRational() {
+    return this.terms.every((t) => t.radicand === null);
+  }
+
+  /** @returns {Rational} The rational (radical-free) part */
+  rationalPart() {
+    const term = this.terms.find((t) => t.radicand === null);
+    return term ? term.coef : Rational.ZERO;
+  }
+
+  /** @returns {Rational} Positive rational c with this = c·(integer-coefficient sum) */
+  content() {
+    let numGcd = 0n;
+    let denLcm = 1n;
+    for (const { coef } of this.terms) {
+      numGcd = bigGcd(numGcd, coef.num);
+      denLcm = (denLcm * coef.den) / bigGcd(denLcm, coef.den);
+    }
+    return new Rational(numGcd, denLcm);
+  }
+
+  /** @returns {number} Floating point approximation */
+  toNumber() {
+    return this.terms.reduce(
+      (sum, t) =>
+        sum +
+        t.coef.toNumber() * (t.radicand ? Math.sqrt(t.radicand.toNumber()) : 1),
+      0
+    );
+  }
+
+  add(other) {
+    return new ExactValue([...this.terms, ...other.terms]);
+  }
+
+  sub(other) {
+    return this.add(other.neg());
+  }
+
+  neg() {
+    return this.scale(new Rational(-1n));
+  }
+
+  /**
+   * Multiply by a rational
+   * @param {Rational} factor
+   * @returns {ExactValue}
+   */
+  scale(factor) {
+    return new ExactValue(
+      this.terms.map((t) => ({
+        coef: t.coef.mul(factor),
+        radicand: t.radicand,
+      }))
+    );
+  }
+
+  /**
+   * Multiply two exact values, combining radicals as √A·√B = √(AB)
+   * @param {ExactValue} other
+   * @returns {ExactValue}
+   */
+  mul(other) {
+    let result = new ExactValue();
+    for (const a of this.terms) {
+      for (const b of other.terms) {
+        const coef = a.coef.mul(b.coef);
+        let product;
+        if (a.radicand === null || b.radicand === null) {
+          product = new ExactValue([
+            { coef, radicand: a.radicand || b.radicand },
+          ]);
+        } else if (a.radicand.key() === b.radicand.key()) {
+          product = a.radicand.scale(coef); // √R·√R = R
+        } else {
+          product = ExactValue.sqrt(a.radicand.mul(b.radicand)).scale(coef);
+        }
+        result = result.add(product);
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Reciprocal with a rationalized denominator, found by repeatedly
+   * multiplying by conjugates until the denominator is rational
+   * @param {number} [maxTerms=Infinity] - Give up once the numerator grows
+   *   past this many terms
+   * @returns {ExactValue|null} 1/this, or null if zero or it cannot be
+   *   rationalized (within maxTerms)
+   */
+  inverse(maxTerms = Infinity) {
+    if (this.isZero()) return null;
+    let numerator = ExactValue.rational(1n);
+    let denominator = this;
+    for (let i = 0; i < 12 && !denominator.isRational(); i++) {
+      // Eliminate the most deeply nested radical term first
+      const radicalTerms = denominator.terms.filter((t) => t.radicand !== null);
+      const target = radicalTerms[radicalTerms.length - 1];
+      const conjugate = new ExactValue(
+        denominator.terms.map((t) =>
+          t === target ? { coef: t.coef.neg(), radicand: t.radicand } : t
+        )
+      );
+      numerator = numerator.mul(conjugate);
+      if (numerator.terms.length > maxTerms) return null;
+      denominator = denominator.mul(conjugate);
+      if (denominator.isZero()) return null;
+    }
+    if (!denominator.isRational()) return null;
+    return numerator.scale(Rational.ONE.div(denominator.rationalPart()));
+  }
+
+  /**
+   * @param {ExactValue} other - Non-zero divisor
+   * @param {number} [maxTerms=Infinity] - See inverse
+   * @returns {ExactValue|null} Quotient, or null if it cannot be rationalized
+   */
+  div(other, maxTerms = Infinity) {
+    const inverse = other.inverse(maxTerms);
+    return inverse ? this.mul(inverse) : null;
+  }
+
+  /**
+   * Format over a common denominator, e.g. "(√6-√2)/4", "√2-1", "-√3/2",
+   * "√(10+2√5)/4"
+   * @returns {string}
+   */
+  toString() {
+    if (this.isZero()) return "0";
+    let denominator = 1n;
+    for (const { coef } of this.terms) {
+      denominator = (denominator * coef.den) / bigGcd(denominator, coef.den);
+    }
+    const parts = this.terms.map((t) => ({
+      numerator: (t.coef.num * denominator) / t.coef.den,
+      radicand: t.radicand,
+    }));
+
+    // Factor out a minus sign only when every term is negative and there is
+    // a denominator to attach it to, e.g. "-(√6+√2)/4"
+    const allNegative = parts.every((p) => p.numerator < 0n);
+    const factorSign =
+      allNegative && (denominator !== 1n || parts.length === 1);
+    if (factorSign) parts.forEach((p) => (p.numerator = -p.numerator));
+    // Positive terms read first: "√2-1" rather than "-1+√2"
+    parts.sort((a, b) => (b.numerator > 0n) - (a.numerator > 0n));
+
+    const body = parts
+      .map((p, i) => {
+        const negative = p.numerator < 0n;
+        const magnitude = negative ? -p.numerator : p.numerator;
+        let text;
+        if (p.radicand === null) text = `${magnitude}`;
+        else {
+          const root = ExactValue.formatRadical(p.radicand);
+          text = magnitude === 1n ? root : `${magnitude}${root}`;
+        }
+        if (i === 0) return negative ? `-${text}` : text;
+        return negative ? `-${text}` : `+${text}`;
+      })
+      .join("");
+
+    const sign = factorSign ? "-" : "";
+    if (denominator === 1n) return `${sign}${body}`;
+    if (parts.length === 1) return `${sign}${body}/${denominator}`;
+    return `${sign}(${body})/${denominator}`;
+  }
+
+  /**
+   * @param {ExactValue} radicand
+   * @returns {string} "√3" or "√(2+√2)"
+   */
+  static formatRadical(radicand) {
+    const inner = radicand.toString();
+    return radicand.isRational() ? `√${inner}` : `√(${inner})`;
+  }
+
+  /**
+   * The unrationalized reciprocal form students often see first, e.g.
+   * "1/√3" for √3/3 or "2/√3" for 2√3/3
+   * @returns {string|null} Alternate form, or null if the value has no radical denominator
+   */
+  alternateForm() {
+    if (this.terms.length !== 1) return null;
+    const { coef, radicand } = this.terms[0];
+    if (radicand === null || !radicand.isRational()) return null;
+    if (coef.den === 1n) return null; // Nothing was rationalized
+    // (a/b)·√n = (a·n/b)/√n, worth showing only when a·n/b is a whole number
+    const n = radicand.rationalPart();
+    const numerator = coef.mul(n);
+    if (numerator.den !== 1n) return null;
+    return `${numerator}/${ExactValue.formatRadical(radicand)}`;
+  }
+
+  /**
+   * Tidy sums of radicals that share a nested core: Σ aᵢ√(tᵢ·R) = A·√R is
+   * rewritten as ±√(A²·R) when that is shorter, e.g.
+   * 2√(2-√2)+√(4-2√2) becomes √(4+2√2)
+   * @returns {ExactValue}
+   */
+  simplify() {
+    const groups = new Map();
+    const rest = [];
+    for (const term of this.terms) {
+      if (term.radicand === null || term.radicand.isRational()) {
+        rest.push(term);
+        continue;
+      }
+      // Split the radicand into its rational content t and nested core R
+      const content = term.radicand.content();
+      const core = term.radicand.scale(Rational.ONE.div(content));
+      const key = core.key();
+      if (!groups.has(key))
+        groups.set(key, { core, factor: new ExactValue(), terms: [] });
+      const group = groups.get(key);
+      group.factor = group.factor.add(
+        ExactValue.sqrt(ExactValue.fromRational(content)).scale(term.coef)
+      );
+      group.terms.push(term);
+    }
+
+    let result = new ExactValue(rest);
+    for (const { core, factor, terms } of groups.values()) {
+      const original = new ExactValue(terms);
+      let best = original;
+      if (terms.length > 1 && !factor.isZero()) {
+        const absorbed = ExactValue.sqrt(factor.mul(factor).mul(core));
+        const candidate = factor.toNumber() < 0 ? absorbed.neg() : absorbed;
+        if (candidate.toString().length < original.toString().length) {
+          best = candidate;
+        }
+      }
+      result = result.add(best);
+    }
+    return result;
+  }
+}
+
+/**
+ * Exact trigonometric values for rational multiples of π, built from
+ * cos(π/3), cos(π/4), cos(π/5) with symmetry, half-angle and angle-sum
+ * identities. Angles whose values need cube roots or worse (e.g. π/7, π/9)
+ * have no exact form here.
+ */
+class ExactTrig {
+  /** @type {number} Largest denominator of π tried when matching an angle */
+  static maxDenominator = 120;
+
+  /** @type {number} Most terms a reciprocal may reach while it is
+   * rationalized. This bounds the work, not the length: forms past it take
+   * up to a second to build and run to thousands of characters, but some
+   * within it, such as csc(π/16), are still too long to display. */
+  static maxReciprocalTerms = 4;
+
+  /** @type {Map<string, {cos: ExactValue, sin: ExactValue}|null>} Memoized results */
+  static cache = new Map();
+  /** @type {Map<string, Object|null>} Memoized results of values */
+  static valuesCache = new Map();
+
+  /**
+   * Reduce (numerator/denominator)·π to lowest terms in [0, 2π)
+   * @param {number} numerator - Integer numerator
+   * @param {number} denominator - Positive integer denominator
+   * @returns {{n: number, d: number, key: string}} The reduced fraction and
+   *   its cache key
+   */
+  static normalize(numerator, denominator) {
+    const g = ExactTrig.gcd(numerator, denominator);
+    const d = denominator / g;
+    const n = (((numerator / g) % (2 * d)) + 2 * d) % (2 * d);
+    return { n, d, key: `${n}/${d}` };
+  }
+
+  /**
+   * Exact cos and sin of (numerator/denominator)·π
+   * @param {number} numerator - Integer numerator
+   * @param {number} denominator - Positive integer denominator
+   * @returns {{cos: ExactValue, sin: ExactValue}|null} Exact values or null
+   */
+  static cosSin(numerator, denominator) {
+    const { n, d, key } = ExactTrig.normalize(numerator, denominator);
+    if (ExactTrig.cache.has(key)) return ExactTrig.cache.get(key);
+
+    let result = ExactTrig.reduce(n, d);
+    if (result) {
+      // Guard against any simplification slip
+      const angle = (n * Math.PI) / d;
+      const ok =
+        Math.abs(result.cos.toNumber() - Math.cos(angle)) < 1e-9 &&
+        Math.abs(result.sin.toNumber() - Math.sin(angle)) < 1e-9;
+      if (!ok) result = null;
+    }
+    ExactTrig.cache.set(key, result);
+    return result;
+  }
+
+  /**
+   * Reduce nπ/d in [0, 2π) to the first octant using symmetry
+   * @returns {{cos: ExactValue, sin: ExactValue}|null}
+   */
+  static reduce(n, d) {
+    if (2 * n > 2 * d) {
+      // θ = π + φ
+      const r = ExactTrig.cosSin(n - d, d);
+      return r && { cos: r.cos.neg(), sin: r.sin.neg() };
+    }
+    if (2 * n > d) {
+      // θ = π - φ
+      const r = ExactTrig.cosSin(d - n, d);
+      return r && { cos: r.cos.neg(), sin: r.sin };
+    }
+    if (4 * n > d) {
+      // θ = π/2 - φ swaps sine and cosine
+      const r = ExactTrig.cosSin(d - 2 * n, 2 * d);
+      return r && { cos: r.sin, sin: r.cos };
+    }
+    return ExactTrig.firstOctant(n, d);
+  }
+
+  /**
+   * Exact values for 0 ≤ nπ/d ≤ π/4 (fraction in lowest terms)
+   * @returns {{cos: ExactValue, sin: ExactValue}|null}
+   */
+  static firstOctant(n, d) {
+    const half = ExactValue.rational(1n, 2n);
+    if (n === 0) {
+      return { cos: ExactValue.rational(1n), sin: ExactValue.rational(0n) };
+    }
+    if (d === 4) {
+      const root = ExactValue.sqrt(half);
+      return { cos: root, sin: root };
+    }
+    if (d === 6) {
+      return {
+        cos: ExactValue.sqrt(ExactValue.rational(3n, 4n)),
+        sin: half,
+      };
+    }
+    if (d === 5) {
+      // cos(π/5) = (1+√5)/4
+      const cos = ExactValue.rational(1n, 4n).add(
+        ExactValue.sqrt(ExactValue.rational(5n, 16n))
+      );
+      return {
+        cos,
+        sin: ExactValue.sqrt(ExactValue.rational(1n).sub(cos.mul(cos))),
+      };
+    }
+    if (d > ExactTrig.maxDenominator) return null;
+    if (d % 2 === 0) {
+      // Half-angle: cos(θ/2) = √((1+cos θ)/2), sin(θ/2) = √((1-cos θ)/2)
+      const whole = ExactTrig.cosSin(n, d / 2);
+      if (!whole) return null;
+      const one = ExactValue.rational(1n);
+      return {
+        cos: ExactValue.sqrt(one.add(whole.cos).mul(half)),
+        sin: ExactValue.sqrt(one.sub(whole.cos).mul(half)),
+      };
+    }
+    if (d === 15) {
+      // n/15 = a/3 + b/5, then use the angle-sum identities
+      const a = [0, 1, 2].find((k) => (n - 5 * k) % 3 === 0);
+      const b = (n - 5 * a) / 3;
+      const first = ExactTrig.cosSin(a, 3);
+      const second = ExactTrig.cosSin(b, 5);
+      if (!first || !second) return null;
+      return {
+        cos: first.cos.mul(second.cos).sub(first.sin.mul(second.sin)),
+        sin: first.sin.mul(second.cos).add(first.cos.mul(second.sin)),
+      };
+    }
+    return null;
+  }
+
+  /**
+   * All six exact trig values. Reciprocal functions are null where
+   * undefined, and left undefined where rationalizing them would pass
+   * maxReciprocalTerms terms, e.g. tan(π/60). Callers still need to
+   * shorten long forms for display.
+   * @param {number} numerator - Integer numerator of the multiple of π
+   * @param {number} denominator - Positive integer denominator
+   * @returns {{sin: ExactValue, cos: ExactValue, tan: ExactValue|null|undefined, csc: ExactValue|null|undefined, sec: ExactValue|null|undefined, cot: ExactValue|null|undefined}|null}
+   */
+  static values(numerator, denominator) {
+    const { key } = ExactTrig.normalize(numerator, denominator);
+    if (ExactTrig.valuesCache.has(key)) return ExactTrig.valuesCache.get(key);
+
+    const base = ExactTrig.cosSin(numerator, denominator);
+    let result = null;
+    if (base) {
+      const { cos, sin } = base;
+      const maxTerms = ExactTrig.maxReciprocalTerms;
+      const tidy = (value) => (value ? value.simplify() : undefined);
+      result = {
+        sin,
+        cos,
+        tan: cos.isZero() ? null : tidy(sin.div(cos, maxTerms)),
+        csc: sin.isZero() ? null : tidy(sin.inverse(maxTerms)),
+        sec: cos.isZero() ? null : tidy(cos.inverse(maxTerms)),
+        cot: sin.isZero() ? null : tidy(cos.div(sin, maxTerms)),
+      };
+    }
+    ExactTrig.valuesCache.set(key, result);
+    return result;
+  }
+
+  /**
+   * Recognize an angle as a rational multiple of π (by default only one
+   * with an exact form)
+   * @param {number} radians - Angle in radians
+   * @param {number} [tolerance=1e-9] - Allowed floating point error
+   * @param {boolean} [requireExact=true] - Only match angles with exact trig values
+   * @returns {{numerator: number, denominator: number}|null}
+   */
+  static matchPiFraction(radians, tolerance = 1e-9, requireExact = true) {
+    const ratio = radians / Math.PI;
+    for (let d = 1; d <= ExactTrig.maxDenominator; d++) {
+      const n = Math.round(ratio * d);
+      if (Math.abs(ratio * d - n) < tolerance * d) {
+        if (requireExact && !ExactTrig.cosSin(n, d)) return null;
+        return { numerator: n, denominator: d };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * @param {number} a
+   * @param {number} b
+   * @returns {number} Positive GCD of two integers
+   */
+  static gcd(a, b) {
+    a = Math.abs(a);
+    b = Math.abs(b);
+    while (b) [a, b] = [b, a % b];
+    return a || 1;
+  }
+}
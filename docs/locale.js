@@ -0,0 +1,739 @@
+/**
+ * Locale - Translations and number formatting for the Interactive Unit Circle
+ * Holds a catalogue of interface text per language, the local names of the
+ * trig functions (e.g. "sen" for sin in Spanish) and formats decimals with
+ * the language's decimal separator
+ *
+ * @author Tartuke
+ * @version 1.0.0
+ */
+
+class Locale {
+  /**
+   * Catalogues by language code. Each has the language's own name, local
+   * trig function names and messages; a message may use {placeholders}.
+   * Messages missing from a catalogue fall back to English.
+   * @type {Object<string, {name: string, functions: Object<string, string>, messages: Object<string, string>}>}
+   */
+  static catalogues = {
+    en: {
+      name: "English",
+      functions: {},
+      messages: {
+        "page.title": "Interactive Unit Circle - Algebra 2 Learning Tool",
+        "page.heading": "Interactive Unit Circle",
+        "page.subtitle":
+          "Explore angles, coordinates, and trigonometric functions",
+        "canvas.label": "Unit circle",
+        "canvas.instructions":
+          "Use the arrow keys to move to the next special angle, or hold Shift to move one degree at a time. Press Enter to pin the angle, Tab to move between pins, Delete to remove the selected pin and Escape to clear the selection. With two angles shown, press A or B to choose which angle to move. Press + or - to zoom and 0 to reset the view.",
+
+        "info.heading": "Angle Information",
+        "info.angle": "Angle (θ):",
+        "info.coordinates": "Coordinates:",
+        "info.samePoint": "Same point:",
+        "info.trigValues": "Trigonometric Values",
+        "info.sin": "sin(θ):",
+        "info.cos": "cos(θ):",
+        "info.tan": "tan(θ):",
+        "info.csc": "csc(θ):",
+        "info.sec": "sec(θ):",
+        "info.cot": "cot(θ):",
+        "info.identities": "Sum & Difference Identities",
+        "info.equation": "Equation",
+        "info.generalSolution": "General solution:",
+        "info.referenceAngle": "Reference Angle:",
+        "info.quadrant": "Quadrant:",
+        "info.coterminal": "Coterminal:",
+        "value.undefined": "undefined",
+        "quadrant.xAxis": "X-Axis",
+        "quadrant.yAxis": "Y-Axis",
+        "measure.grad": "grad",
+        "measure.turn": "turn",
+        "measure.turns": "turns",
+
+        "controls.heading": "Controls & Settings",
+        "common.go": "Go",
+        "common.pin": "Pin",
+        "common.solve": "Solve",
+        "common.clear": "Clear",
+        "angleInput.heading": "Enter an Angle",
+        "angleInput.placeholder": "e.g. 7π/6, 210°, 1.2 rad",
+        "angleInput.label": "Angle",
+        "angleInput.unexpected": 'Unexpected "{token}"',
+        "angleInput.enterAngle": "Enter an angle",
+        "angleInput.divisionByZero": "Division by zero",
+        "angleInput.expectedNumber": 'Expected a number after "{token}"',
+        "angleInput.negativeRoot": "Square root of a negative number",
+        "angleInput.missingParenthesis": 'Missing ")"',
+        "angleInput.notFinite": "That is not a finite number",
+        "angleInput.mixedUnits":
+          "Give the plain numbers a unit when adding them to π, e.g. π/3 + 30°",
+
+        "equation.heading": "Solve an Equation",
+        "equation.placeholder": "e.g. 2 sin θ + 1 = 0, cos 2θ = 1/2",
+        "equation.label": "Equation",
+        "equation.from": "From",
+        "equation.to": "to",
+        "equation.solve": "Solve & Pin",
+        "equation.clear": "Clear Equation",
+        "equation.singleEquals":
+          'Write one equation with a single "=", e.g. 2 sin θ + 1 = 0',
+        "equation.includeFunction":
+          "Include sin, cos or tan of θ, e.g. 2 sin θ + 1 = 0",
+        "equation.oneFunction":
+          "Use only one trig function of one angle, e.g. sin 2θ",
+        "equation.argumentNotLinear":
+          "The angle inside {fn} must be linear, e.g. 2 sin θ + 1 = 0",
+        "equation.notLinear":
+          "The equation must be linear, e.g. 2 sin θ + 1 = 0",
+        "equation.dividesByFunction":
+          "Dividing by {fn} isn't supported; solve for {fn} first, e.g. {fn} θ = 1/2",
+        "equation.noTheta": "The angle inside {fn} has no θ",
+        "equation.termsCancel": "The {fn} terms cancel out",
+        "equation.tooManySolutions":
+          "Too many solutions to pin; use a shorter interval",
+        "equation.emptyInterval": "The interval must end after it starts",
+        "equation.outOfRange": "No solutions: {fn} is always between -1 and 1",
+        "equation.solutionsIn": "In {interval}: θ = {solutions}",
+        "equation.noSolutionsIn": "No solutions in {interval}",
+
+        "inverse.heading": "Inverse Trig",
+        "inverse.function": "Function",
+        "inverse.sin": "sin θ =",
+        "inverse.cos": "cos θ =",
+        "inverse.tan": "tan θ =",
+        "inverse.placeholder": "k, e.g. -1/2",
+        "inverse.value": "Value k",
+        "inverse.enterNumber": "Enter a number for k, e.g. 1/2, -√3/2 or 0.3",
+        "inverse.noSolutions":
+          "{fn} θ = {k} has no solutions: {fn} θ is always between -1 and 1.",
+        "inverse.allSolutions":
+          "All solutions of {fn} θ = {k} in {interval}: {solutions}",
+        "inverse.principal":
+          "Principal value: {inverse}({k}) = {angle}, the only answer in {range}",
+
+        "pins.clear": "Clear Pinned Angles",
+        "pins.heading": "Pinned Angles",
+        "pins.empty": "No angles pinned yet",
+        "pins.name": "Name",
+        "pins.namePlaceholder": "e.g. angle of elevation",
+        "pins.color": "Color",
+        "pins.note": "Note",
+        "pins.exportJson": "Export JSON",
+        "pins.exportCsv": "Export CSV",
+        "pins.import": "Import pins (JSON)",
+        "pins.expectedArray":
+          'Expected an array of pins, e.g. {"pins": [{"angle": "3pi/4", "name": "A"}]}',
+        "pins.entryNotObject": "Entry {index} ({entry}) is not a pin object",
+        "pins.entryNoAngle":
+          'Entry {index} has no readable angle ({angle}); use "angle": "3pi/4" or "degrees": 135',
+        "pins.entryNotText": 'Entry {index} has a "{field}" that is not text',
+        "pins.entryBadColor":
+          'Entry {index} has color {color}; use a hex color like "#27ae60"',
+        "json.unreadable": "Could not read JSON: {message}",
+
+        "view.heading": "View",
+        "view.note":
+          "Zoom with the wheel, a pinch or the + and - keys; drag the background (or Shift-drag) to pan. Zoom:",
+        "view.zoomOut": "Zoom out",
+        "view.zoomIn": "Zoom in",
+        "view.reset": "Reset view",
+
+        "export.heading": "Export Diagram",
+        "export.png": "Download PNG",
+        "export.svg": "Download SVG",
+
+        "worksheet.heading": "Printable Worksheet",
+        "worksheet.blankFields": "Leave these fields blank:",
+        "worksheet.degrees": "Degrees",
+        "worksheet.radians": "Radians",
+        "worksheet.coordinates": "Coordinates",
+        "worksheet.mode": "Which labels are blank",
+        "worksheet.modeAll": "Blank at every angle",
+        "worksheet.modeRandom": "One random blank per angle",
+        "worksheet.copies": "Copies",
+        "worksheet.answerKey": "Include answer key",
+        "worksheet.print": "Print Worksheet",
+        "worksheet.noFields": "Choose at least one field to leave blank",
+        "worksheet.copiesRange":
+          "Number of copies must be a whole number from 1 to 50",
+        "worksheet.nameLine": "Name: ______________________   Date: __________",
+        "worksheet.title": "Unit Circle Practice",
+        "worksheet.copyTitle": "Unit Circle Practice ({copy} of {copies})",
+        "worksheet.answerKeyTitle": "Answer Key",
+
+        "workspace.heading": "Workspace",
+        "workspace.namePlaceholder": "New workspace name",
+        "workspace.saveAsNew": "Save As New",
+        "workspace.delete": "Delete Workspace",
+        "workspace.default": "Default",
+        "workspace.sharedLink": "Shared link",
+        "workspace.enterName": "Enter a name for the workspace",
+        "workspace.exists": 'A workspace named "{name}" already exists',
+
+        "playback.heading": "Playback",
+        "playback.stepBack": "Step back",
+        "playback.play": "Play",
+        "playback.pause": "Pause",
+        "playback.stepForward": "Step forward",
+        "playback.speed": "Speed",
+        "playback.speedUnit": "Speed unit",
+        "playback.degreesPerSecond": "deg/s",
+        "playback.trace": "Leave a Fading Trace",
+        "playback.pauseAtSpecialAngles": "Pause on Each Special Angle",
+        "playback.loop": "Loop (otherwise stop after one turn)",
+
+        "quiz.heading": "Practice Quiz",
+        "quiz.start": "Start Quiz",
+        "quiz.startNew": "Start New Quiz",
+        "quiz.check": "Check",
+        "quiz.next": "Next Question",
+        "quiz.seeSummary": "See Summary",
+        "quiz.end": "End Quiz",
+        "quiz.coordinatesPrompt": "What are the coordinates of {angle}?",
+        "quiz.conditionPrompt": "Where is {condition}?",
+        "quiz.and": "{first} and {second}",
+        "quiz.anySolution": "{prompt} (any solution)",
+        "quiz.clickPrompt": "Click the angle {angle}",
+        "quiz.coordinatesPlaceholder": "e.g. (1/2, -√3/2)",
+        "quiz.anglePlaceholder": "Click the circle or type e.g. 5π/4 or 225",
+        "quiz.unreadable": "{message} - try 5π/4 or 225",
+        "quiz.typeCoordinates": "Type the coordinates, e.g. (1/2, -√3/2)",
+        "quiz.coordinatesAt": "{coordinates} at {degrees}°",
+        "quiz.or": "{first} or {second}",
+        "quiz.correct": "Correct! {solution} ({seconds} s)",
+        "quiz.incorrect": "Not quite - the answer is {solution}",
+        "quiz.stats":
+          "Score: {correct}/{answered} · Streak: {streak} (best {bestStreak})",
+        "quiz.summary": "Quiz Summary",
+        "quiz.noAnswers": "No questions answered.",
+        "quiz.score": "Score: {correct}/{answered} ({percent}%)",
+        "quiz.bestStreak": "Best streak: {bestStreak}",
+        "quiz.responseTime":
+          "Average response time: {average} s (fastest {fastest} s)",
+        "quiz.onAxis": "On an axis",
+        "quiz.quadrant": "Quadrant {quadrant}",
+        "quiz.groupScore": "{group}: {correct}/{total} ({percent}%)",
+
+        "angleSet.heading": "Special Angle Set",
+        "angleSet.standard": "Standard (30°, 45°, 60° families)",
+        "angleSet.fifteen": "Multiples of 15°",
+        "angleSet.eighteen": "Multiples of 18° (golden ratio)",
+        "angleSet.piOverEight": "Multiples of π/8",
+        "angleSet.custom": "Custom (load JSON)…",
+        "angleSet.expectedArray":
+          'Expected a non-empty array of angles in degrees, e.g. [0, 36, 72] or {"degrees": [0, 36, 72]}',
+        "angleSet.entryNotNumber":
+          "Entry {index} ({entry}) is not a number of degrees",
+
+        "labels.heading": "Static Labels",
+        "labels.degrees": "Show Special Angle Degrees",
+        "labels.radians": "Show Special Angle Radians",
+        "labels.coordinates": "Show Special Angle Coordinates",
+
+        "helpers.heading": "Dynamic Helpers",
+        "helpers.refTriangle": "Show Reference Triangle",
+        "helpers.snap": "Snap to Special Angles",
+        "helpers.angleArcs": "Show Angle Arcs (θ & θ')",
+        "helpers.waveGraph": "Show Sine/Cosine Graph",
+        "helpers.trigSegments": "Show All Six Trig Segments",
+        "helpers.winding": "Track Full Rotations (Winding)",
+        "helpers.polar": "Polar Coordinates (r, θ)",
+        "helpers.complexPlane": "Complex Plane (Re/Im)",
+        "helpers.twoAngles": "Two Angles (α and β)",
+
+        "polar.negativeR": "Negative r",
+        "polar.placeholder": "(r, θ), e.g. (-2, π/4)",
+        "polar.label": "Polar point (r, θ)",
+        "polar.enterPair": "Enter r and θ separated by a comma, e.g. (-2, π/4)",
+        "polar.notNumber": '"{text}" is not a number for r',
+        "polar.outOfRange": "r must be between -{max} and {max}",
+        "polar.anyAngle": "{point} for any θ",
+        "polar.inGeneral": "{alternatives}; in general {first} or {second}",
+
+        "complex.multiplyPin": "Pin to multiply by",
+        "complex.multiply": "Multiply z by w",
+        "complex.rootsOfUnity": "Roots of Unity, n =",
+
+        "twoAngles.select": "Angle to move",
+        "twoAngles.moveAlpha": "Move α",
+        "twoAngles.moveBeta": "Move β",
+
+        "infoOptions.heading": "Info Panel Options",
+        "angleUnit.label": "Angle unit",
+        "angleUnit.degrees": "Degrees (210.5°)",
+        "angleUnit.dms": "Degrees, minutes, seconds (210°30′0″)",
+        "angleUnit.gradians": "Gradians (400 per turn)",
+        "angleUnit.turns": "Turns (7/12 turn)",
+        "angleUnit.radians": "Radians as multiples of π",
+        "angleUnit.radiansDecimal": "Radians as decimals",
+        "infoOptions.extraTrig": "Show csc, sec, cot",
+        "infoOptions.refAngle": "Show Reference Angle",
+        "infoOptions.quadrant": "Show Quadrant",
+
+        "theme.heading": "Theme",
+        "theme.colors": "Colors",
+        "theme.auto": "Match system (light or dark)",
+        "theme.light": "Light",
+        "theme.dark": "Dark",
+        "theme.highContrast": "High contrast",
+        "theme.colorblind": "Color-blind safe",
+
+        "language.heading": "Language",
+
+        "describe.angle":
+          "{degrees} degrees, {radians} radians. Coordinates {coordinates}. {trigValues}.",
+        "spoken.squareRootOf": "square root of",
+        "spoken.root": "root",
+        "spoken.pi": "pi",
+        "spoken.approximately": "approximately",
+        "spoken.over": "over",
+        "spoken.minus": "minus",
+        "announce.pinned": "Pinned {angle}",
+        "announce.pinDeleted": "Pin deleted. {count} pins left",
+        "announce.pin": "Pin {index} of {count}",
+        "announce.note": "Note: {note}",
+        "announce.moving": "Moving {symbol}: {angle}",
+        "announce.zoom": "Zoom {zoom}",
+        "announce.viewReset": "View reset",
+        "announce.selectionCleared": "Selection cleared",
+        "announce.product": "z times w: {angle}",
+      },
+    },
+    es: {
+      name: "Español",
+      functions: { sin: "sen" },
+      messages: {
+        "page.title":
+          "Círculo unitario interactivo - Herramienta de aprendizaje de Álgebra 2",
+        "page.heading": "Círculo unitario interactivo",
+        "page.subtitle":
+          "Explora ángulos, coordenadas y funciones trigonométricas",
+        "canvas.label": "Círculo unitario",
+        "canvas.instructions":
+          "Usa las flechas para ir al siguiente ángulo notable, o mantén Mayús para moverte de grado en grado. Pulsa Intro para fijar el ángulo, Tab para moverte entre los ángulos fijados, Supr para quitar el seleccionado y Esc para quitar la selección. Con dos ángulos, pulsa A o B para elegir cuál mover. Pulsa + o - para ampliar o reducir y 0 para restablecer la vista.",
+
+        "info.heading": "Información del ángulo",
+        "info.angle": "Ángulo (θ):",
+        "info.coordinates": "Coordenadas:",
+        "info.samePoint": "Mismo punto:",
+        "info.trigValues": "Valores trigonométricos",
+        "info.sin": "sen(θ):",
+        "info.identities": "Identidades de suma y diferencia",
+        "info.equation": "Ecuación",
+        "info.generalSolution": "Solución general:",
+        "info.referenceAngle": "Ángulo de referencia:",
+        "info.quadrant": "Cuadrante:",
+        "info.coterminal": "Coterminal:",
+        "value.undefined": "indefinido",
+        "quadrant.xAxis": "Eje X",
+        "quadrant.yAxis": "Eje Y",
+        "measure.turn": "vuelta",
+        "measure.turns": "vueltas",
+
+        "controls.heading": "Controles y ajustes",
+        "common.go": "Ir",
+        "common.pin": "Fijar",
+        "common.solve": "Resolver",
+        "common.clear": "Borrar",
+        "angleInput.heading": "Escribe un ángulo",
+        "angleInput.placeholder": "p. ej. 7π/6; 210°; 1,2 rad",
+        "angleInput.label": "Ángulo",
+        "angleInput.unexpected": 'No se esperaba "{token}"',
+        "angleInput.enterAngle": "Escribe un ángulo",
+        "angleInput.divisionByZero": "División entre cero",
+        "angleInput.expectedNumber": 'Falta un número después de "{token}"',
+        "angleInput.negativeRoot": "Raíz cuadrada de un número negativo",
+        "angleInput.missingParenthesis": 'Falta ")"',
+        "angleInput.notFinite": "Eso no es un número finito",
+        "angleInput.mixedUnits":
+          "Pon unidad a los números que sumes a π, p. ej. π/3 + 30°",
+
+        "equation.heading": "Resuelve una ecuación",
+        "equation.placeholder": "p. ej. 2 sen θ + 1 = 0; cos 2θ = 1/2",
+        "equation.label": "Ecuación",
+        "equation.from": "De",
+        "equation.to": "a",
+        "equation.solve": "Resolver y fijar",
+        "equation.clear": "Borrar ecuación",
+        "equation.singleEquals":
+          'Escribe una sola ecuación con un único "=", p. ej. 2 sen θ + 1 = 0',
+        "equation.includeFunction":
+          "Incluye sen, cos o tan de θ, p. ej. 2 sen θ + 1 = 0",
+        "equation.oneFunction":
+          "Usa una sola función trigonométrica de un solo ángulo, p. ej. sen 2θ",
+        "equation.argumentNotLinear":
+          "El ángulo dentro de {fn} debe ser lineal, p. ej. 2 sen θ + 1 = 0",
+        "equation.notLinear":
+          "La ecuación debe ser lineal, p. ej. 2 sen θ + 1 = 0",
+        "equation.dividesByFunction":
+          "No se admite dividir entre {fn}; despeja {fn} primero, p. ej. {fn} θ = 1/2",
+        "equation.noTheta": "El ángulo dentro de {fn} no contiene θ",
+        "equation.termsCancel": "Los términos con {fn} se cancelan",
+        "equation.tooManySolutions":
+          "Demasiadas soluciones para fijar; usa un intervalo más corto",
+        "equation.emptyInterval":
+          "El intervalo debe terminar después de empezar",
+        "equation.outOfRange": "Sin soluciones: {fn} siempre está entre -1 y 1",
+        "equation.solutionsIn": "En {interval}: θ = {solutions}",
+        "equation.noSolutionsIn": "Sin soluciones en {interval}",
+
+        "inverse.heading": "Trigonometría inversa",
+        "inverse.function": "Función",
+        "inverse.sin": "sen θ =",
+        "inverse.placeholder": "k, p. ej. -1/2",
+        "inverse.value": "Valor k",
+        "inverse.enterNumber":
+          "Escribe un número para k, p. ej. 1/2; -√3/2 o 0,3",
+        "inverse.noSolutions":
+          "{fn} θ = {k} no tiene soluciones: {fn} θ siempre está entre -1 y 1.",
+        "inverse.allSolutions":
+          "Todas las soluciones de {fn} θ = {k} en {interval}: {solutions}",
+        "inverse.principal":
+          "Valor principal: {inverse}({k}) = {angle}, la única respuesta en {range}",
+
+        "pins.clear": "Borrar ángulos fijados",
+        "pins.heading": "Ángulos fijados",
+        "pins.empty": "Todavía no hay ángulos fijados",
+        "pins.name": "Nombre",
+        "pins.namePlaceholder": "p. ej. ángulo de elevación",
+        "pins.color": "Color",
+        "pins.note": "Nota",
+        "pins.exportJson": "Exportar JSON",
+        "pins.exportCsv": "Exportar CSV",
+        "pins.import": "Importar ángulos fijados (JSON)",
+        "pins.expectedArray":
+          'Se esperaba una lista de ángulos fijados, p. ej. {"pins": [{"angle": "3pi/4", "name": "A"}]}',
+        "pins.entryNotObject":
+          "La entrada {index} ({entry}) no es un ángulo fijado",
+        "pins.entryNoAngle":
+          'La entrada {index} no tiene un ángulo legible ({angle}); usa "angle": "3pi/4" o "degrees": 135',
+        "pins.entryNotText":
+          'La entrada {index} tiene un "{field}" que no es texto',
+        "pins.entryBadColor":
+          'La entrada {index} tiene el color {color}; usa un color hexadecimal como "#27ae60"',
+        "json.unreadable": "No se pudo leer el JSON: {message}",
+
+        "view.heading": "Vista",
+        "view.note":
+          "Amplía con la rueda, pellizcando o con las teclas + y -; arrastra el fondo (o arrastra con Mayús) para desplazar la vista. Zoom:",
+        "view.zoomOut": "Reducir",
+        "view.zoomIn": "Ampliar",
+        "view.reset": "Restablecer vista",
+
+        "export.heading": "Exportar diagrama",
+        "export.png": "Descargar PNG",
+        "export.svg": "Descargar SVG",
+
+        "worksheet.heading": "Hoja de ejercicios imprimible",
+        "worksheet.blankFields": "Dejar en blanco estos campos:",
+        "worksheet.degrees": "Grados",
+        "worksheet.radians": "Radianes",
+        "worksheet.coordinates": "Coordenadas",
+        "worksheet.mode": "Qué etiquetas quedan en blanco",
+        "worksheet.modeAll": "En blanco en cada ángulo",
+        "worksheet.modeRandom": "Un hueco al azar por ángulo",
+        "worksheet.copies": "Copias",
+        "worksheet.answerKey": "Incluir las respuestas",
+        "worksheet.print": "Imprimir hoja",
+        "worksheet.noFields": "Elige al menos un campo para dejar en blanco",
+        "worksheet.copiesRange":
+          "El número de copias debe ser un número entero del 1 al 50",
+        "worksheet.nameLine":
+          "Nombre: ______________________   Fecha: __________",
+        "worksheet.title": "Práctica del círculo unitario",
+        "worksheet.copyTitle":
+          "Práctica del círculo unitario ({copy} de {copies})",
+        "worksheet.answerKeyTitle": "Respuestas",
+
+        "workspace.heading": "Espacio de trabajo",
+        "workspace.namePlaceholder": "Nombre del nuevo espacio",
+        "workspace.saveAsNew": "Guardar como nuevo",
+        "workspace.delete": "Eliminar espacio de trabajo",
+        "workspace.default": "Predeterminado",
+        "workspace.sharedLink": "Enlace compartido",
+        "workspace.enterName": "Escribe un nombre para el espacio de trabajo",
+        "workspace.exists": 'Ya existe un espacio de trabajo llamado "{name}"',
+
+        "playback.heading": "Reproducción",
+        "playback.stepBack": "Paso atrás",
+        "playback.play": "Reproducir",
+        "playback.pause": "Pausa",
+        "playback.stepForward": "Paso adelante",
+        "playback.speed": "Velocidad",
+        "playback.speedUnit": "Unidad de velocidad",
+        "playback.degreesPerSecond": "grados/s",
+        "playback.trace": "Dejar un rastro que se desvanece",
+        "playback.pauseAtSpecialAngles": "Pausar en cada ángulo notable",
+        "playback.loop": "Repetir (si no, parar tras una vuelta)",
+
+        "quiz.heading": "Cuestionario de práctica",
+        "quiz.start": "Empezar cuestionario",
+        "quiz.startNew": "Empezar otro cuestionario",
+        "quiz.check": "Comprobar",
+        "quiz.next": "Siguiente pregunta",
+        "quiz.seeSummary": "Ver resumen",
+        "quiz.end": "Terminar cuestionario",
+        "quiz.coordinatesPrompt": "¿Cuáles son las coordenadas de {angle}?",
+        "quiz.conditionPrompt": "¿Dónde se cumple {condition}?",
+        "quiz.and": "{first} y {second}",
+        "quiz.anySolution": "{prompt} (cualquier solución)",
+        "quiz.clickPrompt": "Haz clic en el ángulo {angle}",
+        "quiz.coordinatesPlaceholder": "p. ej. (1/2; -√3/2)",
+        "quiz.anglePlaceholder":
+          "Haz clic en el círculo o escribe p. ej. 5π/4 o 225",
+        "quiz.unreadable": "{message} - prueba con 5π/4 o 225",
+        "quiz.typeCoordinates": "Escribe las coordenadas, p. ej. (1/2; -√3/2)",
+        "quiz.coordinatesAt": "{coordinates} en {degrees}°",
+        "quiz.or": "{first} o {second}",
+        "quiz.correct": "¡Correcto! {solution} ({seconds} s)",
+        "quiz.incorrect": "No exactamente: la respuesta es {solution}",
+        "quiz.stats":
+          "Puntuación: {correct}/{answered} · Racha: {streak} (mejor {bestStreak})",
+        "quiz.summary": "Resumen del cuestionario",
+        "quiz.noAnswers": "No se respondió ninguna pregunta.",
+        "quiz.score": "Puntuación: {correct}/{answered} ({percent} %)",
+        "quiz.bestStreak": "Mejor racha: {bestStreak}",
+        "quiz.responseTime":
+          "Tiempo medio de respuesta: {average} s (el más rápido {fastest} s)",
+        "quiz.onAxis": "Sobre un eje",
+        "quiz.quadrant": "Cuadrante {quadrant}",
+        "quiz.groupScore": "{group}: {correct}/{total} ({percent} %)",
+
+        "angleSet.heading": "Conjunto de ángulos notables",
+        "angleSet.standard": "Estándar (familias de 30°, 45° y 60°)",
+        "angleSet.fifteen": "Múltiplos de 15°",
+        "angleSet.eighteen": "Múltiplos de 18° (número áureo)",
+        "angleSet.piOverEight": "Múltiplos de π/8",
+        "angleSet.custom": "Personalizado (cargar JSON)…",
+        "angleSet.expectedArray":
+          'Se esperaba una lista no vacía de ángulos en grados, p. ej. [0, 36, 72] o {"degrees": [0, 36, 72]}',
+        "angleSet.entryNotNumber":
+          "La entrada {index} ({entry}) no es un número de grados",
+
+        "labels.heading": "Etiquetas fijas",
+        "labels.degrees": "Mostrar los grados de los ángulos notables",
+        "labels.radians": "Mostrar los radianes de los ángulos notables",
+        "labels.coordinates": "Mostrar las coordenadas de los ángulos notables",
+
+        "helpers.heading": "Ayudas dinámicas",
+        "helpers.refTriangle": "Mostrar el triángulo de referencia",
+        "helpers.snap": "Ajustar a los ángulos notables",
+        "helpers.angleArcs": "Mostrar los arcos de ángulo (θ y θ')",
+        "helpers.waveGraph": "Mostrar la gráfica de seno y coseno",
+        "helpers.trigSegments": "Mostrar los seis segmentos trigonométricos",
+        "helpers.winding": "Contar las vueltas completas",
+        "helpers.polar": "Coordenadas polares (r; θ)",
+        "helpers.complexPlane": "Plano complejo (Re/Im)",
+        "helpers.twoAngles": "Dos ángulos (α y β)",
+
+        "polar.negativeR": "r negativo",
+        "polar.placeholder": "(r; θ), p. ej. (-2; π/4)",
+        "polar.label": "Punto polar (r; θ)",
+        "polar.enterPair":
+          "Escribe r y θ separados por punto y coma, p. ej. (-2; π/4)",
+        "polar.notNumber": '"{text}" no es un número para r',
+        "polar.outOfRange": "r debe estar entre -{max} y {max}",
+        "polar.anyAngle": "{point} para cualquier θ",
+        "polar.inGeneral": "{alternatives}; en general {first} o {second}",
+
+        "complex.multiplyPin": "Ángulo fijado por el que multiplicar",
+        "complex.multiply": "Multiplicar z por w",
+        "complex.rootsOfUnity": "Raíces de la unidad, n =",
+
+        "twoAngles.select": "Ángulo que se mueve",
+        "twoAngles.moveAlpha": "Mover α",
+        "twoAngles.moveBeta": "Mover β",
+
+        "infoOptions.heading": "Opciones del panel de información",
+        "angleUnit.label": "Unidad de ángulo",
+        "angleUnit.degrees": "Grados (210,5°)",
+        "angleUnit.dms": "Grados, minutos y segundos (210°30′0″)",
+        "angleUnit.gradians": "Gradianes (400 por vuelta)",
+        "angleUnit.turns": "Vueltas (7/12 vuelta)",
+        "angleUnit.radians": "Radianes como múltiplos de π",
+        "angleUnit.radiansDecimal": "Radianes en decimales",
+        "infoOptions.extraTrig": "Mostrar csc, sec y cot",
+        "infoOptions.refAngle": "Mostrar el ángulo de referencia",
+        "infoOptions.quadrant": "Mostrar el cuadrante",
+
+        "theme.heading": "Tema",
+        "theme.colors": "Colores",
+        "theme.auto": "Según el sistema (claro u oscuro)",
+        "theme.light": "Claro",
+        "theme.dark": "Oscuro",
+        "theme.highContrast": "Alto contraste",
+        "theme.colorblind": "Apto para daltonismo",
+
+        "language.heading": "Idioma",
+
+        "describe.angle":
+          "{degrees} grados, {radians} radianes. Coordenadas {coordinates}. {trigValues}.",
+        "spoken.squareRootOf": "raíz cuadrada de",
+        "spoken.root": "raíz de",
+        "spoken.pi": "pi",
+        "spoken.approximately": "aproximadamente",
+        "spoken.over": "entre",
+        "spoken.minus": "menos",
+        "announce.pinned": "Fijado {angle}",
+        "announce.pinDeleted":
+          "Ángulo fijado eliminado. Quedan {count} ángulos fijados",
+        "announce.pin": "Ángulo fijado {index} de {count}",
+        "announce.note": "Nota: {note}",
+        "announce.moving": "Moviendo {symbol}: {angle}",
+        "announce.zoom": "Zoom {zoom}",
+        "announce.viewReset": "Vista restablecida",
+        "announce.selectionCleared": "Selección borrada",
+        "announce.product": "z por w: {angle}",
+      },
+    },
+  };
+
+  /** @type {string} Language used when no preferred language is available */
+  static fallbackCode = "en";
+
+  /** @type {RegExp} A trig function name, optionally with "arc" in front */
+  static functionPattern =
+    /(?<![a-z])(arc)?(sin|cos|tan|csc|sec|cot)(?![a-z])/g;
+
+  /**
+   * @param {string} code - A key of Locale.catalogues
+   */
+  constructor(code) {
+    /** @type {string} Language code, e.g. "es" */
+    this.code = Object.prototype.hasOwnProperty.call(Locale.catalogues, code)
+      ? code
+      : Locale.fallbackCode;
+    /** @type {Object} The language's catalogue */
+    this.catalogue = Locale.catalogues[this.code];
+    /** @type {Object<string, Intl.NumberFormat>} Number formats by option set */
+    this.numberFormats = {};
+    /** @type {string} Decimal separator, e.g. "," in Spanish */
+    this.decimalSeparator = this.getNumberFormat(1, 1)
+      .formatToParts(1.5)
+      .find((part) => part.type === "decimal").value;
+    /** @type {string} Separator between the items of a pair or list; ";"
+     * where the decimal separator is already a comma */
+    this.listSeparator = this.decimalSeparator === "," ? ";" : ",";
+  }
+
+  /**
+   * Pick the first supported language from the user's preferences
+   * @param {ReadonlyArray<string>} languages - e.g. navigator.languages
+   * @returns {string} A key of Locale.catalogues
+   */
+  static detect(languages) {
+    for (const language of languages || []) {
+      const code = language.toLowerCase().split("-")[0];
+      if (Object.prototype.hasOwnProperty.call(Locale.catalogues, code)) {
+        return code;
+      }
+    }
+    return Locale.fallbackCode;
+  }
+
+  /**
+   * Look up a message and fill in its placeholders, falling back to English
+   * (and then to the key itself) when the message isn't translated
+   * @param {string} key - e.g. "info.quadrant"
+   * @param {Object<string, string|number>} [params] - Placeholder values
+   * @returns {string} The message
+   */
+  t(key, params = {}) {
+    const message =
+      this.catalogue.messages[key] ??
+      Locale.catalogues[Locale.fallbackCode].messages[key] ??
+      key;
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) =>
+      Object.prototype.hasOwnProperty.call(params, name)
+        ? String(params[name])
+        : placeholder
+    );
+  }
+
+  /**
+   * Write the trig function names in a piece of math in this language
+   * @param {string} text - e.g. "sin", "arcsin" or "sin α cos β"
+   * @returns {string} e.g. "sen", "arcsen" or "sen α cos β" in Spanish
+   */
+  localizeFunctions(text) {
+    return text.replace(
+      Locale.functionPattern,
+      (match, arc, name) =>
+        `${arc || ""}${this.catalogue.functions[name] || name}`
+    );
+  }
+
+  /**
+   * Cached number format for a range of decimal places, without digit
+   * grouping so numbers read like the toFixed output they replace
+   * @param {number} minDecimals
+   * @param {number} maxDecimals
+   * @returns {Intl.NumberFormat}
+   */
+  getNumberFormat(minDecimals, maxDecimals) {
+    const key = `${minDecimals}-${maxDecimals}`;
+    if (!this.numberFormats[key]) {
+      this.numberFormats[key] = new Intl.NumberFormat(this.code, {
+        useGrouping: false,
+        minimumFractionDigits: minDecimals,
+        maximumFractionDigits: maxDecimals,
+      });
+    }
+    return this.numberFormats[key];
+  }
+
+  /**
+   * Format a number with a fixed number of decimal places, like toFixed
+   * @param {number} value
+   * @param {number} decimals
+   * @returns {string} e.g. "0.500" or "0,500"
+   */
+  formatNumber(value, decimals) {
+    return this.getNumberFormat(decimals, decimals).format(value);
+  }
+
+  /**
+   * Format a number rounded to at most some decimal places, dropping
+   * trailing zeros
+   * @param {number} value
+   * @param {number} maxDecimals
+   * @returns {string} e.g. "22.5" or "22,5"
+   */
+  formatDecimal(value, maxDecimals) {
+    return this.getNumberFormat(0, maxDecimals).format(value);
+  }
+
+  /**
+   * Write items as a list with the language's separator
+   * @param {Array<string>} items
+   * @returns {string} e.g. "π/6, 5π/6" or "0,52; 2,62"
+   */
+  formatList(items) {
+    return items.join(`${this.listSeparator} `);
+  }
+
+  /**
+   * Write a pair such as coordinates with the language's separator
+   * @param {string} first
+   * @param {string} second
+   * @returns {string} e.g. "(0.5, 0.866)" or "(0,5; 0,866)"
+   */
+  formatPair(first, second) {
+    return `(${this.formatList([first, second])})`;
+  }
+
+  /**
+   * Turn decimal commas in typed math into points so it can be evaluated
+   * (only where the comma is the decimal separator, so "1,5" is 1.5 but
+   * "(1/2, 3)" keeps its separating comma)
+   * @param {string} text - e.g. "1,5 rad"
+   * @returns {string} e.g. "1.5 rad"
+   */
+  normalizeNumberInput(text) {
+    return this.decimalSeparator === ","
+      ? text.replace(/(\d),(\d)/g, "$1.$2")
+      : text;
+  }
+}
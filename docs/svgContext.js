@@ -0,0 +1,262 @@
+/**
+ * SVG Context - A vector backend for the Interactive Unit Circle
+ * Implements the part of CanvasRenderingContext2D the drawing functions use,
+ * recording each stroke, fill and label as an SVG element so the same
+ * drawing code can be replayed to export a clean vector image
+ *
+ * @author Tartuke
+ * @version 1.0.0
+ */
+
+class SvgContext {
+  /** @type {string} Fill color for shapes and text */
+  fillStyle = "#000000";
+  /** @type {string} Stroke color for paths */
+  strokeStyle = "#000000";
+  /** @type {number} Stroke width in pixels */
+  lineWidth = 1;
+  /** @type {string} CSS font shorthand, e.g. "bold 14px Arial" */
+  font = "10px sans-serif";
+  /** @type {string} Horizontal text alignment */
+  textAlign = "start";
+  /** @type {string} Vertical text alignment */
+  textBaseline = "alphabetic";
+  /** @type {number} Opacity applied to everything drawn */
+  globalAlpha = 1;
+
+  /** @type {Array<number>} Current dash pattern */
+  #lineDash = [];
+  /** @type {string} Path data of the current path */
+  #path = "";
+  /** @type {boolean} Whether the current path has a current point */
+  #hasCurrentPoint = false;
+  /** @type {Array<string>} SVG elements drawn so far */
+  #elements = [];
+  /** @type {CanvasRenderingContext2D|null} Scratch context for measuring text */
+  #measureCtx = null;
+
+  /**
+   * @param {number} width - Drawing width in pixels
+   * @param {number} height - Drawing height in pixels
+   */
+  constructor(width, height) {
+    this.width = width;
+    this.height = height;
+  }
+
+  // ===== PATHS =====
+
+  beginPath() {
+    this.#path = "";
+    this.#hasCurrentPoint = false;
+  }
+
+  closePath() {
+    if (this.#path) this.#path += "Z";
+  }
+
+  /**
+   * @param {number} x
+   * @param {number} y
+   */
+  moveTo(x, y) {
+    this.#path += `M${SvgContext.number(x)} ${SvgContext.number(y)}`;
+    this.#hasCurrentPoint = true;
+  }
+
+  /**
+   * @param {number} x
+   * @param {number} y
+   */
+  lineTo(x, y) {
+    if (!this.#hasCurrentPoint) {
+      this.moveTo(x, y);
+      return;
+    }
+    this.#path += `L${SvgContext.number(x)} ${SvgContext.number(y)}`;
+  }
+
+  /**
+   * Add a circular arc with the same angle conventions as the canvas
+   * (radians, measured clockwise on screen from the positive x-axis)
+   * @param {number} x - Center x
+   * @param {number} y - Center y
+   * @param {number} radius - Radius
+   * @param {number} startAngle - Start angle in radians
+   * @param {number} endAngle - End angle in radians
+   * @param {boolean} [anticlockwise=false] - Direction of the arc
+   */
+  arc(x, y, radius, startAngle, endAngle, anticlockwise = false) {
+    const fullTurn = 2 * Math.PI;
+    let sweep = anticlockwise ? startAngle - endAngle : endAngle - startAngle;
+    if (sweep >= fullTurn) {
+      sweep = fullTurn;
+    } else {
+      sweep = ((sweep % fullTurn) + fullTurn) % fullTurn;
+    }
+    const pointAt = (angle) =>
+      `${SvgContext.number(x + radius * Math.cos(angle))} ${SvgContext.number(
+        y + radius * Math.sin(angle)
+      )}`;
+
+    this.#path += `${this.#hasCurrentPoint ? "L" : "M"}${pointAt(startAngle)}`;
+    this.#hasCurrentPoint = true;
+    const direction = anticlockwise ? -1 : 1;
+    const sweepFlag = anticlockwise ? 0 : 1;
+    const r = SvgContext.number(radius);
+    if (sweep >= fullTurn) {
+      // A single SVG arc can't draw a full circle, so use two halves
+      const middle = startAngle + direction * Math.PI;
+      this.#path += `A${r} ${r} 0 0 ${sweepFlag} ${pointAt(middle)}`;
+      this.#path += `A${r} ${r} 0 0 ${sweepFlag} ${pointAt(startAngle)}`;
+    } else if (sweep > 0) {
+      const largeArc = sweep > Math.PI ? 1 : 0;
+      this.#path += `A${r} ${r} 0 ${largeArc} ${sweepFlag} ${pointAt(
+        startAngle + direction * sweep
+      )}`;
+    }
+  }
+
+  // ===== DRAWING =====
+
+  stroke() {
+    if (!this.#path) return;
+    const dash = this.#lineDash.length
+      ? ` stroke-dasharray="${this.#lineDash.join(" ")}"`
+      : "";
+    this.#elements.push(
+      `<path d="${this.#path}" fill="none" stroke="${SvgContext.escape(
+        this.strokeStyle
+      )}" stroke-width="${this.lineWidth}"${dash}${this.#opacity()}/>`
+    );
+  }
+
+  fill() {
+    if (!this.#path) return;
+    this.#elements.push(
+      `<path d="${this.#path}" fill="${SvgContext.escape(
+        this.fillStyle
+      )}"${this.#opacity()}/>`
+    );
+  }
+
+  /**
+   * @param {number} x
+   * @param {number} y
+   * @param {number} width
+   * @param {number} height
+   */
+  fillRect(x, y, width, height) {
+    this.#elements.push(
+      `<rect x="${SvgContext.number(x)}" y="${SvgContext.number(
+        y
+      )}" width="${SvgContext.number(width)}" height="${SvgContext.number(
+        height
+      )}" fill="${SvgContext.escape(this.fillStyle)}"${this.#opacity()}/>`
+    );
+  }
+
+  /**
+   * Clearing the whole drawing starts over; SVG has no partial erase
+   */
+  clearRect() {
+    this.#elements = [];
+  }
+
+  /**
+   * @param {string} text
+   * @param {number} x
+   * @param {number} y
+   */
+  fillText(text, x, y) {
+    const anchor =
+      { center: "middle", right: "end", end: "end" }[this.textAlign] || "start";
+    const baseline =
+      {
+        top: "text-before-edge",
+        hanging: "hanging",
+        middle: "central",
+        bottom: "text-after-edge",
+      }[this.textBaseline] || "alphabetic";
+    this.#elements.push(
+      `<text x="${SvgContext.number(x)}" y="${SvgContext.number(
+        y
+      )}" style="font: ${SvgContext.escape(
+        this.font
+      )}" text-anchor="${anchor}" dominant-baseline="${baseline}" fill="${SvgContext.escape(
+        this.fillStyle
+      )}"${this.#opacity()}>${SvgContext.escape(String(text))}</text>`
+    );
+  }
+
+  /**
+   * Measure text with a scratch canvas so layout matches the screen
+   * @param {string} text
+   * @returns {{width: number}}
+   */
+  measureText(text) {
+    if (!this.#measureCtx) {
+      this.#measureCtx = document.createElement("canvas").getContext("2d");
+    }
+    this.#measureCtx.font = this.font;
+    return this.#measureCtx.measureText(text);
+  }
+
+  /**
+   * @param {Array<number>} segments - Dash and gap lengths
+   */
+  setLineDash(segments) {
+    this.#lineDash = [...segments];
+  }
+
+  /**
+   * @returns {Array<number>} The current dash pattern
+   */
+  getLineDash() {
+    return [...this.#lineDash];
+  }
+
+  // ===== OUTPUT =====
+
+  /**
+   * Build the SVG document
+   * @returns {string} Standalone SVG markup
+   */
+  toString() {
+    return [
+      `<svg xmlns="http://www.w3.org/2000/svg" width="${this.width}" height="${this.height}" viewBox="0 0 ${this.width} ${this.height}">`,
+      ...this.#elements,
+      "</svg>",
+    ].join("\n");
+  }
+
+  /**
+   * Opacity attribute for the current globalAlpha, if any
+   * @returns {string}
+   */
+  #opacity() {
+    return this.globalAlpha < 1 ? ` opacity="${this.globalAlpha}"` : "";
+  }
+
+  /**
+   * Round a coordinate to keep the markup small
+   * @param {number} value
+   * @returns {string}
+   */
+  static number(value) {
+    return String(Math.round(value * 100) / 100);
+  }
+
+  /**
+   * Escape text for use in SVG markup
+   * @param {string} text
+   * @returns {string}
+   */
+  static escape(text) {
+    return text
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;");
+  }
+}
@@ -7,14 +7,21 @@
  */
 
 class UnitCircle {
+  /** @type {Document|ShadowRoot} Where the canvases and panels are looked up by ID */
+  root;
+  /** @type {boolean} Whether this circle belongs to a <unit-circle> element:
+   * it has only the canvases, and its state comes from the element's
+   * attributes rather than the URL, workspaces and saved settings */
+  embedded = false;
+
   /** @type {HTMLCanvasElement} Canvas element */
   canvas;
   /** @type {CanvasRenderingContext2D} Canvas 2D context */
   ctx;
 
-  /** @type {number} Canvas width in pixels */
+  /** @type {number} Canvas width in CSS pixels */
   width = 0;
-  /** @type {number} Canvas height in pixels */
+  /** @type {number} Canvas height in CSS pixels */
   height = 0;
   /** @type {number} Canvas X coordinate of the circle's center */
   centerX = 0;
@@ -22,14 +29,93 @@ class UnitCircle {
   centerY = 0;
   /** @type {number} Radius of the unit circle in pixels */
   radius = 0;
+  /** @type {number} Device pixels per CSS pixel the canvases are rendered at */
+  pixelRatio = 1;
+
+  /** @type {number} View magnification; 1 fits the whole circle */
+  zoom = 1;
+  /** @type {number} Smallest zoom, far enough out to follow long tangent segments */
+  minZoom = 0.1;
+  /** @type {number} Largest zoom, close enough to inspect angles of a fraction of a degree */
+  maxZoom = 100;
+  /** @type {number} Zoom factor of one press of a zoom button or key */
+  zoomStep = 1.25;
+  /** @type {{x: number, y: number}} Point shown at the middle of the canvas, in units of the radius */
+  viewCenter = { x: 0, y: 0 };
+  /** @type {{points: number, center: {x: number, y: number}, spread: number}|null}
+   * Pan or pinch in progress: how many pointers, their midpoint and (for
+   * two fingers) their distance apart */
+  viewGesture = null;
+  /** @type {function(MouseEvent)} Ends a mouse drag that began on the
+   * canvas; listens on the document only while the button is held */
+  handleDocumentMouseUp = (e) => {
+    document.removeEventListener("mouseup", this.handleDocumentMouseUp);
+    this.handlePointerUp(e);
+  };
+
+  /** @type {HTMLCanvasElement} Sine/cosine graph canvas element */
+  graphCanvas;
+  /** @type {CanvasRenderingContext2D} Sine/cosine graph 2D context */
+  graphCtx;
+  /** @type {number} Graph canvas width in pixels */
+  graphWidth = 0;
+  /** @type {number} Graph canvas height in pixels */
+  graphHeight = 0;
 
   /** @type {Array} Special angles data with exact values */
   specialAngles = [];
+  /** @type {Object} Selectable special angle sets, as fractions of π or multiples of π/denominator */
+  angleSets = {
+    standard: {
+      piFractions: [
+        [0, 1],
+        [1, 6],
+        [1, 4],
+        [1, 3],
+        [1, 2],
+        [2, 3],
+        [3, 4],
+        [5, 6],
+        [1, 1],
+        [7, 6],
+        [5, 4],
+        [4, 3],
+        [3, 2],
+        [5, 3],
+        [7, 4],
+        [11, 6],
+      ],
+    },
+    fifteen: { multiplesOf: 12 }, // π/12 = 15°
+    eighteen: { multiplesOf: 10 }, // π/10 = 18° (golden-ratio values)
+    piOverEight: { multiplesOf: 8 }, // π/8 = 22.5°
+    custom: { degrees: [] }, // Loaded from JSON
+  };
+  /** @type {string} Key of the active set in angleSets */
+  activeAngleSet = "standard";
+  /** @type {string} Unit for displayed angles: "degrees", "dms", "gradians",
+   * "turns", "radians" (multiples of π) or "radiansDecimal" */
+  angleUnit = "degrees";
+  /** @type {Array<string>} Supported values of angleUnit */
+  angleUnits = [
+    "degrees",
+    "dms",
+    "gradians",
+    "turns",
+    "radians",
+    "radiansDecimal",
+  ];
+  /** @type {Array<number>} Denominators of π that formatRadians recognizes, smallest first */
+  radianDenominators = [1, 2, 3, 4, 6];
 
   /** @type {boolean} Whether mouse/touch is actively interacting near the circle */
   isInteractionActive = false; // Renamed from isMouseOverCircle
   /** @type {Object} Pointer position (mouse or touch) in canvas coordinates */
   pointerCanvasPos = { x: 0, y: 0 }; // Renamed from mouseCanvasPos
+  /** @type {boolean} Whether the current angle was typed in (and so isn't snapped) */
+  isTypedAngle = false;
+  /** @type {number|null} Unsnapped angle of the last keyboard step, null after pointer movement */
+  keyboardAngle = null;
   /** @type {boolean} Flag to track if touch has moved significantly */
   touchMoved = false;
 
@@ -37,10 +123,41 @@ class UnitCircle {
   isMouseOverCircle = false;
   /** @type {Object} Mouse position in canvas coordinates */
   mouseCanvasPos = { x: 0, y: 0 };
-  /** @type {number} Current angle in standard math radians (0 right, counter-clockwise) */
-  currentAngle = 0;
-  /** @type {Object} Current point on circle in canvas coordinates */
-  currentPoint = { x: 0, y: 0 };
+  /** @type {Array<{symbol: string, colorKey: string, angle: number, point: {x: number, y: number}}>}
+   * Live angles that the pointer, keyboard and playback move. Only the first
+   * is used unless two-angle mode adds β. */
+  liveAngles = [
+    { symbol: "α", colorKey: "hover", angle: 0, point: { x: 0, y: 0 } },
+    {
+      symbol: "β",
+      colorKey: "beta",
+      angle: Math.PI / 6,
+      point: { x: 0, y: 0 },
+    },
+  ];
+  /** @type {number} Index in liveAngles of the angle being moved */
+  activeAngleIndex = 0;
+
+  /**
+   * Current angle in standard math radians (0 right, counter-clockwise) of
+   * the live angle being moved. Stays in [0, 2π) unless winding mode tracks
+   * cumulative rotation.
+   * @type {number}
+   */
+  get currentAngle() {
+    return this.liveAngles[this.activeAngleIndex].angle;
+  }
+  set currentAngle(angle) {
+    this.liveAngles[this.activeAngleIndex].angle = angle;
+  }
+
+  /** @type {{x: number, y: number}} Current point on circle in canvas coordinates */
+  get currentPoint() {
+    return this.liveAngles[this.activeAngleIndex].point;
+  }
+  set currentPoint(point) {
+    this.liveAngles[this.activeAngleIndex].point = point;
+  }
   /** @type {Array} Pinned angles with their data */
   pinnedAngles = [];
   /** @type {number} Next ID to assign to a pinned angle */
@@ -52,8 +169,9 @@ class UnitCircle {
   /** @type {number} Distance threshold for detecting clicks on pinned angles (in pixels) */
   pinClickThreshold = 15;
 
-  /** @type {Object} Display options */
-  options = {
+  /** @type {Object<string, boolean>} Default display options, left out of
+   * the URL when unchanged */
+  static defaultOptions = {
     showDegrees: true,
     showRadians: true,
     showCoordinates: true,
@@ -63,31 +181,185 @@ class UnitCircle {
     showRefAngle: true,
     showQuadrant: true,
     showAngleArcs: true,
+    showWaveGraph: true,
+    showTrigSegments: false,
+    windingMode: false,
+    showPlaybackTrace: true,
+    pauseAtSpecialAngles: false,
+    loopPlayback: true,
+    twoAngleMode: false,
+    complexPlaneMode: false,
+    showRootsOfUnity: false,
+    polarMode: false,
+    polarNegativeR: false,
   };
 
-  /** @type {Object} Color scheme */
-  colors = {
-    static: "rgba(136, 136, 136, 1)",
-    staticFaded: "rgba(136, 136, 136, 0.2)",
-    hover: "#3498db",
-    pinned: "#27ae60",
-    axis: "#aaaaaa",
-    grid: "#eeeeee",
-    standardArc: "rgba(231, 76, 60, 0.8)",
-    referenceArc: "rgba(46, 204, 113, 0.8)",
+  /** @type {Object<string, boolean>} Display options (see setOption) */
+  options = { ...UnitCircle.defaultOptions };
+
+  /** @type {Object<string, Array<string>>} IDs of the controls shown only while an option is on */
+  optionControls = {
+    windingMode: ["coterminalRow"],
+    twoAngleMode: ["activeAngleSelect"],
+    polarMode: ["polarControls"],
+    complexPlaneMode: ["complexControls", "complexRow"],
+    showExtraTrig: ["extraTrigValues"],
   };
 
+  /** @type {boolean} Set while saved state is applied so it isn't written back */
+  isRestoringState = false;
+
+  /** @type {string} localStorage key for the saved workspaces */
+  storageKey = "unitCircleWorkspaces";
+  /** @type {{active: string, states: Object<string, string>}} Named workspaces, each stored in the URL hash format */
+  workspaces = { active: "Default", states: { Default: "" } };
+
+  /** @type {string} localStorage key for the chosen theme */
+  themeStorageKey = "unitCircleTheme";
+  /** @type {Array<string>} Theme choices; "auto" follows the system light/dark setting */
+  themes = ["auto", "light", "dark", "high-contrast", "colorblind"];
+  /** @type {string} Chosen theme, one of themes */
+  theme = "auto";
+  /** @type {MediaQueryList|null} The system dark-mode query "auto" follows */
+  darkSchemeQuery = null;
+
+  /** @type {string} localStorage key for the chosen language */
+  localeStorageKey = "unitCircleLocale";
+  /** @type {Locale} Active language: interface text and number formatting */
+  locale = new Locale(Locale.fallbackCode);
+
+  /** @type {Array<string>} Canvas colors, each read from its --<key>-color CSS variable */
+  colorKeys = [
+    "canvasBackground",
+    "labelBackground",
+    "static",
+    "staticFaded",
+    "hover",
+    "pinned",
+    "axis",
+    "grid",
+    "standardArc",
+    "referenceArc",
+    "correct",
+    "incorrect",
+    "sine",
+    "cosine",
+    "tangent",
+    "secant",
+    "cotangent",
+    "cosecant",
+    "beta",
+    "angleSum",
+    "angleDifference",
+    "doubleAngle",
+    "rootsOfUnity",
+    "polar",
+  ];
+
+  /** @type {Object<string, string>} Color scheme of the active theme (see loadThemeColors) */
+  colors = {};
+
+  /** @type {Array<number>} Dash pattern of the θ′ arc, so it can be told
+   * apart from the solid θ arc without relying on color */
+  referenceArcDash = [6, 4];
+
+  /** @type {Object|null} Inverse trig problem being shown, or null */
+  inverse = null;
+
+  /** @type {Object|null} Trig equation last solved, or null */
+  equation = null;
+
+  /** @type {number} Most solutions an equation may pin at once */
+  maxEquationSolutions = 48;
+
+  /** @type {number} Signed distance r of the point from the origin in polar mode */
+  polarRadius = 1;
+  /** @type {number} Largest r the polar rings (and the pointer) reach */
+  polarMaxRadius = 3;
+
+  /** @type {number} n for the n-th roots of unity in complex-plane mode */
+  rootsOfUnityCount = 6;
+  /** @type {{fromAngle: number, byAngle: number, pinColor: string, startTime: number|null, progress: number}|null}
+   * Multiplication of the current point by a pin, animated as a rotation */
+  multiplication = null;
+  /** @type {number} Length of the multiplication animation in milliseconds */
+  multiplicationDuration = 1200;
+  /** @type {number|null} Frame request of the multiplication animation */
+  multiplicationFrameId = null;
+
+  /** @type {boolean} Whether the angle is rotating automatically */
+  isPlaying = false;
+  /** @type {number|null} requestAnimationFrame handle while playing */
+  animationFrameId = null;
+  /** @type {number|null} Timestamp of the previous animation frame */
+  lastFrameTime = null;
+  /** @type {number} Timestamp until which playback holds on a special angle */
+  playbackPauseUntil = 0;
+  /** @type {number} The angle playback started from */
+  playbackStartAngle = 0;
+  /** @type {number} Signed distance turned since playback started, in radians */
+  playbackDistance = 0;
+  /** @type {Array<{angle: number, time: number}>} Recent positions for the fading trace */
+  playbackTrace = [];
+  /** @type {number} How long the trace takes to fade, in milliseconds */
+  traceDuration = 2000;
+  /** @type {number} How long playback holds on each special angle, in milliseconds */
+  specialAnglePause = 1000;
+
+  /** @type {Object|null} Practice quiz state, or null when no quiz is running */
+  quiz = null;
+  /** @type {number} Number of questions in a quiz round */
+  quizLength = 10;
+
   /** @type {number} Tolerance for snapping to special angles in radians */
   snapTolerance = 0.02;
+  /** @type {number} Longest exact string shown before falling back to a decimal */
+  maxExactStringLength = 40;
 
   /**
    * Constructor - Initializes the unit circle visualization
+   * @param {Object} [settings]
+   * @param {Document|ShadowRoot} [settings.root=document] - Holds the
+   *   canvases and, unless embedded, the panels
+   * @param {boolean} [settings.embedded=false] - Whether a <unit-circle>
+   *   element is hosting the circle (see embedded)
    */
-  constructor() {
+  constructor({ root = document, embedded = false } = {}) {
+    this.root = root;
+    this.embedded = embedded;
+    this.initTheme();
+    this.initLocale();
     this.initCanvas();
     this.initSpecialAngles();
     this.setupEventListeners(); // Will now set up both mouse and touch
-    this.setupControlListeners();
+    if (!this.embedded) {
+      this.setupControlListeners();
+      this.loadWorkspaces();
+      // A shared link takes priority over the last saved workspace
+      const linkedState = window.location.hash.slice(1);
+      if (linkedState) {
+        // Entries this page made (e.g. reloading after going back) name
+        // their workspace, so only an untagged hash is someone else's link
+        const entry = window.history.state;
+        const isTagged = Boolean(entry) && entry.workspace !== undefined;
+        if (
+          !isTagged &&
+          linkedState !== this.workspaces.states[this.workspaces.active]
+        ) {
+          // Open someone else's link in its own workspace so saved work
+          // isn't overwritten
+          this.workspaces.active = this.getUniqueWorkspaceName(
+            this.t("workspace.sharedLink")
+          );
+          this.workspaces.states[this.workspaces.active] = "";
+          this.updateWorkspaceList();
+        }
+        this.restoreStateFromUrl();
+      } else {
+        this.applyState(this.workspaces.states[this.workspaces.active]);
+        this.replaceUrlState();
+      }
+    }
     this.updatePinnedAnglesList();
     this.draw();
   }
@@ -96,7 +368,8 @@ class UnitCircle {
 
   /**
    * Convert Canvas coordinates (origin top-left, +y down) to
-   * Math coordinates (origin at circle center, +y up).
+   * Math coordinates (origin at circle center, +y up). The center and
+   * radius come from the view (see updateView), so this follows zoom and pan.
    * @param {number} canvasX - X coordinate relative to canvas top-left
    * @param {number} canvasY - Y coordinate relative to canvas top-left
    * @returns {{x: number, y: number}} Math coordinates relative to center
@@ -120,175 +393,370 @@ class UnitCircle {
     return { x: canvasX, y: canvasY };
   }
 
+  // ===== VIEW (ZOOM & PAN) =====
+
+  /**
+   * Place the circle on the canvas from the canvas size, zoom and pan, then
+   * move the points that depend on it and redraw
+   */
+  updateView() {
+    // Polar mode shrinks the unit circle so the rings out to r = 3 fit
+    const fitRadius =
+      Math.min(this.width, this.height) *
+      (this.options.polarMode ? 0.45 / this.polarMaxRadius : 0.4);
+    this.radius = fitRadius * this.zoom;
+    this.centerX = this.width / 2 - this.viewCenter.x * this.radius;
+    this.centerY = this.height / 2 + this.viewCenter.y * this.radius;
+
+    // Pins keep their angle; their canvas position depends on the view
+    for (const pin of this.pinnedAngles) {
+      pin.point = this.angleToCanvasPoint(pin.angle);
+    }
+    for (const live of this.liveAngles) {
+      live.point = this.angleToCanvasPoint(live.angle);
+    }
+    if (!this.embedded) {
+      this.root.getElementById("zoomValue").textContent = this.formatZoom();
+    }
+    this.draw();
+  }
+
+  /**
+   * @returns {string} The zoom level as a percentage, e.g. "125%"
+   */
+  formatZoom() {
+    return `${this.locale.formatDecimal(
+      Number((this.zoom * 100).toPrecision(3)),
+      1
+    )}%`;
+  }
+
+  /**
+   * Zoom in or out, keeping the point under the pointer in place
+   * @param {number} canvasX - X coordinate to zoom about
+   * @param {number} canvasY - Y coordinate to zoom about
+   * @param {number} factor - Above 1 zooms in, below 1 zooms out
+   */
+  zoomAt(canvasX, canvasY, factor) {
+    const zoom = Math.min(
+      Math.max(this.zoom * factor, this.minZoom),
+      this.maxZoom
+    );
+    if (zoom === this.zoom) return;
+    // The point under the pointer, in units of the radius
+    const u = (canvasX - this.centerX) / this.radius;
+    const v = (this.centerY - canvasY) / this.radius;
+    const radius = (this.radius * zoom) / this.zoom;
+    this.zoom = zoom;
+    this.viewCenter = {
+      x: u - (canvasX - this.width / 2) / radius,
+      y: v + (canvasY - this.height / 2) / radius,
+    };
+    this.updateView();
+  }
+
+  /**
+   * Move the view by a drag on the canvas
+   * @param {number} dx - Horizontal drag in pixels
+   * @param {number} dy - Vertical drag in pixels
+   */
+  panBy(dx, dy) {
+    if (dx === 0 && dy === 0) return;
+    this.viewCenter = {
+      x: this.viewCenter.x - dx / this.radius,
+      y: this.viewCenter.y + dy / this.radius,
+    };
+    this.updateView();
+  }
+
+  /**
+   * Go back to the whole circle, centered
+   */
+  resetView() {
+    this.zoom = 1;
+    this.viewCenter = { x: 0, y: 0 };
+    this.updateView();
+  }
+
+  /**
+   * Start a pan (one pointer) or pinch (two fingers)
+   * @param {Array<{x: number, y: number}>} points - Canvas positions of the pointers
+   */
+  startViewGesture(points) {
+    this.isInteractionActive = false;
+    this.canvas.style.cursor = "grabbing";
+    this.viewGesture = this.measureViewGesture(points);
+  }
+
+  /**
+   * Continue a pan or pinch: the midpoint of the pointers pans and, with
+   * two fingers, their change in distance zooms
+   * @param {Array<{x: number, y: number}>} points - Canvas positions of the pointers
+   */
+  moveViewGesture(points) {
+    const previous = this.viewGesture;
+    const next = this.measureViewGesture(points);
+    this.viewGesture = next;
+    // A finger lifted or added: start again from here rather than jump
+    if (previous.points !== next.points) return;
+    this.panBy(
+      next.center.x - previous.center.x,
+      next.center.y - previous.center.y
+    );
+    if (next.spread > 0 && previous.spread > 0) {
+      this.zoomAt(next.center.x, next.center.y, next.spread / previous.spread);
+    }
+  }
+
+  /**
+   * @param {Array<{x: number, y: number}>} points - Canvas positions of the pointers
+   * @returns {{points: number, center: {x: number, y: number}, spread: number}}
+   */
+  measureViewGesture(points) {
+    const [first, second = first] = points;
+    return {
+      points: points.length,
+      center: { x: (first.x + second.x) / 2, y: (first.y + second.y) / 2 },
+      spread: Math.hypot(second.x - first.x, second.y - first.y),
+    };
+  }
+
   // ===== INITIALIZATION =====
 
   /**
    * Initialize the canvas element and context
    */
   initCanvas() {
-    this.canvas = document.getElementById("unitCircleCanvas");
+    this.canvas = this.root.getElementById("unitCircleCanvas");
     this.ctx = this.canvas.getContext("2d");
+    this.graphCanvas = this.root.getElementById("waveGraphCanvas");
+    this.graphCtx = this.graphCanvas.getContext("2d");
     this.resizeCanvas();
+    this.watchPixelRatio();
     window.addEventListener("resize", () => this.resizeCanvas());
   }
 
   /**
-   * Resize the canvas to fit its container and recalculate dimensions
+   * Resize the canvases to fit their containers, rendering at the device's
+   * pixel density so lines and text stay sharp on high-resolution screens
    */
   resizeCanvas() {
-    const container = this.canvas.parentElement;
-    const rect = container.getBoundingClientRect();
-    this.canvas.width = rect.width;
-    this.canvas.height = rect.height;
-    this.width = this.canvas.width;
-    this.height = this.canvas.height;
-    this.centerX = this.width / 2;
-    this.centerY = this.height / 2;
-    this.radius = Math.min(this.width, this.height) * 0.4;
-    this.draw();
+    this.pixelRatio = window.devicePixelRatio || 1;
+    const rect = this.canvas.parentElement.getBoundingClientRect();
+    this.width = rect.width;
+    this.height = rect.height;
+    this.setCanvasSize(this.canvas, this.ctx, rect.width, rect.height);
+
+    const graphRect = this.graphCanvas.parentElement.getBoundingClientRect();
+    this.graphWidth = graphRect.width;
+    this.graphHeight = graphRect.height;
+    this.setCanvasSize(
+      this.graphCanvas,
+      this.graphCtx,
+      graphRect.width,
+      graphRect.height
+    );
+
+    this.updateView();
+  }
+
+  /**
+   * Give a canvas one backing pixel per device pixel and scale its context,
+   * so the drawing code keeps working in CSS pixels
+   * @param {HTMLCanvasElement} canvas - The canvas to size
+   * @param {CanvasRenderingContext2D} ctx - Its 2D context
+   * @param {number} width - Width in CSS pixels
+   * @param {number} height - Height in CSS pixels
+   */
+  setCanvasSize(canvas, ctx, width, height) {
+    canvas.width = Math.round(width * this.pixelRatio);
+    canvas.height = Math.round(height * this.pixelRatio);
+    // Resizing resets the context, so the scale is set again every time
+    ctx.setTransform(this.pixelRatio, 0, 0, this.pixelRatio, 0, 0);
+  }
+
+  /**
+   * Re-render when the page moves to a screen with a different pixel
+   * density (resize events don't cover that)
+   */
+  watchPixelRatio() {
+    if (!window.matchMedia) return;
+    window
+      .matchMedia(`(resolution: ${window.devicePixelRatio || 1}dppx)`)
+      .addEventListener(
+        "change",
+        () => {
+          this.resizeCanvas();
+          this.watchPixelRatio(); // Listen for the new density
+        },
+        { once: true }
+      );
   }
 
   /**
-   * Initialize the special angles data with exact values
+   * Initialize the special angles data with exact values for the active set
    */
   initSpecialAngles() {
-    this.specialAngles = [
-      {
-        radians: 0,
-        degrees: 0,
-        coords: { x: 1, y: 0 },
-        exactCoordsStr: "(1, 0)",
-      },
-      {
-        radians: Math.PI / 6,
-        degrees: 30,
-        coords: { x: Math.sqrt(3) / 2, y: 1 / 2 },
-        exactCoordsStr: "(√3/2, 1/2)",
-      },
-      {
-        radians: Math.PI / 4,
-        degrees: 45,
-        coords: { x: Math.sqrt(2) / 2, y: Math.sqrt(2) / 2 },
-        exactCoordsStr: "(√2/2, √2/2)",
-      },
-      {
-        radians: Math.PI / 3,
-        degrees: 60,
-        coords: { x: 1 / 2, y: Math.sqrt(3) / 2 },
-        exactCoordsStr: "(1/2, √3/2)",
-      },
-      {
-        radians: Math.PI / 2,
-        degrees: 90,
-        coords: { x: 0, y: 1 },
-        exactCoordsStr: "(0, 1)",
-      },
-      {
-        radians: (2 * Math.PI) / 3,
-        degrees: 120,
-        coords: { x: -1 / 2, y: Math.sqrt(3) / 2 },
-        exactCoordsStr: "(-1/2, √3/2)",
-      },
-      {
-        radians: (3 * Math.PI) / 4,
-        degrees: 135,
-        coords: { x: -Math.sqrt(2) / 2, y: Math.sqrt(2) / 2 },
-        exactCoordsStr: "(-√2/2, √2/2)",
-      },
-      {
-        radians: (5 * Math.PI) / 6,
-        degrees: 150,
-        coords: { x: -Math.sqrt(3) / 2, y: 1 / 2 },
-        exactCoordsStr: "(-√3/2, 1/2)",
-      },
-      {
-        radians: Math.PI,
-        degrees: 180,
-        coords: { x: -1, y: 0 },
-        exactCoordsStr: "(-1, 0)",
-      },
-      {
-        radians: (7 * Math.PI) / 6,
-        degrees: 210,
-        coords: { x: -Math.sqrt(3) / 2, y: -1 / 2 },
-        exactCoordsStr: "(-√3/2, -1/2)",
-      },
-      {
-        radians: (5 * Math.PI) / 4,
-        degrees: 225,
-        coords: { x: -Math.sqrt(2) / 2, y: -Math.sqrt(2) / 2 },
-        exactCoordsStr: "(-√2/2, -√2/2)",
-      },
-      {
-        radians: (4 * Math.PI) / 3,
-        degrees: 240,
-        coords: { x: -1 / 2, y: -Math.sqrt(3) / 2 },
-        exactCoordsStr: "(-1/2, -√3/2)",
-      },
-      {
-        radians: (3 * Math.PI) / 2,
-        degrees: 270,
-        coords: { x: 0, y: -1 },
-        exactCoordsStr: "(0, -1)",
-      },
-      {
-        radians: (5 * Math.PI) / 3,
-        degrees: 300,
-        coords: { x: 1 / 2, y: -Math.sqrt(3) / 2 },
-        exactCoordsStr: "(1/2, -√3/2)",
-      },
-      {
-        radians: (7 * Math.PI) / 4,
-        degrees: 315,
-        coords: { x: Math.sqrt(2) / 2, y: -Math.sqrt(2) / 2 },
-        exactCoordsStr: "(√2/2, -√2/2)",
-      },
-      {
-        radians: (11 * Math.PI) / 6,
-        degrees: 330,
-        coords: { x: Math.sqrt(3) / 2, y: -1 / 2 },
-        exactCoordsStr: "(√3/2, -1/2)",
-      },
-    ];
-    // Calculate trigonometric values for each special angle
-    this.specialAngles.forEach((angle) => {
-      const { x, y } = angle.coords;
-      angle.sin = y;
-      angle.cos = x;
-      angle.tan = x === 0 ? Infinity : y / x;
-      angle.csc = y === 0 ? Infinity : 1 / y;
-      angle.sec = x === 0 ? Infinity : 1 / x;
-      angle.cot = y === 0 ? Infinity : x / y;
-      angle.sinStr = this.getExactTrigString(angle.sin);
-      angle.cosStr = this.getExactTrigString(angle.cos);
-      angle.tanStr = this.getExactTrigString(angle.tan);
-      angle.cscStr = this.getExactTrigString(angle.csc);
-      angle.secStr = this.getExactTrigString(angle.sec);
-      angle.cotStr = this.getExactTrigString(angle.cot);
+    const set = this.angleSets[this.activeAngleSet];
+    if (set.degrees) {
+      this.specialAngles = set.degrees.map((degrees) =>
+        this.buildAngleInfoFromDegrees(degrees)
+      );
+    } else {
+      const piFractions = set.piFractions
+        ? set.piFractions
+        : Array.from({ length: 2 * set.multiplesOf }, (_, k) => [
+            k,
+            set.multiplesOf,
+          ]);
+      this.specialAngles = piFractions.map(([numerator, denominator]) =>
+        this.buildExactAngleInfo(numerator, denominator)
+      );
+    }
+
+    // Let formatRadians express every angle of the set as a fraction of π
+    const denominators = new Set([1, 2, 3, 4, 6]);
+    for (const angle of this.specialAngles) {
+      const match = ExactTrig.matchPiFraction(angle.radians, 1e-9, false);
+      if (match) denominators.add(match.denominator);
+    }
+    this.radianDenominators = [...denominators].sort((a, b) => a - b);
+  }
+
+  /**
+   * Switch the active special angle set and refresh everything that uses it
+   * @param {string} setName - Key in angleSets
+   */
+  setAngleSet(setName) {
+    if (!this.angleSets[setName]) return;
+    this.activeAngleSet = setName;
+    this.initSpecialAngles();
+    this.updateInfoPanel();
+    this.updatePinnedAnglesList();
+    this.draw();
+  }
+
+  /**
+   * Load a custom special angle set from JSON text. Accepts an array of angles
+   * in degrees, e.g. [0, 36, 72], or an object {"degrees": [...]}.
+   * @param {string} jsonText - The JSON file contents
+   * @throws {Error} If the JSON is malformed or an entry is not a number
+   */
+  loadCustomAngleSet(jsonText) {
+    let data;
+    try {
+      data = JSON.parse(jsonText);
+    } catch (error) {
+      throw new Error(this.t("json.unreadable", { message: error.message }));
+    }
+    const list = Array.isArray(data) ? data : data && data.degrees;
+    if (!Array.isArray(list) || list.length === 0) {
+      throw new Error(this.t("angleSet.expectedArray"));
+    }
+    const degrees = list.map((entry, index) => {
+      const value = typeof entry === "string" ? Number(entry) : entry;
+      if (typeof value !== "number" || !isFinite(value)) {
+        throw new Error(
+          this.t("angleSet.entryNotNumber", {
+            index: index + 1,
+            entry: JSON.stringify(entry),
+          })
+        );
+      }
+      return ((value % 360) + 360) % 360; // Fold into [0, 360)
     });
+    this.angleSets.custom.degrees = [...new Set(degrees)].sort((a, b) => a - b);
+    this.setAngleSet("custom");
   }
 
   /**
-   * Convert a numeric trigonometric value to its exact string representation
-   * @param {number} value - The trigonometric value
-   * @returns {string} The exact string representation
+   * Build angle data for an angle in degrees, exact when the angle is a
+   * supported multiple of π and approximate otherwise (e.g. 20°)
+   * @param {number} degrees - The angle in degrees
+   * @returns {Object} Angle data shaped like a special angle
+   */
+  buildAngleInfoFromDegrees(degrees) {
+    const radians = (degrees * Math.PI) / 180;
+    const match = ExactTrig.matchPiFraction(radians);
+    if (match)
+      return this.buildExactAngleInfo(match.numerator, match.denominator);
+    const info = this.buildApproximateAngleInfo(radians);
+    info.degrees = degrees; // Keep the degrees exactly as given
+    info.exactCoordsStr = this.locale.formatPair(
+      this.locale.formatNumber(info.coords.x, 3),
+      this.locale.formatNumber(info.coords.y, 3)
+    );
+    return info;
+  }
+
+  /**
+   * Build angle data with exact trig values for (numerator/denominator)·π
+   * using the symbolic engine in exactValues.js
+   * @param {number} numerator - Integer numerator of the multiple of π
+   * @param {number} denominator - Positive integer denominator
+   * @returns {Object|null} Angle data shaped like a special angle, or null if
+   *   the angle has no exact form
+   */
+  buildExactAngleInfo(numerator, denominator) {
+    const exact = ExactTrig.values(numerator, denominator);
+    if (!exact) return null;
+    const toNumber = (value) => (value ? value.toNumber() : Infinity);
+    const x = exact.cos.toNumber();
+    const y = exact.sin.toNumber();
+    const info = {
+      radians: (numerator * Math.PI) / denominator,
+      degrees: (numerator * 180) / denominator,
+      coords: { x, y },
+      exactCoordsStr: this.locale.formatPair(
+        this.getExactTrigString(exact.cos),
+        this.getExactTrigString(exact.sin)
+      ),
+      exact,
+      alternateStrs: {},
+      isExact: true,
+    };
+    // Reciprocals too long to write exactly (see ExactTrig.values) come
+    // from the coordinates as decimals
+    const approximations = { tan: y / x, csc: 1 / y, sec: 1 / x, cot: x / y };
+    for (const fn of ["sin", "cos", "tan", "csc", "sec", "cot"]) {
+      if (exact[fn] === undefined) {
+        info[fn] = approximations[fn];
+        info[`${fn}Str`] = `≈${this.formatApproximate(info[fn])}`;
+        info.alternateStrs[fn] = null;
+        continue;
+      }
+      info[fn] = toNumber(exact[fn]);
+      info[`${fn}Str`] = this.getExactTrigString(exact[fn]);
+      info.alternateStrs[fn] = exact[fn] ? exact[fn].alternateForm() : null;
+    }
+    return info;
+  }
+
+  /**
+   * Convert an exact trigonometric value to its string representation
+   * @param {ExactValue|null} value - The exact value, or null where undefined
+   * @returns {string} The exact string representation, or a decimal when the
+   *   exact form is too long to read (deeply nested radicals)
    */
   getExactTrigString(value) {
-    if (value === 0) return "0";
-    if (value === 1) return "1";
-    if (value === -1) return "-1";
-    if (value === Infinity || value === -Infinity) return "undefined";
-    if (Math.abs(value - 0.5) < 1e-4) return "1/2";
-    if (Math.abs(value + 0.5) < 1e-4) return "-1/2";
-    if (Math.abs(value - Math.sqrt(3) / 2) < 1e-4) return "√3/2";
-    if (Math.abs(value + Math.sqrt(3) / 2) < 1e-4) return "-√3/2";
-    if (Math.abs(value - Math.sqrt(2) / 2) < 1e-4) return "√2/2";
-    if (Math.abs(value + Math.sqrt(2) / 2) < 1e-4) return "-√2/2";
-    if (Math.abs(value - 1 / Math.sqrt(3)) < 1e-4) return "1/√3";
-    if (Math.abs(value + 1 / Math.sqrt(3)) < 1e-4) return "-1/√3";
-    if (Math.abs(value - Math.sqrt(3)) < 1e-4) return "√3";
-    if (Math.abs(value + Math.sqrt(3)) < 1e-4) return "-√3";
-    return value.toFixed(3); // Default precision
+    if (value === null) return this.t("value.undefined");
+    const text = value.toString();
+    if (text.length > this.maxExactStringLength) {
+      return `≈${this.locale.formatNumber(value.toNumber(), 3)}`;
+    }
+    return text;
+  }
+
+  /**
+   * Format an exact value together with its unrationalized form, e.g. "√3/3 = 1/√3"
+   * @param {object} angleInfo - Angle information object with exact strings
+   * @param {string} fn - Trig function name (sin, cos, tan, csc, sec, cot)
+   * @returns {string} Display string for the info panel
+   */
+  formatExactTrigValue(angleInfo, fn) {
+    const alternate = angleInfo.alternateStrs && angleInfo.alternateStrs[fn];
+    const text = angleInfo[`${fn}Str`];
+    return alternate ? `${text} = ${alternate}` : text;
   }
 
   // ===== EVENT HANDLING =====
@@ -324,6 +792,19 @@ class UnitCircle {
     };
   }
 
+  /**
+   * Get the positions of all fingers touching the canvas
+   * @param {TouchEvent} e - The touch event
+   * @returns {Array<{x: number, y: number}>} Canvas coordinates
+   */
+  getTouchPositions(e) {
+    const rect = this.canvas.getBoundingClientRect();
+    return Array.from(e.touches, (touch) => ({
+      x: touch.clientX - rect.left,
+      y: touch.clientY - rect.top,
+    }));
+  }
+
   /**
    * Central handler for pointer movement (mouse or touch).
    * Updates the angle and redraws.
@@ -345,6 +826,8 @@ class UnitCircle {
 
     // If a pin is selected, just update hover state but don't change the angle
     if (this.selectedPinId !== null) return;
+    // During playback the animation drives the angle
+    if (this.isPlaying) return;
 
     const mathPointerPos = this.canvasToMath(canvasX, canvasY);
     const distanceFromCenter = Math.sqrt(
@@ -353,11 +836,19 @@ class UnitCircle {
 
     // Update active state ONLY if the pointer is near the circle
     // This allows interaction to "stop" if moving far away, even if touch is still down
-    this.isInteractionActive = distanceFromCenter <= this.radius * 1.3;
+    this.isInteractionActive = distanceFromCenter <= this.getInteractionReach();
 
     if (this.isInteractionActive) {
+      this.keyboardAngle = null;
+      this.isTypedAngle = false;
+      this.clearMultiplication();
       let angle = Math.atan2(mathPointerPos.y, mathPointerPos.x);
       if (angle < 0) angle += 2 * Math.PI;
+      if (this.options.polarMode) {
+        this.polarRadius = this.getPolarRadiusAt(distanceFromCenter);
+        // With negative r the point lies opposite θ
+        if (this.polarRadius < 0) angle = this.normalizeAngle(angle + Math.PI);
+      }
 
       if (this.options.snapToAngles) {
         const closestAngle = this.findClosestSpecialAngle(angle);
@@ -365,7 +856,17 @@ class UnitCircle {
           angle = closestAngle.radians;
         }
       }
-      this.currentAngle = angle;
+
+      if (this.options.windingMode) {
+        // Unwrap: take the shortest step from the previous position so that
+        // crossing 0 keeps counting turns instead of jumping back
+        let delta = angle - this.normalizeAngle(this.currentAngle);
+        if (delta > Math.PI) delta -= 2 * Math.PI;
+        if (delta < -Math.PI) delta += 2 * Math.PI;
+        this.currentAngle += delta;
+      } else {
+        this.currentAngle = angle;
+      }
       const currentMathPoint = {
         x: Math.cos(this.currentAngle) * this.radius,
         y: Math.sin(this.currentAngle) * this.radius,
@@ -381,6 +882,16 @@ class UnitCircle {
     this.draw();
   }
 
+  /**
+   * How far from the center the pointer still moves the angle
+   * @returns {number} Distance in canvas pixels
+   */
+  getInteractionReach() {
+    return (
+      this.radius * (this.options.polarMode ? this.polarMaxRadius + 0.3 : 1.3)
+    );
+  }
+
   /**
    * Handle pointer down (mousedown or touchstart).
    * @param {MouseEvent|TouchEvent} e
@@ -400,7 +911,32 @@ class UnitCircle {
     const distanceFromCenter = Math.sqrt(
       Math.pow(mathPointerPos.x, 2) + Math.pow(mathPointerPos.y, 2)
     );
-    this.isInteractionActive = distanceFromCenter <= this.radius * 1.3;
+
+    // Dragging the background away from the circle pans the view, as do
+    // Shift or middle-button drags; two fingers pinch to zoom as well
+    const isTouch = e.type === "touchstart";
+    if (
+      distanceFromCenter > this.getInteractionReach() ||
+      this.viewGesture ||
+      (isTouch ? e.touches.length > 1 : e.button === 1 || e.shiftKey)
+    ) {
+      if (!isTouch) e.preventDefault(); // No middle-button autoscroll
+      this.startViewGesture(isTouch ? this.getTouchPositions(e) : [pos]);
+      return;
+    }
+
+    this.isInteractionActive = distanceFromCenter <= this.getInteractionReach();
+
+    // In two-angle mode, pressing on the other angle's point switches to it
+    if (this.options.twoAngleMode && this.selectedPinId === null) {
+      const index = this.liveAngles.findIndex(
+        (live, i) =>
+          i !== this.activeAngleIndex &&
+          Math.hypot(live.point.x - pos.x, live.point.y - pos.y) <=
+            this.pinClickThreshold
+      );
+      if (index !== -1) this.setActiveAngle(index);
+    }
 
     // Update visuals immediately based on press location
     if (this.isInteractionActive) {
@@ -414,6 +950,16 @@ class UnitCircle {
    * @param {MouseEvent|TouchEvent} e
    */
   handlePointerUp(e) {
+    // Ending a pan or pinch neither pins nor selects
+    if (this.viewGesture) {
+      if (e.touches && e.touches.length > 0) {
+        this.startViewGesture(this.getTouchPositions(e)); // Fingers left
+      } else {
+        this.handlePointerEnd();
+      }
+      return;
+    }
+
     const pos = this.getPointerPosition(e); // Get final position
     if (!pos) return;
 
@@ -427,6 +973,17 @@ class UnitCircle {
     );
     const wasActive = this.isInteractionActive; // Remember if interaction was active before clearing
 
+    // Case 0: A quiz question is open - a click on the circle is an answer
+    if (this.isQuizAwaitingAnswer()) {
+      if (wasActive && distanceFromCenter <= this.getInteractionReach()) {
+        if (e.type === "mouseup" || !this.touchMoved) {
+          this.answerQuiz({ angle: this.currentAngle });
+        }
+      }
+      this.handlePointerEnd();
+      return;
+    }
+
     // Case 1: Clicked on a pinned angle
     if (clickedPinId !== null) {
       // If we clicked on the currently selected pin, unselect it
@@ -447,7 +1004,7 @@ class UnitCircle {
     if (
       this.selectedPinId !== null &&
       wasActive &&
-      distanceFromCenter <= this.radius * 1.3
+      distanceFromCenter <= this.getInteractionReach()
     ) {
       this.selectedPinId = null;
       this.updatePinnedAnglesList();
@@ -461,22 +1018,10 @@ class UnitCircle {
     if (
       this.selectedPinId === null &&
       wasActive &&
-      distanceFromCenter <= this.radius * 1.3
+      distanceFromCenter <= this.getInteractionReach()
     ) {
       if (e.type === "mouseup" || (e.type === "touchend" && !this.touchMoved)) {
-        const angleInfo = this.getCurrentAngleInfo();
-        const newPinId = this.nextPinId++;
-        this.pinnedAngles.push({
-          id: newPinId,
-          angle: this.currentAngle,
-          point: { ...this.currentPoint },
-          angleInfo: angleInfo,
-        });
-        // Immediately select the newly pinned angle
-        this.selectedPinId = newPinId;
-        this.updatePinnedAnglesList();
-        this.updateInfoPanel(); // Update info panel with the selected pin's data
-        this.draw(); // Redraw to show the pinned angle immediately
+        this.pinCurrentAngle();
       }
     }
 
@@ -484,11 +1029,60 @@ class UnitCircle {
     this.handlePointerEnd();
   }
 
+  /**
+   * Pin the current angle and select the new pin
+   */
+  pinCurrentAngle() {
+    const pin = this.createPin(
+      this.currentAngle,
+      {},
+      this.getCurrentAngleInfo()
+    );
+    const { angleInfo } = pin;
+    this.pinnedAngles.push(pin);
+    // Immediately select the newly pinned angle
+    this.selectedPinId = pin.id;
+    this.updatePinnedAnglesList();
+    this.updateInfoPanel(); // Update info panel with the selected pin's data
+    this.draw(); // Redraw to show the pinned angle immediately
+    this.announce(
+      this.t("announce.pinned", { angle: this.describeAngle(angleInfo) })
+    );
+  }
+
+  /**
+   * Create a pin for an angle (not yet added to the list)
+   * @param {number} angle - The angle in radians
+   * @param {{name?: string, color?: string, note?: string}} [details] - Annotations
+   * @param {Object} [angleInfo] - Angle information; by default computed
+   *   from the angle without snapping, so saved pins come back unchanged
+   * @returns {{id: number, angle: number, point: {x: number, y: number}, angleInfo: Object, name: string, color: string, note: string}}
+   */
+  createPin(
+    angle,
+    { name = "", color = this.colors.pinned, note = "" } = {},
+    angleInfo = this.getAngleInfo(angle, false)
+  ) {
+    return {
+      id: this.nextPinId++,
+      angle,
+      point: this.angleToCanvasPoint(angle),
+      angleInfo,
+      name,
+      color,
+      note,
+    };
+  }
+
   /**
    * Handle pointer end (mouseleave, mouseout, touchend, touchcancel).
    * Cleans up interaction state and redraws.
    */
   handlePointerEnd() {
+    if (this.viewGesture) {
+      this.viewGesture = null;
+      this.canvas.style.cursor = "crosshair";
+    }
     // Only deactivate and redraw if interaction was previously active
     // to avoid unnecessary redraws on mouseout far from circle.
     if (this.isInteractionActive || this.hoveredPinId !== null) {
@@ -501,21 +1095,34 @@ class UnitCircle {
     this.touchMoved = false; // Reset touch flag regardless
   }
 
+  /**
+   * Abandon any drag in progress and stop listening for its mouseup, e.g.
+   * when an embedded circle leaves the page
+   */
+  cancelPointerDrag() {
+    document.removeEventListener("mouseup", this.handleDocumentMouseUp);
+    this.handlePointerEnd();
+  }
+
   /**
    * Set up mouse and touch event listeners for the canvas
    */
   setupEventListeners() {
     // Mouse Events
-    this.canvas.addEventListener(
-      "mousedown",
-      this.handlePointerDown.bind(this)
-    );
+    this.canvas.addEventListener("mousedown", (e) => {
+      // Listen on the document to catch drags ending outside the canvas
+      document.addEventListener("mouseup", this.handleDocumentMouseUp);
+      this.handlePointerDown(e);
+    });
     this.canvas.addEventListener("mousemove", (e) => {
       const pos = this.getPointerPosition(e);
-      if (pos) this.handlePointerMove(pos.x, pos.y);
+      if (!pos) return;
+      if (this.viewGesture) {
+        this.moveViewGesture([pos]);
+      } else {
+        this.handlePointerMove(pos.x, pos.y);
+      }
     });
-    // Use mouseup on document to catch drags ending outside canvas
-    document.addEventListener("mouseup", this.handlePointerUp.bind(this));
     // Use mouseleave on canvas to stop interaction if pointer leaves canvas
     this.canvas.addEventListener(
       "mouseleave",
@@ -532,6 +1139,10 @@ class UnitCircle {
       "touchmove",
       (e) => {
         e.preventDefault(); // Prevent scroll during canvas drag
+        if (this.viewGesture) {
+          this.moveViewGesture(this.getTouchPositions(e));
+          return;
+        }
         const pos = this.getPointerPosition(e);
         if (pos) {
           this.touchMoved = true; // Flag that touch has moved
@@ -546,440 +1157,4129 @@ class UnitCircle {
       this.handlePointerEnd.bind(this)
     );
 
+    // The wheel (and a trackpad pinch, which arrives as a wheel event)
+    // zooms about the pointer
+    this.canvas.addEventListener(
+      "wheel",
+      (e) => {
+        const pos = this.getPointerPosition(e);
+        if (!pos) return;
+        e.preventDefault(); // Zoom instead of scrolling the page
+        const pixels = e.deltaMode === 1 ? e.deltaY * 16 : e.deltaY; // Lines to pixels
+        this.zoomAt(pos.x, pos.y, Math.exp(-pixels * 0.002));
+      },
+      { passive: false }
+    );
+
+    // Keyboard
+    this.canvas.addEventListener("keydown", this.handleKeyDown.bind(this));
+    this.canvas.addEventListener("focus", () => {
+      this.isInteractionActive = true;
+      this.updateInfoPanel();
+      this.draw();
+      this.announce(this.describeCurrentAngle());
+    });
+    this.canvas.addEventListener("blur", this.handlePointerEnd.bind(this));
+
     // Window Resize
     window.addEventListener("resize", () => this.resizeCanvas());
+
+    // Back/forward navigation and edited links restore the view state
+    if (!this.embedded) {
+      window.addEventListener("popstate", () => this.restoreStateFromUrl());
+      window.addEventListener("hashchange", () => this.restoreStateFromUrl());
+    }
+  }
+
+  /**
+   * Turn a display option on or off, keeping its checkbox and the controls
+   * that depend on it in step, and redraw
+   * @param {string} key - A key of options
+   * @param {boolean} value - Whether the option is on
+   */
+  setOption(key, value) {
+    this.options[key] = value;
+    if (!this.embedded) {
+      this.root.getElementById(`${key}Check`).checked = value;
+      for (const id of this.optionControls[key] || []) {
+        this.root.getElementById(id).classList.toggle("hide", !value);
+      }
+    }
+    if (key === "windingMode" && !value) {
+      // Leaving winding mode folds the angles back into [0, 2π)
+      for (const live of this.liveAngles) {
+        live.angle = this.normalizeAngle(live.angle);
+      }
+    } else if (key === "twoAngleMode" && !value) {
+      this.setActiveAngle(0);
+    } else if (key === "complexPlaneMode" && !value) {
+      this.clearMultiplication();
+    }
+    this.updateInfoPanel();
+    if (key === "showWaveGraph") {
+      this.graphCanvas.parentElement.classList.toggle("hide", !value);
+      this.resizeCanvas(); // Graph canvas needs a size once shown again
+    } else if (key === "polarMode") {
+      this.updateView(); // The unit circle shrinks to fit the rings
+    } else {
+      this.draw();
+    }
   }
 
   /**
    * Set up event listeners for UI controls
    */
   setupControlListeners() {
-    document.getElementById("clearPinsBtn").addEventListener("click", () => {
+    this.root.getElementById("clearPinsBtn").addEventListener("click", () => {
       this.pinnedAngles = [];
       this.selectedPinId = null;
       this.updatePinnedAnglesList();
       this.draw();
     });
-    document
-      .getElementById("showDegreesCheck")
-      .addEventListener("change", (e) => {
-        this.options.showDegrees = e.target.checked;
-        this.draw();
+    for (const key of Object.keys(UnitCircle.defaultOptions)) {
+      this.root
+        .getElementById(`${key}Check`)
+        .addEventListener("change", (e) =>
+          this.setOption(key, e.target.checked)
+        );
+    }
+    this.root
+      .getElementById("activeAngleSelect")
+      .addEventListener("change", (e) =>
+        this.setActiveAngle(Number(e.target.value))
+      );
+    this.root
+      .getElementById("polarPointBtn")
+      .addEventListener("click", () => this.submitPolarPoint());
+    this.root
+      .getElementById("polarPointInput")
+      .addEventListener("keydown", (e) => {
+        if (e.key === "Enter") this.submitPolarPoint();
       });
-    document
-      .getElementById("showRadiansCheck")
-      .addEventListener("change", (e) => {
-        this.options.showRadians = e.target.checked;
-        this.draw();
+    this.root
+      .getElementById("rootsOfUnityInput")
+      .addEventListener("input", (e) => {
+        const n = Math.round(Number(e.target.value));
+        if (n >= 2 && n <= 24) {
+          this.rootsOfUnityCount = n;
+          this.draw();
+        }
       });
-    document
-      .getElementById("showCoordinatesCheck")
-      .addEventListener("change", (e) => {
-        this.options.showCoordinates = e.target.checked;
-        this.draw();
+    this.root.getElementById("multiplyBtn").addEventListener("click", () => {
+      const id = Number(this.root.getElementById("multiplyPinSelect").value);
+      const pin = this.pinnedAngles.find((p) => p.id === id);
+      if (pin) this.multiplyByPin(pin);
+    });
+    this.root
+      .getElementById("startQuizBtn")
+      .addEventListener("click", () => this.startQuiz());
+    this.root
+      .getElementById("quizStopBtn")
+      .addEventListener("click", () => this.finishQuiz());
+    this.root
+      .getElementById("quizNextBtn")
+      .addEventListener("click", () => this.nextQuizQuestion());
+    this.root
+      .getElementById("quizSubmitBtn")
+      .addEventListener("click", () => this.submitQuizInput());
+    this.root
+      .getElementById("quizAnswerInput")
+      .addEventListener("keydown", (e) => {
+        if (e.key === "Enter") this.submitQuizInput();
       });
-    document
-      .getElementById("showRefTriangleCheck")
+    this.root
+      .getElementById("angleUnitSelect")
+      .addEventListener("change", (e) => this.setAngleUnit(e.target.value));
+    this.root
+      .getElementById("zoomInBtn")
+      .addEventListener("click", () =>
+        this.zoomAt(this.width / 2, this.height / 2, this.zoomStep)
+      );
+    this.root
+      .getElementById("zoomOutBtn")
+      .addEventListener("click", () =>
+        this.zoomAt(this.width / 2, this.height / 2, 1 / this.zoomStep)
+      );
+    this.root
+      .getElementById("resetViewBtn")
+      .addEventListener("click", () => this.resetView());
+    this.root
+      .getElementById("themeSelect")
+      .addEventListener("change", (e) => this.setTheme(e.target.value));
+    this.root
+      .getElementById("localeSelect")
+      .addEventListener("change", (e) => this.setLocale(e.target.value));
+    this.root
+      .getElementById("angleSetSelect")
       .addEventListener("change", (e) => {
-        this.options.showRefTriangle = e.target.checked;
-        this.draw();
+        const isCustom = e.target.value === "custom";
+        this.root
+          .getElementById("customAngleSetInput")
+          .classList.toggle("hide", !isCustom);
+        // The custom set is applied once a file has been loaded
+        if (!isCustom || this.angleSets.custom.degrees.length > 0) {
+          this.setAngleSet(e.target.value);
+        }
       });
-    document
-      .getElementById("snapToAnglesCheck")
-      .addEventListener("change", (e) => {
-        this.options.snapToAngles = e.target.checked;
-      }); // No redraw needed just for snap toggle
-    document
-      .getElementById("showAngleArcsCheck")
+    this.root
+      .getElementById("customAngleSetInput")
       .addEventListener("change", (e) => {
-        this.options.showAngleArcs = e.target.checked;
-        this.draw();
+        const file = e.target.files[0];
+        if (!file) return;
+        const errorElement = this.root.getElementById("customAngleSetError");
+        file.text().then((text) => {
+          try {
+            this.loadCustomAngleSet(text);
+            errorElement.classList.add("hide");
+          } catch (error) {
+            errorElement.textContent = error.message;
+            errorElement.classList.remove("hide");
+          }
+        });
       });
-    document
-      .getElementById("showExtraTrigCheck")
-      .addEventListener("change", (e) => {
-        this.options.showExtraTrig = e.target.checked;
-        document
-          .getElementById("extraTrigValues")
-          .classList.toggle("hide", !e.target.checked);
-        this.updateInfoPanel();
-      });
-    document
-      .getElementById("showRefAngleCheck")
+
+    this.root
+      .getElementById("exportPinsJsonBtn")
+      .addEventListener("click", () =>
+        this.downloadBlob(
+          new Blob([this.exportPinsJson()], { type: "application/json" }),
+          "pinned-angles.json"
+        )
+      );
+    this.root.getElementById("exportPinsCsvBtn").addEventListener("click", () =>
+      // The byte order mark lets spreadsheet apps read √ and π correctly
+      this.downloadBlob(
+        new Blob(["\uFEFF" + this.exportPinsCsv()], { type: "text/csv" }),
+        "pinned-angles.csv"
+      )
+    );
+    this.root
+      .getElementById("importPinsInput")
       .addEventListener("change", (e) => {
-        this.options.showRefAngle = e.target.checked;
-        this.updateInfoPanel();
+        const file = e.target.files[0];
+        if (!file) return;
+        const errorElement = this.root.getElementById("importPinsError");
+        file.text().then((text) => {
+          try {
+            this.importPinsJson(text);
+            errorElement.classList.add("hide");
+          } catch (error) {
+            errorElement.textContent = error.message;
+            errorElement.classList.remove("hide");
+          }
+          e.target.value = ""; // Allow loading the same file again
+        });
+      });
+    for (const [elementId, field] of [
+      ["pinNameInput", "name"],
+      ["pinColorInput", "color"],
+      ["pinNoteInput", "note"],
+    ]) {
+      const element = this.root.getElementById(elementId);
+      element.addEventListener("input", (e) =>
+        this.annotateSelectedPin(field, e.target.value)
+      );
+      element.addEventListener("change", (e) =>
+        this.annotateSelectedPin(field, e.target.value, true)
+      );
+    }
+    this.root
+      .getElementById("equationSolveBtn")
+      .addEventListener("click", () => this.submitTrigEquation());
+    for (const id of [
+      "equationInput",
+      "equationStartInput",
+      "equationEndInput",
+    ]) {
+      this.root.getElementById(id).addEventListener("keydown", (e) => {
+        if (e.key === "Enter") this.submitTrigEquation();
+      });
+    }
+    this.root
+      .getElementById("equationClearBtn")
+      .addEventListener("click", () => this.clearTrigEquation());
+    this.root
+      .getElementById("inverseSolveBtn")
+      .addEventListener("click", () => this.submitInverseTrig());
+    this.root
+      .getElementById("inverseValueInput")
+      .addEventListener("keydown", (e) => {
+        if (e.key === "Enter") this.submitInverseTrig();
+      });
+    this.root
+      .getElementById("inverseClearBtn")
+      .addEventListener("click", () => this.clearInverseTrig());
+    this.root
+      .getElementById("angleGoBtn")
+      .addEventListener("click", () => this.submitAngleInput(false));
+    this.root
+      .getElementById("anglePinBtn")
+      .addEventListener("click", () => this.submitAngleInput(true));
+    this.root.getElementById("angleInput").addEventListener("keydown", (e) => {
+      if (e.key === "Enter") this.submitAngleInput(e.shiftKey);
+    });
+    this.root.getElementById("playPauseBtn").addEventListener("click", () => {
+      if (this.isPlaying) {
+        this.pausePlayback();
+      } else {
+        this.startPlayback();
+      }
+    });
+    this.root
+      .getElementById("stepBackBtn")
+      .addEventListener("click", () => this.stepPlayback(-1));
+    this.root
+      .getElementById("stepForwardBtn")
+      .addEventListener("click", () => this.stepPlayback(1));
+    this.root
+      .getElementById("exportPngBtn")
+      .addEventListener("click", () => this.downloadDiagram("png"));
+    this.root
+      .getElementById("exportSvgBtn")
+      .addEventListener("click", () => this.downloadDiagram("svg"));
+    this.root
+      .getElementById("printWorksheetBtn")
+      .addEventListener("click", () => this.printWorksheet());
+    // Drop the worksheet pages once printing is done
+    window.addEventListener("afterprint", () => {
+      this.root.getElementById("worksheet").innerHTML = "";
+    });
+    this.root
+      .getElementById("workspaceSelect")
+      .addEventListener("change", (e) => this.switchWorkspace(e.target.value));
+    this.root
+      .getElementById("newWorkspaceBtn")
+      .addEventListener("click", () => {
+        const nameInput = this.root.getElementById("workspaceNameInput");
+        const errorElement = this.root.getElementById("workspaceError");
+        try {
+          this.createWorkspace(nameInput.value);
+          nameInput.value = "";
+          errorElement.classList.add("hide");
+        } catch (error) {
+          errorElement.textContent = error.message;
+          errorElement.classList.remove("hide");
+        }
       });
-    document
-      .getElementById("showQuadrantCheck")
+    this.root
+      .getElementById("deleteWorkspaceBtn")
+      .addEventListener("click", () => this.deleteActiveWorkspace());
+
+    // Record option changes in the URL (runs after the handlers above)
+    this.root
+      .querySelector(".controls-panel")
       .addEventListener("change", (e) => {
-        this.options.showQuadrant = e.target.checked;
-        this.updateInfoPanel();
+        if (e.target.type === "checkbox") this.saveState();
       });
   }
 
-  // ===== CALCULATIONS & DATA HANDLING =====
+  // ===== EXPORT =====
 
   /**
-   * Find the closest special angle to the given angle
-   * @param {number} angle - The angle in radians
-   * @returns {Object|null} The closest special angle or null if none found
+   * Replay the scene into another drawing context on the theme's canvas
+   * background
+   * @param {CanvasRenderingContext2D|SvgContext} ctx - The target context
    */
-  findClosestSpecialAngle(angle) {
-    if (!this.options.snapToAngles) return null;
-    let closestAngle = null;
-    let minDifference = this.snapTolerance;
+  renderSceneTo(ctx) {
+    const screenCtx = this.ctx;
+    this.ctx = ctx;
+    try {
+      this.ctx.fillStyle = this.colors.canvasBackground;
+      this.ctx.fillRect(0, 0, this.width, this.height);
+      this.drawScene();
+    } finally {
+      this.ctx = screenCtx;
+    }
+  }
+
+  /**
+   * Render the diagram as SVG markup
+   * @returns {string} Standalone SVG document
+   */
+  exportSvg() {
+    const svgCtx = new SvgContext(this.width, this.height);
+    this.renderSceneTo(svgCtx);
+    return svgCtx.toString();
+  }
+
+  /**
+   * Render the diagram onto a larger offscreen canvas
+   * @param {number} [scale=3] - Resolution multiplier
+   * @returns {HTMLCanvasElement} The rendered canvas
+   */
+  exportPngCanvas(scale = 3) {
+    const canvas = document.createElement("canvas");
+    canvas.width = Math.round(this.width * scale);
+    canvas.height = Math.round(this.height * scale);
+    const ctx = canvas.getContext("2d");
+    ctx.scale(scale, scale);
+    this.renderSceneTo(ctx);
+    return canvas;
+  }
+
+  /**
+   * Download the diagram as a PNG or SVG file
+   * @param {string} format - "png" or "svg"
+   */
+  downloadDiagram(format) {
+    const filename = `unit-circle.${format}`;
+    if (format === "svg") {
+      const blob = new Blob([this.exportSvg()], { type: "image/svg+xml" });
+      this.downloadBlob(blob, filename);
+    } else {
+      this.exportPngCanvas().toBlob((blob) => {
+        if (blob) this.downloadBlob(blob, filename);
+      }, "image/png");
+    }
+  }
+
+  /**
+   * Save a blob through a temporary download link
+   * @param {Blob} blob - File contents
+   * @param {string} filename - Suggested file name
+   */
+  downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+  }
+
+  // ===== WORKSHEETS =====
+
+  /**
+   * Run a drawing function with a temporary canvas size, restoring the
+   * on-screen layout afterwards
+   * @param {number} size - Width and height of the drawing in pixels
+   * @param {Function} drawFn - Drawing callback
+   */
+  withLayout(size, drawFn) {
+    const { width, height, centerX, centerY, radius } = this;
+    this.width = size;
+    this.height = size;
+    this.centerX = size / 2;
+    this.centerY = size / 2;
+    this.radius = size * 0.34; // Leave room for coordinate labels
+    try {
+      drawFn();
+    } finally {
+      Object.assign(this, { width, height, centerX, centerY, radius });
+    }
+  }
+
+  /**
+   * Draw one worksheet circle as SVG, with every label shown except the
+   * blank slots
+   * @param {Map<Object, Set<string>>|null} blanks - Blank fields per angle
+   * @returns {string} SVG markup
+   */
+  renderWorksheetSvg(blanks) {
+    const size = 640;
+    const svgCtx = new SvgContext(size, size);
+    const screenCtx = this.ctx;
+    const { showDegrees, showRadians, showCoordinates } = this.options;
+    Object.assign(this.options, {
+      showDegrees: true,
+      showRadians: true,
+      showCoordinates: true,
+    });
+    this.ctx = svgCtx;
+    try {
+      // Printed on paper, so always in the light theme
+      this.withThemeColors("light", () =>
+        this.withLayout(size, () => {
+          this.drawCircle();
+          this.drawAxes();
+          this.drawSpecialAngles(false, false, blanks);
+        })
+      );
+    } finally {
+      this.ctx = screenCtx;
+      Object.assign(this.options, {
+        showDegrees,
+        showRadians,
+        showCoordinates,
+      });
+    }
+    return svgCtx.toString();
+  }
+
+  /**
+   * Choose the blank fields for one worksheet copy
+   * @param {Array<string>} fields - Fields that may be blank
+   * @param {string} mode - "all" blanks every field, "random" one per angle
+   * @returns {Map<Object, Set<string>>} Blank fields per special angle
+   */
+  chooseWorksheetBlanks(fields, mode) {
+    const blanks = new Map();
+    for (const angle of this.specialAngles) {
+      if (mode === "random") {
+        const field = fields[Math.floor(Math.random() * fields.length)];
+        blanks.set(angle, new Set([field]));
+      } else {
+        blanks.set(angle, new Set(fields));
+      }
+    }
+    return blanks;
+  }
+
+  /**
+   * Build the printable worksheet pages: one page per copy and an
+   * optional answer key
+   * @param {{fields: Array<string>, mode: string, copies: number, answerKey: boolean}} settings
+   * @throws {Error} If no field is chosen or the number of copies is invalid
+   */
+  buildWorksheet({ fields, mode, copies, answerKey }) {
+    if (fields.length === 0) {
+      throw new Error(this.t("worksheet.noFields"));
+    }
+    if (!Number.isInteger(copies) || copies < 1 || copies > 50) {
+      throw new Error(this.t("worksheet.copiesRange"));
+    }
+    const container = this.root.getElementById("worksheet");
+    container.innerHTML = "";
+
+    const addPage = (title, svgMarkup, showNameLine) => {
+      const page = document.createElement("section");
+      page.className = "worksheet-page";
+      const heading = document.createElement("h2");
+      heading.textContent = title;
+      page.appendChild(heading);
+      if (showNameLine) {
+        const nameLine = document.createElement("p");
+        nameLine.className = "worksheet-name";
+        nameLine.textContent = this.t("worksheet.nameLine");
+        page.appendChild(nameLine);
+      }
+      const figure = document.createElement("div");
+      figure.className = "worksheet-figure";
+      figure.innerHTML = svgMarkup; // Generated markup, labels are escaped
+      page.appendChild(figure);
+      container.appendChild(page);
+    };
+
+    for (let copy = 1; copy <= copies; copy++) {
+      const title =
+        copies > 1
+          ? this.t("worksheet.copyTitle", { copy, copies })
+          : this.t("worksheet.title");
+      addPage(
+        title,
+        this.renderWorksheetSvg(this.chooseWorksheetBlanks(fields, mode)),
+        true
+      );
+    }
+    if (answerKey) {
+      addPage(
+        this.t("worksheet.answerKeyTitle"),
+        this.renderWorksheetSvg(null),
+        false
+      );
+    }
+  }
+
+  /**
+   * Read the worksheet settings from the controls, build the pages and
+   * open the print dialog
+   */
+  printWorksheet() {
+    const errorElement = this.root.getElementById("worksheetError");
+    const fields = ["degrees", "radians", "coordinates"].filter(
+      (field) =>
+        this.root.getElementById(
+          `worksheetBlank${field[0].toUpperCase()}${field.slice(1)}`
+        ).checked
+    );
+    try {
+      this.buildWorksheet({
+        fields,
+        mode: this.root.getElementById("worksheetModeSelect").value,
+        copies: Number(this.root.getElementById("worksheetCopiesInput").value),
+        answerKey: this.root.getElementById("worksheetAnswerKeyCheck").checked,
+      });
+    } catch (error) {
+      errorElement.textContent = error.message;
+      errorElement.classList.remove("hide");
+      return;
+    }
+    errorElement.classList.add("hide");
+    window.print();
+  }
+
+  // ===== KEYBOARD & SCREEN READER =====
+
+  /**
+   * Handle keys while the canvas has focus:
+   * arrows rotate (Shift for 1° steps), Enter pins, Delete removes the
+   * selected pin, Tab moves between pins and Escape clears the selection.
+   * + and - zoom, and 0 resets the view.
+   * @param {KeyboardEvent} e - The keyboard event
+   */
+  handleKeyDown(e) {
+    switch (e.key) {
+      case "ArrowRight":
+      case "ArrowUp":
+      case "ArrowLeft":
+      case "ArrowDown": {
+        e.preventDefault();
+        const direction =
+          e.key === "ArrowRight" || e.key === "ArrowUp" ? 1 : -1;
+        if (e.shiftKey) {
+          // Step from the unsnapped angle so repeated steps can leave a
+          // snap zone, just like dragging slowly
+          const base =
+            this.keyboardAngle === null
+              ? this.currentAngle
+              : this.keyboardAngle;
+          this.setAngleFromKeyboard(base + (direction * Math.PI) / 180);
+        } else {
+          this.setAngleFromKeyboard(
+            this.currentAngle + this.getStepToNextSpecialAngle(direction)
+          );
+        }
+        break;
+      }
+      case "Enter":
+        e.preventDefault();
+        if (this.isQuizAwaitingAnswer()) {
+          this.answerQuiz({ angle: this.currentAngle });
+        } else {
+          this.pinCurrentAngle();
+        }
+        break;
+      case "Delete":
+      case "Backspace":
+        if (this.selectedPinId === null) return;
+        e.preventDefault();
+        this.deletePinnedAngle(this.selectedPinId);
+        this.announce(
+          this.t("announce.pinDeleted", { count: this.pinnedAngles.length })
+        );
+        break;
+      case "Tab": {
+        // Step through the pins; past the last one, Tab leaves the canvas
+        const index = this.pinnedAngles.findIndex(
+          (pin) => pin.id === this.selectedPinId
+        );
+        const nextIndex =
+          index === -1
+            ? e.shiftKey
+              ? this.pinnedAngles.length - 1
+              : 0
+            : index + (e.shiftKey ? -1 : 1);
+        const pin = this.pinnedAngles[nextIndex];
+        if (!pin) {
+          this.selectedPinId = null;
+          this.updatePinnedAnglesList();
+          return;
+        }
+        e.preventDefault();
+        this.selectedPinId = pin.id;
+        this.isInteractionActive = false; // Show the pin in the info panel
+        this.updatePinnedAnglesList();
+        this.updateInfoPanel();
+        this.draw();
+        const pinText = this.t("announce.pin", {
+          index: nextIndex + 1,
+          count: this.pinnedAngles.length,
+        });
+        this.announce(
+          `${pinText}${pin.name ? `, ${pin.name}` : ""}: ${this.describeAngle(
+            pin.angleInfo
+          )}${
+            pin.note ? ` ${this.t("announce.note", { note: pin.note })}` : ""
+          }`
+        );
+        break;
+      }
+      case "a":
+      case "b":
+        if (!this.options.twoAngleMode) return;
+        e.preventDefault();
+        this.setActiveAngle(e.key === "a" ? 0 : 1);
+        this.announce(
+          this.t("announce.moving", {
+            symbol: this.liveAngles[this.activeAngleIndex].symbol,
+            angle: this.describeCurrentAngle(),
+          })
+        );
+        break;
+      case "+":
+      case "=":
+      case "-":
+        e.preventDefault();
+        this.zoomAt(
+          this.width / 2,
+          this.height / 2,
+          e.key === "-" ? 1 / this.zoomStep : this.zoomStep
+        );
+        this.announce(
+          this.t("announce.zoom", {
+            zoom: this.formatZoom(),
+          })
+        );
+        break;
+      case "0":
+        e.preventDefault();
+        this.resetView();
+        this.announce(this.t("announce.viewReset"));
+        break;
+      case "Escape":
+        if (this.selectedPinId === null) return;
+        this.selectedPinId = null;
+        this.isInteractionActive = true;
+        this.updatePinnedAnglesList();
+        this.updateInfoPanel();
+        this.draw();
+        this.announce(this.t("announce.selectionCleared"));
+        break;
+    }
+  }
+
+  /**
+   * Get the rotation to the next special angle in a direction
+   * @param {number} direction - 1 for counterclockwise, -1 for clockwise
+   * @returns {number} Signed step in radians
+   */
+  getStepToNextSpecialAngle(direction) {
+    const current = this.normalizeAngle(this.currentAngle);
+    let bestStep = direction * 2 * Math.PI;
     for (const specialAngle of this.specialAngles) {
-      let difference = Math.abs(specialAngle.radians - angle);
-      if (difference > Math.PI) difference = 2 * Math.PI - difference;
-      if (difference < minDifference) {
-        minDifference = difference;
-        closestAngle = specialAngle;
+      let step = (specialAngle.radians - current) * direction;
+      if (step <= 1e-9) step += 2 * Math.PI;
+      if (step < Math.abs(bestStep)) bestStep = direction * step;
+    }
+    return bestStep;
+  }
+
+  /**
+   * Move the current angle from the keyboard, snapping like pointer
+   * movement, and announce it
+   * @param {number} angle - The new angle in radians
+   */
+  setAngleFromKeyboard(angle) {
+    if (!this.options.windingMode) angle = this.normalizeAngle(angle);
+    this.keyboardAngle = angle;
+    this.isTypedAngle = false;
+    this.clearMultiplication();
+    const closestAngle = this.findClosestSpecialAngle(angle);
+    if (closestAngle) {
+      let difference = closestAngle.radians - this.normalizeAngle(angle);
+      if (difference > Math.PI) difference -= 2 * Math.PI;
+      if (difference < -Math.PI) difference += 2 * Math.PI;
+      angle += difference;
+    }
+    this.currentAngle = this.options.windingMode
+      ? angle
+      : this.normalizeAngle(angle);
+    this.currentPoint = this.angleToCanvasPoint(this.currentAngle);
+    this.isInteractionActive = true;
+    this.updateInfoPanel();
+    this.draw();
+    this.announce(this.describeCurrentAngle());
+  }
+
+  /**
+   * Describe the current angle for the live region. During a quiz question
+   * only the quadrant is given so the answer isn't read out.
+   * @returns {string} The description
+   */
+  describeCurrentAngle() {
+    if (this.isQuizAwaitingAnswer()) {
+      return this.formatQuadrant(this.getQuadrant(this.currentAngle));
+    }
+    return this.describeAngle(this.getCurrentAngleInfo());
+  }
+
+  /**
+   * Describe an angle's measure, coordinates and trig values in words
+   * @param {Object} angleInfo - Angle information
+   * @returns {string} The description
+   */
+  describeAngle(angleInfo) {
+    const degrees = this.locale.formatDecimal(angleInfo.degrees, 1);
+    const radians = angleInfo.isExact
+      ? this.formatRadians(angleInfo.radians)
+      : this.locale.formatNumber(angleInfo.radians, 2);
+    const coordinates = angleInfo.isExact
+      ? angleInfo.exactCoordsStr
+      : this.locale.formatPair(
+          this.formatApproximate(angleInfo.coords.x),
+          this.formatApproximate(angleInfo.coords.y)
+        );
+    const trigValues = this.locale.formatList(
+      ["sin", "cos", "tan"].map(
+        (fn) =>
+          `${this.locale.localizeFunctions(fn)} ${this.getTrigValueText(
+            angleInfo,
+            fn
+          )}`
+      )
+    );
+    return this.toSpokenText(
+      this.t("describe.angle", { degrees, radians, coordinates, trigValues })
+    );
+  }
+
+  /**
+   * Rewrite math symbols so screen readers pronounce them
+   * @param {string} text - Text containing √, π, /, - and ≈
+   * @returns {string} The spoken form
+   */
+  toSpokenText(text) {
+    const word = (key) => this.t(`spoken.${key}`);
+    return text
+      .replace(/√\(/g, `${word("squareRootOf")} (`)
+      .replace(/√/g, `${word("root")} `)
+      .replace(/π/g, ` ${word("pi")}`)
+      .replace(/≈/g, `${word("approximately")} `)
+      .replace(/(\S)\/(\S)/g, `$1 ${word("over")} $2`)
+      .replace(/(^|[\s(])-/g, `$1${word("minus")} `)
+      .replace(/(\S)-(\S)/g, `$1 ${word("minus")} $2`)
+      .replace(/\(\s+/g, "(")
+      .replace(/\s+/g, " ")
+      .trim();
+  }
+
+  /**
+   * Read a message out through the ARIA live region
+   * @param {string} message - The message
+   */
+  announce(message) {
+    this.root.getElementById("angleAnnouncer").textContent = message;
+  }
+
+  // ===== ANGLE INPUT =====
+
+  /**
+   * Evaluate a typed expression such as "-√3/2", "7π/6", "210°" or
+   * "π/3 + 2π". Supports numbers such as 1.5 or 1e3, + - * / ( ), √ or
+   * sqrt, π or pi, implicit multiplication and the units ° / deg and rad.
+   * @param {string} text - The expression
+   * @returns {{value: number, hasPi: boolean, hasUnit: boolean, mixesPlainTerms: boolean}}
+   *   The value (degree terms converted to radians), what the input
+   *   contained, and whether it adds terms with π or a unit to plain ones,
+   *   as in "π/3 + 30"
+   * @throws {Error} Describing the first problem found
+   */
+  evaluateExpression(text) {
+    const tokenPattern =
+      /\s*(?:((?:\d+(?:\.\d+)?|\.\d+)(?:e[-+]?\d+)?)|(π|pi)|(√|sqrt)|(°|degrees\b|degree\b|deg\b|grados\b|grado\b)|(radians\b|radianes\b|radian\b|rad\b)|([-−+*×/÷()]))/iy;
+    const source = this.locale.normalizeNumberInput(text.trim());
+    const tokens = [];
+    let index = 0;
+    while (index < source.length) {
+      tokenPattern.lastIndex = index;
+      const match = tokenPattern.exec(source);
+      if (!match) {
+        const unexpected = source.slice(index).trim().charAt(0);
+        throw new Error(this.t("angleInput.unexpected", { token: unexpected }));
+      }
+      const [, number, pi, sqrt, degrees, radians, symbol] = match;
+      if (number !== undefined)
+        tokens.push({ type: "number", value: Number(number) });
+      else if (pi) tokens.push({ type: "π" });
+      else if (sqrt) tokens.push({ type: "√" });
+      else if (degrees) tokens.push({ type: "deg" });
+      else if (radians) tokens.push({ type: "rad" });
+      else {
+        const normalized = { "−": "-", "×": "*", "÷": "/" }[symbol] || symbol;
+        tokens.push({ type: normalized });
+      }
+      index = tokenPattern.lastIndex;
+    }
+    if (tokens.length === 0) throw new Error(this.t("angleInput.enterAngle"));
+
+    let position = 0;
+    let hasPi = false;
+    let hasUnit = false;
+    let mixesPlainTerms = false;
+    let angleMarks = 0; // π and unit tokens read so far
+    const peek = () => (tokens[position] ? tokens[position].type : null);
+    const describe = (token) =>
+      token
+        ? token.type === "number"
+          ? this.locale.formatDecimal(token.value, 10)
+          : token.type
+        : "";
+    const startsFactor = (type) =>
+      type === "number" || type === "π" || type === "√" || type === "(";
+
+    const parseSum = () => {
+      // Note which terms hold π or a unit, to catch sums of both kinds
+      const kinds = new Set();
+      const parseTerm = () => {
+        const marksBefore = angleMarks;
+        const value = parseProduct();
+        kinds.add(angleMarks > marksBefore);
+        return value;
+      };
+      let value = parseTerm();
+      while (peek() === "+" || peek() === "-") {
+        const operator = tokens[position++].type;
+        const right = parseTerm();
+        value = operator === "+" ? value + right : value - right;
+      }
+      if (kinds.size > 1) mixesPlainTerms = true;
+      return value;
+    };
+    const parseProduct = () => {
+      let value = parseUnary();
+      while (peek() === "*" || peek() === "/" || startsFactor(peek())) {
+        const operator =
+          peek() === "/" || peek() === "*" ? tokens[position++].type : "*";
+        const right = parseUnary();
+        if (operator === "/" && right === 0)
+          throw new Error(this.t("angleInput.divisionByZero"));
+        value = operator === "/" ? value / right : value * right;
+      }
+      return value;
+    };
+    const parseUnary = () => {
+      if (peek() === "-") {
+        position++;
+        return -parseUnary();
+      }
+      if (peek() === "+") {
+        position++;
+        return parseUnary();
+      }
+      return parseWithUnit();
+    };
+    const parseWithUnit = () => {
+      let value = parsePrimary();
+      while (peek() === "deg" || peek() === "rad") {
+        if (tokens[position++].type === "deg") value = (value * Math.PI) / 180;
+        hasUnit = true;
+        angleMarks++;
+      }
+      return value;
+    };
+    const parsePrimary = () => {
+      const token = tokens[position++];
+      if (!token) {
+        throw new Error(
+          position > 1
+            ? this.t("angleInput.expectedNumber", {
+                token: describe(tokens[position - 2]),
+              })
+            : this.t("angleInput.enterAngle")
+        );
+      }
+      switch (token.type) {
+        case "number":
+          return token.value;
+        case "π":
+          hasPi = true;
+          angleMarks++;
+          return Math.PI;
+        case "√": {
+          const radicand = parseUnary();
+          if (radicand < 0) throw new Error(this.t("angleInput.negativeRoot"));
+          return Math.sqrt(radicand);
+        }
+        case "(": {
+          const value = parseSum();
+          if (peek() !== ")") {
+            throw new Error(this.t("angleInput.missingParenthesis"));
+          }
+          position++;
+          return value;
+        }
+        default:
+          throw new Error(
+            this.t("angleInput.unexpected", { token: describe(token) })
+          );
+      }
+    };
+
+    const value = parseSum();
+    if (position < tokens.length) {
+      throw new Error(
+        this.t("angleInput.unexpected", { token: describe(tokens[position]) })
+      );
+    }
+    if (!isFinite(value)) throw new Error(this.t("angleInput.notFinite"));
+    return { value, hasPi, hasUnit, mixesPlainTerms };
+  }
+
+  /**
+   * Read a typed angle. Expressions with π or an explicit unit are in
+   * radians (degree terms converted); plain numbers such as "210" are degrees.
+   * Sums that mix the two, such as "π/3 + 30", are ambiguous and rejected.
+   * @param {string} text - e.g. "7π/6", "210°", "1.2 rad" or "π/3 + 2π"
+   * @returns {number} The angle in radians
+   * @throws {Error} If the text can't be read
+   */
+  parseAngleExpression(text) {
+    const { value, hasPi, hasUnit, mixesPlainTerms } =
+      this.evaluateExpression(text);
+    if (mixesPlainTerms) throw new Error(this.t("angleInput.mixedUnits"));
+    return hasPi || hasUnit ? value : (value * Math.PI) / 180;
+  }
+
+  /**
+   * Go to (or pin) the angle typed in the angle box, reporting errors inline
+   * @param {boolean} pin - Whether to pin the angle, as a click would
+   */
+  submitAngleInput(pin) {
+    const input = this.root.getElementById("angleInput");
+    const errorElement = this.root.getElementById("angleInputError");
+    let angle;
+    try {
+      angle = this.parseAngleExpression(input.value);
+    } catch (error) {
+      errorElement.textContent = error.message;
+      errorElement.classList.remove("hide");
+      input.setAttribute("aria-invalid", "true");
+      return;
+    }
+    errorElement.classList.add("hide");
+    input.removeAttribute("aria-invalid");
+
+    this.setTypedAngle(angle);
+    if (this.selectedPinId !== null) {
+      this.selectedPinId = null;
+      this.updatePinnedAnglesList();
+    }
+    if (pin) {
+      this.pinCurrentAngle();
+    } else {
+      this.updateInfoPanel();
+      this.draw();
+      this.announce(this.describeCurrentAngle());
+    }
+  }
+
+  /**
+   * Move the current angle to an exact angle, without snapping, e.g. one
+   * typed in the angle box
+   * @param {number} angle - The angle in radians
+   */
+  setTypedAngle(angle) {
+    this.pausePlayback();
+    this.currentAngle = this.options.windingMode
+      ? angle
+      : this.normalizeAngle(angle);
+    this.currentPoint = this.angleToCanvasPoint(this.currentAngle);
+    this.isTypedAngle = true;
+    this.keyboardAngle = null;
+    this.isInteractionActive = true;
+  }
+
+  // ===== THEMES =====
+
+  /**
+   * Apply the saved theme, and follow the system light/dark setting while
+   * the theme is "auto". Embedded circles take theirs from the element's
+   * theme attribute instead.
+   */
+  initTheme() {
+    if (!this.embedded) {
+      try {
+        const saved = localStorage.getItem(this.themeStorageKey);
+        if (this.themes.includes(saved)) this.theme = saved;
+      } catch (error) {
+        // Storage unavailable - follow the system setting
+      }
+    }
+    if (window.matchMedia) {
+      this.darkSchemeQuery = window.matchMedia("(prefers-color-scheme: dark)");
+      this.darkSchemeQuery.addEventListener("change", () => {
+        if (this.theme === "auto") this.setTheme("auto");
+      });
+    }
+    if (!this.embedded) {
+      this.root.getElementById("themeSelect").value = this.theme;
+    }
+    this.applyTheme();
+  }
+
+  /**
+   * Switch theme, remember the choice and redraw in the new colors
+   * @param {string} theme - One of themes
+   */
+  setTheme(theme) {
+    if (!this.themes.includes(theme)) return;
+    this.theme = theme;
+    if (!this.embedded) {
+      try {
+        localStorage.setItem(this.themeStorageKey, theme);
+      } catch (error) {
+        // Storage unavailable - the theme lasts until the page is closed
+      }
+    }
+    const previousPinned = this.colors.pinned;
+    this.applyTheme();
+    // Pins still in the default color take the new theme's default
+    for (const pin of this.pinnedAngles) {
+      if (pin.color === previousPinned) pin.color = this.colors.pinned;
+    }
+    this.updatePinnedAnglesList();
+    this.draw();
+  }
+
+  /**
+   * The element whose data-theme and lang attributes style and label the
+   * circle: the page's root element, or the <unit-circle> element
+   * @returns {HTMLElement}
+   */
+  get themeElement() {
+    return this.embedded ? this.root.host : document.documentElement;
+  }
+
+  /**
+   * Set the data-theme attribute (resolving "auto" to light or dark) and
+   * read the canvas colors for it
+   */
+  applyTheme() {
+    const prefersDark = this.darkSchemeQuery && this.darkSchemeQuery.matches;
+    this.themeElement.dataset.theme =
+      this.theme === "auto" ? (prefersDark ? "dark" : "light") : this.theme;
+    this.colors = this.loadThemeColors();
+  }
+
+  /**
+   * Read the canvas colors from the CSS variables of the active theme,
+   * e.g. colors.standardArc from --standard-arc-color
+   * @returns {Object<string, string>} Colors keyed by colorKeys
+   */
+  loadThemeColors() {
+    const style = getComputedStyle(this.themeElement);
+    const colors = {};
+    for (const key of this.colorKeys) {
+      const name = key.replace(
+        /[A-Z]/g,
+        (letter) => `-${letter.toLowerCase()}`
+      );
+      colors[key] = style.getPropertyValue(`--${name}-color`).trim();
+    }
+    return colors;
+  }
+
+  /**
+   * Draw with another theme's colors without changing the page, e.g. the
+   * light theme for printed worksheets
+   * @param {string} theme - A data-theme value such as "light"
+   * @param {Function} callback - The drawing to do
+   * @returns {*} Whatever the callback returns
+   */
+  withThemeColors(theme, callback) {
+    const element = this.themeElement;
+    const activeTheme = element.dataset.theme;
+    const activeColors = this.colors;
+    element.dataset.theme = theme;
+    this.colors = this.loadThemeColors();
+    try {
+      return callback();
+    } finally {
+      element.dataset.theme = activeTheme;
+      this.colors = activeColors;
+    }
+  }
+
+  // ===== LOCALIZATION =====
+
+  /**
+   * Use the saved language, or else the browser's preferred one, and
+   * translate the page into it
+   */
+  initLocale() {
+    let code = null;
+    try {
+      code = localStorage.getItem(this.localeStorageKey);
+    } catch (error) {
+      // Storage unavailable - use the browser's language
+    }
+    if (!Object.prototype.hasOwnProperty.call(Locale.catalogues, code)) {
+      code = Locale.detect(navigator.languages || [navigator.language]);
+    }
+    this.locale = new Locale(code);
+    if (!this.embedded) {
+      const select = this.root.getElementById("localeSelect");
+      for (const [catalogueCode, { name }] of Object.entries(
+        Locale.catalogues
+      )) {
+        const option = document.createElement("option");
+        option.value = catalogueCode;
+        option.textContent = name; // Each language in its own name
+        option.lang = catalogueCode;
+        select.appendChild(option);
+      }
+      select.value = this.locale.code;
+    }
+    this.translatePage();
+  }
+
+  /**
+   * Switch language, remember the choice and rewrite everything on screen
+   * @param {string} code - A key of Locale.catalogues
+   */
+  setLocale(code) {
+    if (!Object.prototype.hasOwnProperty.call(Locale.catalogues, code)) return;
+    this.locale = new Locale(code);
+    if (!this.embedded) {
+      try {
+        localStorage.setItem(this.localeStorageKey, code);
+      } catch (error) {
+        // Storage unavailable - the language lasts until the page is closed
+      }
+    }
+    this.translatePage();
+    this.refreshAngleText();
+    this.updatePinnedAnglesList();
+    this.updateWorkspaceList();
+    this.updatePlaybackButton();
+    this.updateQuizText();
+    this.updateInfoPanel();
+    this.updateView(); // Rewrites the zoom level and redraws
+  }
+
+  /**
+   * Translate a message into the active language
+   * @param {string} key - Catalogue key, e.g. "info.quadrant"
+   * @param {Object<string, string|number>} [params] - Placeholder values
+   * @returns {string} The message
+   */
+  t(key, params) {
+    return this.locale.t(key, params);
+  }
+
+  /**
+   * Rewrite the page's static text: the text of elements with data-i18n
+   * and the placeholder and aria-label attributes named by
+   * data-i18n-placeholder and data-i18n-aria-label
+   */
+  translatePage() {
+    this.themeElement.lang = this.locale.code;
+    for (const element of this.root.querySelectorAll("[data-i18n]")) {
+      element.textContent = this.t(element.dataset.i18n);
+    }
+    for (const element of this.root.querySelectorAll(
+      "[data-i18n-placeholder]"
+    )) {
+      element.placeholder = this.t(element.dataset.i18nPlaceholder);
+    }
+    for (const element of this.root.querySelectorAll(
+      "[data-i18n-aria-label]"
+    )) {
+      element.setAttribute("aria-label", this.t(element.dataset.i18nAriaLabel));
+    }
+  }
+
+  /**
+   * Give an element a catalogue message that translatePage keeps up to date
+   * @param {HTMLElement} element
+   * @param {string} key - Catalogue key
+   */
+  setTranslatedText(element, key) {
+    element.dataset.i18n = key;
+    element.textContent = this.t(key);
+  }
+
+  /**
+   * Rebuild the stored text of the special angles, pins and results (their
+   * decimals and "undefined") in the active language. The angle data is
+   * updated in place since quiz questions refer to it.
+   */
+  refreshAngleText() {
+    const refresh = (angleInfo) =>
+      Object.assign(
+        angleInfo,
+        this.buildAngleInfoFromDegrees(angleInfo.degrees)
+      );
+    this.specialAngles.forEach(refresh);
+    for (const pin of this.pinnedAngles) refresh(pin.angleInfo);
+    if (this.inverse) {
+      this.inverse = this.solveInverseTrig(this.inverse.fn, this.inverse.k);
+      this.updateInverseResult();
+    }
+    if (this.equation) {
+      Object.assign(
+        this.equation,
+        this.solveTrigEquation(
+          this.equation,
+          this.equation.start,
+          this.equation.end
+        )
+      );
+      this.updateEquationInfo();
+    }
+  }
+
+  /**
+   * Work in another language without changing the page, e.g. English for
+   * data exports
+   * @param {string} code - A key of Locale.catalogues
+   * @param {Function} callback - The work to do
+   * @returns {*} Whatever the callback returns
+   */
+  withLocale(code, callback) {
+    const activeLocale = this.locale;
+    this.locale = new Locale(code);
+    try {
+      return callback();
+    } finally {
+      this.locale = activeLocale;
+    }
+  }
+
+  // ===== ANGLE UNITS =====
+
+  /**
+   * Change the unit used to display angles
+   * @param {string} unit - One of angleUnits
+   */
+  setAngleUnit(unit) {
+    if (!this.angleUnits.includes(unit)) return;
+    this.angleUnit = unit;
+    this.updatePinnedAnglesList(); // Relabels the pins and saves the state
+    this.updateInfoPanel();
+    this.draw();
+  }
+
+  /**
+   * The unit shown next to the chosen one: radians, or degrees when the
+   * chosen unit is already radians
+   * @returns {string} One of angleUnits
+   */
+  getSecondaryAngleUnit() {
+    return this.angleUnit.startsWith("radians") ? "degrees" : "radians";
+  }
+
+  /**
+   * Find an angle exactly as a fraction of a turn: either a multiple of
+   * π/d or a whole number of arcseconds (as typed angles such as 30.5° are)
+   * @param {number} radians - The angle in radians
+   * @returns {Rational|null} Turns, or null if the angle isn't exact
+   */
+  getExactTurns(radians) {
+    const fraction = ExactTrig.matchPiFraction(radians, 1e-9, false);
+    if (fraction) {
+      return new Rational(fraction.numerator, 2 * fraction.denominator);
+    }
+    const arcseconds = (radians * 648000) / Math.PI;
+    if (Math.abs(arcseconds - Math.round(arcseconds)) < 1e-6) {
+      return new Rational(Math.round(arcseconds), 1296000);
+    }
+    return null;
+  }
+
+  /**
+   * Write an exact rational as a decimal when it terminates within four
+   * places, otherwise as a fraction if that stays short (else a rounded
+   * decimal)
+   * @param {Rational} value
+   * @param {number} maxDenominator - Largest denominator worth showing
+   * @param {boolean} [preferFraction=false] - Use a short fraction even
+   *   when the decimal terminates, as for "1/8 turn"
+   * @returns {string} e.g. "22.5", "200/9" or "210.2583"
+   */
+  formatRationalMeasure(value, maxDenominator, preferFraction = false) {
+    const terminates = value.mul(new Rational(10000)).den === 1n;
+    if (
+      (preferFraction || !terminates) &&
+      value.den <= BigInt(maxDenominator)
+    ) {
+      return value.toString();
+    }
+    return this.locale.formatDecimal(value.toNumber(), 4);
+  }
+
+  /**
+   * Format an angle in a unit, exactly where possible
+   * @param {number} radians - The angle in radians
+   * @param {string} [unit] - One of angleUnits; the chosen unit by default
+   * @returns {string} e.g. "210°", "210°15′30″", "700/3 grad", "7/12 turn",
+   *   "7π/6 rad" or "3.6652 rad"
+   */
+  formatAngle(radians, unit = this.angleUnit) {
+    const turns = this.getExactTurns(radians);
+    // Measure in a unit with perTurn units to the turn; fractions such as
+    // 360/7 are kept when the denominator is at most maxDenominator
+    const measure = (perTurn, decimals, maxDenominator = 12) =>
+      turns
+        ? this.formatRationalMeasure(
+            turns.mul(new Rational(perTurn)),
+            maxDenominator,
+            perTurn === 1
+          )
+        : this.locale.formatDecimal(
+            (radians / (2 * Math.PI)) * perTurn,
+            decimals
+          );
+    switch (unit) {
+      case "dms":
+        return this.formatDms(
+          turns
+            ? turns.mul(new Rational(1296000)).toNumber()
+            : (radians * 648000) / Math.PI
+        );
+      case "gradians":
+        return `${measure(400, 1)} ${this.t("measure.grad")}`;
+      case "turns": {
+        const text = measure(1, 4, 720);
+        const plural = Math.abs(radians) > 2 * Math.PI + 1e-9;
+        return `${text} ${this.t(plural ? "measure.turns" : "measure.turn")}`;
+      }
+      case "radians":
+        return `${this.formatPiFraction(radians)} rad`;
+      case "radiansDecimal":
+        return `${this.locale.formatDecimal(radians, 4)} rad`;
+      default:
+        return `${measure(360, 1)}°`;
+    }
+  }
+
+  /**
+   * Write an angle in degrees, minutes and seconds, rounding the seconds
+   * to a tenth when they aren't whole
+   * @param {number} arcseconds - The angle in seconds of arc
+   * @returns {string} e.g. "210°15′30″" or "-51°25′42.9″"
+   */
+  formatDms(arcseconds) {
+    const sign = arcseconds < 0 ? "-" : "";
+    const tenths = Math.round(Math.abs(arcseconds) * 10);
+    const degrees = Math.floor(tenths / 36000);
+    const minutes = Math.floor((tenths % 36000) / 600);
+    const seconds = this.locale.formatDecimal((tenths % 600) / 10, 1);
+    return `${sign}${degrees}°${minutes}′${seconds}″`;
+  }
+
+  /**
+   * Format an angle in the chosen unit and the one shown next to it
+   * @param {number} radians - The angle in radians
+   * @returns {string} e.g. "30° / π/6 rad"
+   */
+  formatAnglePair(radians) {
+    return `${this.formatAngle(radians)} / ${this.formatAngle(
+      radians,
+      this.getSecondaryAngleUnit()
+    )}`;
+  }
+
+  // ===== POLAR =====
+
+  /**
+   * Turn the pointer's distance from the center into r, snapping to
+   * multiples of 0.5 (when snapping is on) and negating it for negative-r
+   * practice
+   * @param {number} distance - Distance from the center in canvas pixels
+   * @returns {number} Signed r
+   */
+  getPolarRadiusAt(distance) {
+    let r = Math.min(distance / this.radius, this.polarMaxRadius);
+    if (
+      this.options.snapToAngles &&
+      Math.abs(r * 2 - Math.round(r * 2)) < 0.15
+    ) {
+      r = Math.round(r * 2) / 2;
+    } else {
+      r = Math.round(r * 100) / 100;
+    }
+    return this.options.polarNegativeR ? -r : r;
+  }
+
+  /**
+   * Format r for display
+   * @param {number} r - The radius
+   * @returns {string} e.g. "2", "-1.5"
+   */
+  formatPolarRadius(r) {
+    return this.locale.formatDecimal(r, 2);
+  }
+
+  /**
+   * Work out (x, y) = (r cos θ, r sin θ), exactly when θ is a special angle
+   * and r a multiple of 1/2
+   * @param {number} r - The radius
+   * @param {Object} angleInfo - Angle information for θ
+   * @returns {string} e.g. "(1, √3)"
+   */
+  formatPolarToCartesian(r, angleInfo) {
+    if (angleInfo.isExact && Number.isInteger(r * 2)) {
+      const factor = new Rational(Math.round(r * 2), 2);
+      return this.locale.formatPair(
+        this.getExactTrigString(angleInfo.exact.cos.scale(factor)),
+        this.getExactTrigString(angleInfo.exact.sin.scale(factor))
+      );
+    }
+    return this.locale.formatPair(
+      this.formatApproximate(r * Math.cos(angleInfo.radians)),
+      this.formatApproximate(r * Math.sin(angleInfo.radians))
+    );
+  }
+
+  /**
+   * Other (r, θ) pairs for the same point: θ may gain any whole turn, and
+   * -r with θ + π reaches the same point from the opposite side
+   * @param {number} r - The radius
+   * @param {number} angle - θ in radians
+   * @returns {Array<string>} Representations, e.g. ["(2, -5π/3)", "(-2, 4π/3)"]
+   */
+  getPolarAlternatives(r, angle) {
+    const theta = this.normalizeAngle(angle);
+    const opposite = this.normalizeAngle(theta + Math.PI);
+    const pair = (radius, radians) =>
+      this.locale.formatPair(
+        this.formatPolarRadius(radius),
+        this.formatPiFraction(radians)
+      );
+    return [
+      pair(r, theta),
+      pair(r, theta - 2 * Math.PI),
+      pair(-r, opposite),
+      pair(-r, opposite - 2 * Math.PI),
+    ].filter((text, index, all) => all.indexOf(text) === index);
+  }
+
+  /**
+   * Show (r, θ) ↔ (x, y) and other representations of the point
+   * @param {Object|null} angleInfo - θ of the live point, or null when the
+   *   panel shows something else (such as a pin)
+   */
+  updatePolarInfo(angleInfo) {
+    const show = this.options.polarMode && angleInfo !== null;
+    this.root.getElementById("polarRow").classList.toggle("hide", !show);
+    this.root
+      .getElementById("polarAlternativesRow")
+      .classList.toggle("hide", !show);
+    if (!show) return;
+
+    const r = this.polarRadius;
+    const rText = this.formatPolarRadius(r);
+    const thetaText = angleInfo.isExact
+      ? this.formatRadians(angleInfo.radians)
+      : this.formatPiFraction(angleInfo.radians);
+    const [cos, sin] = ["cos", "sin"].map((fn) =>
+      this.locale.localizeFunctions(fn)
+    );
+    this.root.getElementById(
+      "polarValue"
+    ).textContent = `${this.locale.formatPair(
+      rText,
+      thetaText
+    )} ↔ ${this.locale.formatPair("x", "y")} = ${this.locale.formatPair(
+      `${rText} ${cos} ${thetaText}`,
+      `${rText} ${sin} ${thetaText}`
+    )} = ${this.formatPolarToCartesian(r, angleInfo)}`;
+    this.root.getElementById("polarAlternativesValue").textContent =
+      r === 0
+        ? this.t("polar.anyAngle", { point: this.locale.formatPair("0", "θ") })
+        : this.t("polar.inGeneral", {
+            alternatives: this.locale.formatList(
+              this.getPolarAlternatives(r, angleInfo.radians)
+            ),
+            first: this.locale.formatPair(rText, "θ + 2πk"),
+            second: this.locale.formatPair(
+              this.formatPolarRadius(-r),
+              "θ + π + 2πk"
+            ),
+          });
+  }
+
+  /**
+   * Read a typed polar point such as "(-2, π/4)" or "3, 120°" and move to it
+   */
+  submitPolarPoint() {
+    const input = this.root.getElementById("polarPointInput");
+    const errorElement = this.root.getElementById("polarPointError");
+    let r;
+    let angle;
+    try {
+      // A semicolon also separates them, for languages with decimal commas
+      const parts = this.locale
+        .normalizeNumberInput(input.value.trim())
+        .replace(/^\(|\)$/g, "")
+        .split(/[,;]/);
+      if (parts.length !== 2) throw new Error(this.t("polar.enterPair"));
+      r = this.evaluateNumericInput(parts[0]);
+      if (r === null) {
+        throw new Error(this.t("polar.notNumber", { text: parts[0].trim() }));
+      }
+      if (Math.abs(r) > this.polarMaxRadius) {
+        throw new Error(
+          this.t("polar.outOfRange", { max: this.polarMaxRadius })
+        );
+      }
+      angle = this.parseAngleExpression(parts[1]);
+    } catch (error) {
+      errorElement.textContent = error.message;
+      errorElement.classList.remove("hide");
+      input.setAttribute("aria-invalid", "true");
+      return;
+    }
+    errorElement.classList.add("hide");
+    input.removeAttribute("aria-invalid");
+
+    this.pausePlayback();
+    this.clearMultiplication();
+    this.polarRadius = r;
+    this.isTypedAngle = true;
+    this.keyboardAngle = null;
+    this.currentAngle = this.options.windingMode
+      ? angle
+      : this.normalizeAngle(angle);
+    this.currentPoint = this.angleToCanvasPoint(this.currentAngle);
+    this.selectedPinId = null;
+    this.isInteractionActive = true;
+    this.updatePinnedAnglesList();
+    this.updateInfoPanel();
+    this.draw();
+  }
+
+  /**
+   * Draw rings at r = 1, 2, 3 with their labels along the positive x-axis
+   */
+  drawPolarGrid() {
+    this.ctx.strokeStyle = this.colors.staticFaded;
+    this.ctx.fillStyle = this.colors.static;
+    this.ctx.lineWidth = 1;
+    this.ctx.font = "12px Arial";
+    this.ctx.textAlign = "center";
+    this.ctx.textBaseline = "top";
+    for (let r = 1; r <= this.polarMaxRadius; r++) {
+      if (r > 1) {
+        this.ctx.beginPath();
+        this.ctx.arc(
+          this.centerX,
+          this.centerY,
+          r * this.radius,
+          0,
+          2 * Math.PI
+        );
+        this.ctx.stroke();
+      }
+      this.ctx.fillText(
+        `r = ${r}`,
+        this.centerX + r * this.radius - 14,
+        this.centerY + 4
+      );
+    }
+    this.ctx.textAlign = "start";
+    this.ctx.textBaseline = "alphabetic";
+  }
+
+  /**
+   * Draw the point (r cos θ, r sin θ), its line from the origin and its
+   * (r, θ) label. For negative r the line continues through the origin
+   * from θ's direction to the opposite side.
+   */
+  drawPolarPoint() {
+    const r = this.polarRadius;
+    const angle = this.currentAngle;
+    const point = this.mathToCanvas(
+      r * this.radius * Math.cos(angle),
+      r * this.radius * Math.sin(angle)
+    );
+
+    this.ctx.strokeStyle = this.colors.polar;
+    this.ctx.lineWidth = 2;
+    if (r < 0) {
+      // Dashed continuation of θ's ray back through the origin
+      this.ctx.setLineDash([4, 4]);
+      this.ctx.beginPath();
+      this.ctx.moveTo(this.currentPoint.x, this.currentPoint.y);
+      this.ctx.lineTo(this.centerX, this.centerY);
+      this.ctx.stroke();
+      this.ctx.setLineDash([]);
+    }
+    this.ctx.beginPath();
+    this.ctx.moveTo(this.centerX, this.centerY);
+    this.ctx.lineTo(point.x, point.y);
+    this.ctx.stroke();
+    this.ctx.fillStyle = this.colors.polar;
+    this.ctx.beginPath();
+    this.ctx.arc(point.x, point.y, 6, 0, 2 * Math.PI);
+    this.ctx.fill();
+
+    const angleInfo = this.getCurrentAngleInfo();
+    const label = this.locale.formatPair(
+      this.formatPolarRadius(r),
+      angleInfo.isExact
+        ? this.formatRadians(angleInfo.radians)
+        : this.locale.formatNumber(angleInfo.radians, 2)
+    );
+    // Keep the label on the far side of the point from the origin
+    const direction = r < 0 ? angle + Math.PI : angle;
+    const labelX = point.x + 34 * Math.cos(direction);
+    const labelY = point.y - 20 * Math.sin(direction);
+    this.ctx.font = "bold 13px Arial";
+    this.ctx.textAlign = "center";
+    this.ctx.textBaseline = "middle";
+    const width = this.ctx.measureText(label).width;
+    this.ctx.fillStyle = this.colors.labelBackground;
+    this.ctx.fillRect(labelX - width / 2 - 3, labelY - 8, width + 6, 16);
+    this.ctx.fillStyle = this.colors.polar;
+    this.ctx.fillText(label, labelX, labelY);
+    this.ctx.textAlign = "start";
+    this.ctx.textBaseline = "alphabetic";
+    this.ctx.lineWidth = 1;
+  }
+
+  // ===== COMPLEX PLANE =====
+
+  /**
+   * Write the point of an angle as the complex number cos θ + i sin θ
+   * @param {Object} angleInfo - Angle information
+   * @returns {string} e.g. "√3/2 + (1/2)i", "-i" or "0.540 + 0.841i"
+   */
+  formatComplexNumber(angleInfo) {
+    const [real, imaginary] = ["cos", "sin"].map((fn) =>
+      angleInfo.isExact
+        ? angleInfo[`${fn}Str`]
+        : this.locale.formatNumber(angleInfo[fn], 3)
+    );
+    // Zero when exact, or when it rounds to zero at three decimal places
+    const isZero = (value) =>
+      Math.abs(value) < (angleInfo.isExact ? 1e-12 : 5e-4);
+    if (isZero(angleInfo.sin)) return real;
+    const negative = imaginary.startsWith("-");
+    const magnitude = negative ? imaginary.slice(1) : imaginary;
+    // Bracket fractions and sums so "1/2i" doesn't read as 1/(2i)
+    const imaginaryPart =
+      magnitude === "1"
+        ? "i"
+        : /[/+−-]/.test(magnitude)
+        ? `(${magnitude})i`
+        : `${magnitude}i`;
+    if (isZero(angleInfo.cos)) return `${negative ? "-" : ""}${imaginaryPart}`;
+    return `${real} ${negative ? "−" : "+"} ${imaginaryPart}`;
+  }
+
+  /**
+   * Multiply the current point z by a pinned unit complex number w,
+   * animating z rotating through w's angle to z·w
+   * @param {Object} pin - The pin w
+   */
+  multiplyByPin(pin) {
+    this.pausePlayback();
+    this.clearMultiplication();
+    this.selectedPinId = null; // The current angle is drawn only without a selection
+    this.updatePinnedAnglesList();
+    this.multiplication = {
+      fromAngle: this.currentAngle,
+      byAngle: pin.angle,
+      pinColor: pin.color,
+      startTime: null,
+      progress: 0,
+    };
+    this.isTypedAngle = true; // Land exactly on the product, without snapping
+    this.isInteractionActive = true;
+    this.multiplicationFrameId = requestAnimationFrame((time) =>
+      this.multiplicationFrame(time)
+    );
+  }
+
+  /**
+   * Advance the multiplication animation
+   * @param {number} time - Frame timestamp in milliseconds
+   */
+  multiplicationFrame(time) {
+    const multiplication = this.multiplication;
+    if (!multiplication) return;
+    if (multiplication.startTime === null) multiplication.startTime = time;
+    const t = Math.min(
+      1,
+      (time - multiplication.startTime) / this.multiplicationDuration
+    );
+    multiplication.progress = t * t * (3 - 2 * t); // Ease in and out
+    const angle =
+      multiplication.fromAngle +
+      multiplication.byAngle * multiplication.progress;
+    this.currentAngle =
+      this.options.windingMode || t < 1 ? angle : this.normalizeAngle(angle);
+    this.currentPoint = this.angleToCanvasPoint(this.currentAngle);
+    this.isInteractionActive = true;
+    this.updateInfoPanel();
+    this.draw();
+    if (t < 1) {
+      this.multiplicationFrameId = requestAnimationFrame((next) =>
+        this.multiplicationFrame(next)
+      );
+    } else {
+      this.multiplicationFrameId = null;
+      this.announce(
+        this.t("announce.product", { angle: this.describeCurrentAngle() })
+      );
+    }
+  }
+
+  /**
+   * Stop showing (and animating) a multiplication
+   */
+  clearMultiplication() {
+    if (this.multiplicationFrameId !== null) {
+      cancelAnimationFrame(this.multiplicationFrameId);
+      this.multiplicationFrameId = null;
+    }
+    this.multiplication = null;
+  }
+
+  /**
+   * Fill the "multiply by" list with the pins
+   */
+  updateMultiplyPinSelect() {
+    const select = this.root.getElementById("multiplyPinSelect");
+    const previous = select.value;
+    select.innerHTML = "";
+    for (const pin of this.pinnedAngles) {
+      const option = document.createElement("option");
+      option.value = String(pin.id);
+      option.textContent = `w = ${this.getPinLabel(pin)}`;
+      select.appendChild(option);
+    }
+    if (this.pinnedAngles.some((pin) => String(pin.id) === previous)) {
+      select.value = previous;
+    }
+    select.disabled = this.pinnedAngles.length === 0;
+    this.root.getElementById("multiplyBtn").disabled =
+      this.pinnedAngles.length === 0;
+  }
+
+  /**
+   * Draw the original z, the factor w and the arc through which z turns,
+   * so the angles of z and w visibly add up to the angle of z·w
+   */
+  drawMultiplication() {
+    const { fromAngle, byAngle, pinColor, progress } = this.multiplication;
+    const fromPoint = this.angleToCanvasPoint(fromAngle);
+    const byPoint = this.angleToCanvasPoint(byAngle);
+
+    this.ctx.globalAlpha = 0.5;
+    this.drawTerminalArrow(fromPoint, this.colors.hover);
+    this.ctx.globalAlpha = 1.0;
+    this.drawLiveAngleLabel("z", fromAngle, this.colors.hover);
+
+    this.ctx.setLineDash([6, 4]);
+    this.drawTerminalArrow(byPoint, pinColor);
+    this.ctx.setLineDash([]);
+    this.drawLiveAngleLabel("w", byAngle, pinColor);
+
+    // The added angle, from z to where z·w has turned so far
+    const sweep = byAngle * progress;
+    if (Math.abs(sweep) > 1e-9) {
+      this.ctx.strokeStyle = pinColor;
+      this.ctx.lineWidth = 3;
+      this.ctx.beginPath();
+      this.ctx.arc(
+        this.centerX,
+        this.centerY,
+        this.radius * 0.3,
+        -fromAngle,
+        -(fromAngle + sweep),
+        sweep > 0
+      );
+      this.ctx.stroke();
+      this.ctx.lineWidth = 1;
+    }
+    if (progress >= 1) {
+      this.drawLiveAngleLabel("zw", fromAngle + byAngle, this.colors.hover);
+    }
+  }
+
+  /**
+   * Draw the n-th roots of unity as a regular polygon inscribed in the circle
+   */
+  drawRootsOfUnity() {
+    const n = this.rootsOfUnityCount;
+    const superscripts = "⁰¹²³⁴⁵⁶⁷⁸⁹";
+    const points = [];
+    for (let k = 0; k < n; k++) {
+      const angle = (2 * Math.PI * k) / n;
+      points.push(
+        this.mathToCanvas(
+          this.radius * Math.cos(angle),
+          this.radius * Math.sin(angle)
+        )
+      );
+    }
+    this.ctx.strokeStyle = this.colors.rootsOfUnity;
+    this.ctx.lineWidth = 1.5;
+    this.ctx.beginPath();
+    points.forEach((point, k) =>
+      k === 0
+        ? this.ctx.moveTo(point.x, point.y)
+        : this.ctx.lineTo(point.x, point.y)
+    );
+    this.ctx.closePath();
+    this.ctx.stroke();
+
+    this.ctx.fillStyle = this.colors.rootsOfUnity;
+    this.ctx.font = "12px Arial";
+    this.ctx.textAlign = "center";
+    this.ctx.textBaseline = "middle";
+    points.forEach((point, k) => {
+      this.ctx.beginPath();
+      this.ctx.arc(point.x, point.y, 4, 0, 2 * Math.PI);
+      this.ctx.fill();
+      // Label ω^k just inside the circle
+      const angle = (2 * Math.PI * k) / n;
+      const exponent =
+        k < 2
+          ? ""
+          : [...String(k)].map((digit) => superscripts[digit]).join("");
+      const label = k === 0 ? "1" : `ω${exponent}`;
+      const labelPoint = this.mathToCanvas(
+        this.radius * 0.88 * Math.cos(angle),
+        this.radius * 0.88 * Math.sin(angle)
+      );
+      this.ctx.fillText(label, labelPoint.x, labelPoint.y);
+    });
+    this.ctx.textAlign = "start";
+    this.ctx.textBaseline = "alphabetic";
+    this.ctx.lineWidth = 1;
+  }
+
+  // ===== TWO ANGLES =====
+
+  /**
+   * Choose which live angle the pointer, keyboard and playback move
+   * @param {number} index - 0 for α, 1 for β
+   */
+  setActiveAngle(index) {
+    if (index === this.activeAngleIndex) return;
+    this.activeAngleIndex = index;
+    this.keyboardAngle = null;
+    this.isTypedAngle = false;
+    if (!this.embedded) {
+      this.root.getElementById("activeAngleSelect").value = String(index);
+    }
+    this.updateInfoPanel();
+    this.draw();
+  }
+
+  /**
+   * Evaluate the sum, difference and double-angle identities for α and β,
+   * both directly and through their expansions, so the two can be compared
+   * @returns {Array<{name: string, value: number, expansion: string, terms: string, expanded: number}>}
+   */
+  getIdentityValues() {
+    const [alpha, beta] = this.liveAngles.map((live) => live.angle);
+    const [sinA, cosA, sinB, cosB] = [
+      Math.sin(alpha),
+      Math.cos(alpha),
+      Math.sin(beta),
+      Math.cos(beta),
+    ];
+    const f = (value) => this.formatApproximate(value);
+    return [
+      {
+        name: "sin(α + β)",
+        value: Math.sin(alpha + beta),
+        expansion: "sin α cos β + cos α sin β",
+        terms: `(${f(sinA)})(${f(cosB)}) + (${f(cosA)})(${f(sinB)})`,
+        expanded: sinA * cosB + cosA * sinB,
+      },
+      {
+        name: "sin(α − β)",
+        value: Math.sin(alpha - beta),
+        expansion: "sin α cos β − cos α sin β",
+        terms: `(${f(sinA)})(${f(cosB)}) − (${f(cosA)})(${f(sinB)})`,
+        expanded: sinA * cosB - cosA * sinB,
+      },
+      {
+        name: "cos(α + β)",
+        value: Math.cos(alpha + beta),
+        expansion: "cos α cos β − sin α sin β",
+        terms: `(${f(cosA)})(${f(cosB)}) − (${f(sinA)})(${f(sinB)})`,
+        expanded: cosA * cosB - sinA * sinB,
+      },
+      {
+        name: "cos(α − β)",
+        value: Math.cos(alpha - beta),
+        expansion: "cos α cos β + sin α sin β",
+        terms: `(${f(cosA)})(${f(cosB)}) + (${f(sinA)})(${f(sinB)})`,
+        expanded: cosA * cosB + sinA * sinB,
+      },
+      {
+        name: "sin 2α",
+        value: Math.sin(2 * alpha),
+        expansion: "2 sin α cos α",
+        terms: `2(${f(sinA)})(${f(cosA)})`,
+        expanded: 2 * sinA * cosA,
+      },
+      {
+        name: "cos 2α",
+        value: Math.cos(2 * alpha),
+        expansion: "cos²α − sin²α",
+        terms: `(${f(cosA)})² − (${f(sinA)})²`,
+        expanded: cosA * cosA - sinA * sinA,
+      },
+    ];
+  }
+
+  /**
+   * Show α, β and the identity checks in the info panel (two-angle mode only)
+   */
+  updateIdentityPanel() {
+    const container = this.root.getElementById("identityInfo");
+    const show = this.options.twoAngleMode && !this.isQuizAwaitingAnswer();
+    container.classList.toggle("hide", !show);
+    if (!show) return;
+
+    const [alpha, beta] = this.liveAngles;
+    this.root.getElementById("alphaValue").textContent = this.formatAnglePair(
+      alpha.angle
+    );
+    this.root.getElementById("betaValue").textContent = this.formatAnglePair(
+      beta.angle
+    );
+
+    const list = this.root.getElementById("identityValues");
+    list.innerHTML = "";
+    for (const identity of this.getIdentityValues()) {
+      const direct = document.createElement("p");
+      const label = document.createElement("span");
+      label.className = "label";
+      label.textContent = `${this.locale.localizeFunctions(identity.name)}:`;
+      direct.append(label, ` ${this.formatApproximate(identity.value)}`);
+      const expanded = document.createElement("p");
+      expanded.className = "identity-expansion";
+      expanded.textContent = `= ${this.locale.localizeFunctions(
+        identity.expansion
+      )} = ${identity.terms} = ${this.formatApproximate(identity.expanded)}`;
+      list.append(direct, expanded);
+    }
+  }
+
+  // ===== INVERSE TRIG =====
+
+  /**
+   * Solve sin θ = k, cos θ = k or tan θ = k on [0, 2π) and find the
+   * principal value of the matching inverse function
+   * @param {string} fn - "sin", "cos" or "tan"
+   * @param {number} k - The value
+   * @returns {{fn: string, k: number, solutions: Array<Object>, principal: Object|null}}
+   *   Solutions and principal value as angle information (exact where k is
+   *   a special value); no solutions when |k| > 1 for sin or cos
+   */
+  solveInverseTrig(fn, k) {
+    let principal = null;
+    let others = [];
+    if (fn === "tan") {
+      principal = Math.atan(k);
+      others = [principal + Math.PI];
+    } else if (Math.abs(k) <= 1 + 1e-12) {
+      const clamped = Math.max(-1, Math.min(1, k));
+      if (fn === "sin") {
+        principal = Math.asin(clamped);
+        others = [Math.PI - principal];
+      } else {
+        principal = Math.acos(clamped);
+        others = [2 * Math.PI - principal];
+      }
+    }
+    if (principal === null) return { fn, k, solutions: [], principal: null };
+
+    // Distinct solutions in [0, 2π), in increasing order
+    const solutionAngles = [];
+    for (const angle of [principal, ...others].map((a) =>
+      this.normalizeAngle(a)
+    )) {
+      if (!solutionAngles.some((a) => Math.abs(a - angle) < 1e-9)) {
+        solutionAngles.push(angle);
+      }
+    }
+    solutionAngles.sort((a, b) => a - b);
+    return {
+      fn,
+      k,
+      solutions: solutionAngles.map((angle) => this.getAngleInfo(angle, false)),
+      principal: this.getAngleInfo(principal, false),
+    };
+  }
+
+  /**
+   * Format k of an inverse trig problem, in exact form when a solution is
+   * a special angle (so k is one of its exact values)
+   * @param {{fn: string, k: number, solutions: Array<Object>}} result
+   * @returns {string} e.g. "-√3/2" or "0.3"
+   */
+  formatInverseValue({ fn, k, solutions }) {
+    const exactSolution = solutions.find((info) => info.isExact);
+    return exactSolution
+      ? exactSolution[`${fn}Str`]
+      : this.locale.formatDecimal(k, 6);
+  }
+
+  /**
+   * Describe an inverse trig result for the results panel
+   * @param {{fn: string, k: number, solutions: Array<Object>, principal: Object|null}} result
+   * @returns {Array<string>} Lines of text
+   */
+  describeInverseTrig({ fn, k, solutions, principal }) {
+    const kText = this.formatInverseValue({ fn, k, solutions });
+    const fnText = this.locale.localizeFunctions(fn);
+    if (!principal) {
+      return [this.t("inverse.noSolutions", { fn: fnText, k: kText })];
+    }
+    const angleText = (info) =>
+      info.isExact
+        ? `${this.formatRadians(info.radians)} (${this.locale.formatDecimal(
+            info.degrees,
+            6
+          )}°)`
+        : `${this.locale.formatNumber(
+            info.radians,
+            4
+          )} (${this.locale.formatNumber(info.degrees, 2)}°)`;
+    const ranges = {
+      sin: `[${this.locale.formatList(["-π/2", "π/2"])}]`,
+      cos: `[${this.locale.formatList(["0", "π"])}]`,
+      tan: `(${this.locale.formatList(["-π/2", "π/2"])})`,
+    };
+    return [
+      this.t("inverse.allSolutions", {
+        fn: fnText,
+        k: kText,
+        interval: `[${this.locale.formatList(["0", "2π"])})`,
+        solutions: this.locale.formatList(solutions.map(angleText)),
+      }),
+      this.t("inverse.principal", {
+        inverse: this.locale.localizeFunctions(`arc${fn}`),
+        k: kText,
+        angle: angleText(principal),
+        range: ranges[fn],
+      }),
+    ];
+  }
+
+  /**
+   * Solve the inverse trig problem entered in the controls and show it
+   */
+  submitInverseTrig() {
+    const fn = this.root.getElementById("inverseFunctionSelect").value;
+    const input = this.root.getElementById("inverseValueInput");
+    const errorElement = this.root.getElementById("inverseError");
+    const k = this.evaluateNumericInput(input.value);
+    if (k === null) {
+      errorElement.textContent = this.t("inverse.enterNumber");
+      errorElement.classList.remove("hide");
+      input.setAttribute("aria-invalid", "true");
+      return;
+    }
+    errorElement.classList.add("hide");
+    input.removeAttribute("aria-invalid");
+
+    this.inverse = this.solveInverseTrig(fn, k);
+    this.updateInverseResult();
+    this.draw();
+  }
+
+  /**
+   * Show the inverse trig problem's solutions in the results panel
+   */
+  updateInverseResult() {
+    const resultElement = this.root.getElementById("inverseResult");
+    resultElement.innerHTML = "";
+    for (const line of this.describeInverseTrig(this.inverse)) {
+      const paragraph = document.createElement("p");
+      paragraph.textContent = line;
+      resultElement.appendChild(paragraph);
+    }
+    resultElement.classList.remove("hide");
+  }
+
+  /**
+   * Stop showing the inverse trig problem
+   */
+  clearInverseTrig() {
+    this.inverse = null;
+    this.root.getElementById("inverseResult").classList.add("hide");
+    this.draw();
+  }
+
+  // ===== TRIG EQUATIONS =====
+
+  /**
+   * Read an equation in one trig function of a linear argument, such as
+   * "2 sin θ + 1 = 0", "cos 2θ = 1/2" or "tan(θ - π/4) = √3", and reduce it
+   * to fn(nθ + c) = k. Both sides may use anything evaluateExpression
+   * accepts; the variable may be written θ or x, and sin as sen.
+   * @param {string} text - The equation
+   * @returns {{fn: string, n: number, c: number, k: number}} The reduced form
+   * @throws {Error} If the equation is not of this form
+   */
+  parseTrigEquation(text) {
+    const equation = this.locale.normalizeNumberInput(text);
+    const sides = equation.split("=");
+    if (sides.length !== 2 || !sides[0].trim() || !sides[1].trim()) {
+      throw new Error(this.t("equation.singleEquals"));
+    }
+    // sin(…) with up to one level of nested parentheses, or sin 2θ
+    const callPattern =
+      /(?<![a-z])(sin|sen|cos|tan)\s*(?:\(((?:[^()]|\([^()]*\))*)\)|(\d*(?:\.\d+)?\s*[θx]))/gi;
+    const calls = [...equation.matchAll(callPattern)].map((match) => ({
+      fn: match[1].toLowerCase() === "sen" ? "sin" : match[1].toLowerCase(),
+      argument: (match[2] || match[3]).replace(/\s+/g, ""),
+    }));
+    if (calls.length === 0) {
+      throw new Error(this.t("equation.includeFunction"));
+    }
+    const [{ fn, argument }] = calls;
+    if (calls.some((call) => call.fn !== fn || call.argument !== argument)) {
+      throw new Error(this.t("equation.oneFunction"));
+    }
+    const fnText = this.locale.localizeFunctions(fn);
+
+    // Both the argument and the equation must be linear, so evaluating them
+    // at 0, 1 and 2 finds (and checks) their coefficients
+    const linear = (evaluate, error) => {
+      const [at0, at1, at2] = [0, 1, 2].map(evaluate);
+      if (Math.abs(at2 - 2 * at1 + at0) > 1e-9 * (1 + Math.abs(at2))) {
+        throw new Error(error);
+      }
+      return { constant: at0, slope: at1 - at0 };
+    };
+    const variablePattern = /[θx]/gi;
+    const { constant: c, slope: n } = linear(
+      (t) =>
+        this.evaluateExpression(argument.replace(variablePattern, `(${t})`))
+          .value,
+      this.t("equation.argumentNotLinear", { fn: fnText })
+    );
+    if (Math.abs(n) < 1e-12) {
+      throw new Error(this.t("equation.noTheta", { fn: fnText }));
+    }
+
+    const { constant, slope } = linear((value) => {
+      const [left, right] = sides.map((side) => {
+        try {
+          return this.evaluateExpression(
+            side.replace(callPattern, `(${value})`)
+          ).value;
+        } catch (error) {
+          // Other errors come back with any value; a division by zero
+          // that goes away means the function is in a denominator
+          this.evaluateExpression(side.replace(callPattern, "(0.3141)"));
+          throw new Error(this.t("equation.dividesByFunction", { fn: fnText }));
+        }
+      });
+      return left - right;
+    }, this.t("equation.notLinear"));
+    if (Math.abs(slope) < 1e-12) {
+      throw new Error(this.t("equation.termsCancel", { fn: fnText }));
+    }
+    return { fn, n, c, k: -constant / slope };
+  }
+
+  /**
+   * Format a multiple of π as a fraction such as "7π/6", falling back to
+   * decimals for angles that are not
+   * @param {number} radians - The angle in radians
+   * @param {string} [suffix] - Text to put after π, such as "k"
+   * @returns {string} Formatted angle
+   */
+  formatPiFraction(radians, suffix = "") {
+    return this.formatPiMultiple(radians, null, "display", suffix);
+  }
+
+  /**
+   * Solve fn(nθ + c) = k on an interval
+   * @param {{fn: string, n: number, c: number, k: number}} equation - Reduced form
+   * @param {number} start - Start of the interval in radians (included)
+   * @param {number} end - End of the interval in radians (excluded)
+   * @returns {{general: Array<{base: number, step: number}>, solutions: Array<number>, kText: string}}
+   *   General solutions θ = base + step·k, the solutions in the interval in
+   *   increasing order, and k in exact form where it is a special value
+   * @throws {Error} If the interval holds too many solutions
+   */
+  solveTrigEquation({ fn, n, c, k }, start, end) {
+    const inverse = this.solveInverseTrig(fn, k);
+    const kText = this.formatInverseValue(inverse);
+    // Solutions for u = nθ + c repeat every 2π, or every π for tan
+    const period = fn === "tan" ? Math.PI : 2 * Math.PI;
+    const step = period / Math.abs(n);
+    const bases = inverse.solutions
+      .map((info) => info.radians)
+      .filter((u) => u < period - 1e-9)
+      .map((u) => {
+        const theta = (u - c) / n;
+        const base = ((theta % step) + step) % step;
+        return step - base < 1e-9 ? 0 : base;
+      })
+      .sort((a, b) => a - b);
+
+    // Two families half a step apart are one family, e.g. θ = πk
+    let general = bases.map((base) => ({ base, step }));
+    if (bases.length === 2 && Math.abs(bases[1] - bases[0] - step / 2) < 1e-9) {
+      general = [{ base: bases[0], step: step / 2 }];
+    }
+
+    const solutions = [];
+    for (const { base, step: familyStep } of general) {
+      const first = Math.ceil((start - base) / familyStep - 1e-9);
+      for (let j = first; base + j * familyStep < end - 1e-9; j++) {
+        solutions.push(base + j * familyStep);
+        if (solutions.length > this.maxEquationSolutions) {
+          throw new Error(this.t("equation.tooManySolutions"));
+        }
+      }
+    }
+    solutions.sort((a, b) => a - b);
+    return { general, solutions, kText };
+  }
+
+  /**
+   * Solve the equation entered in the controls, pin its solutions and show
+   * the general solution in the info panel
+   */
+  submitTrigEquation() {
+    const input = this.root.getElementById("equationInput");
+    const errorElement = this.root.getElementById("equationError");
+    let equation;
+    let result;
+    try {
+      const start = this.parseAngleExpression(
+        this.root.getElementById("equationStartInput").value
+      );
+      const end = this.parseAngleExpression(
+        this.root.getElementById("equationEndInput").value
+      );
+      if (end <= start) throw new Error(this.t("equation.emptyInterval"));
+      equation = { text: input.value.trim(), start, end };
+      Object.assign(equation, this.parseTrigEquation(equation.text));
+      result = this.solveTrigEquation(equation, start, end);
+    } catch (error) {
+      errorElement.textContent = error.message;
+      errorElement.classList.remove("hide");
+      input.setAttribute("aria-invalid", "true");
+      return;
+    }
+    errorElement.classList.add("hide");
+    input.removeAttribute("aria-invalid");
+    this.equation = { ...equation, ...result };
+
+    // Pin each solution, skipping angles that already have a pin
+    const hasPinAt = (angle) =>
+      this.pinnedAngles.some(
+        (pin) =>
+          Math.abs(
+            this.normalizeAngle(pin.angle) - this.normalizeAngle(angle)
+          ) < 1e-9
+      );
+    let newPin = null;
+    for (const angle of result.solutions) {
+      if (hasPinAt(angle)) continue;
+      newPin = this.createPin(angle, { note: equation.text });
+      this.pinnedAngles.push(newPin);
+    }
+    if (newPin) this.selectedPinId = newPin.id;
+    this.updatePinnedAnglesList();
+    this.updateEquationInfo();
+    this.updateInfoPanel();
+    this.draw();
+  }
+
+  /**
+   * Show the solved equation, its general solution and the solutions in
+   * the interval in the info panel
+   */
+  updateEquationInfo() {
+    const container = this.root.getElementById("equationInfo");
+    if (!this.equation) {
+      container.classList.add("hide");
+      return;
+    }
+    const { text, fn, n, c, kText, general, solutions, start, end } =
+      this.equation;
+    const factor =
+      Math.abs(Math.abs(n) - 1) < 1e-12
+        ? n < 0
+          ? "-"
+          : ""
+        : this.locale.formatDecimal(n, 4);
+    const shift =
+      Math.abs(c) < 1e-12
+        ? ""
+        : ` ${c < 0 ? "-" : "+"} ${this.formatPiFraction(Math.abs(c))}`;
+    const argumentText = `${factor}θ${shift}`;
+    this.root.getElementById(
+      "equationText"
+    ).textContent = `${text}  ⟹  ${this.locale.localizeFunctions(
+      fn
+    )}(${argumentText}) = ${kText}`;
+
+    const generalList = this.root.getElementById("equationGeneral");
+    generalList.innerHTML = "";
+    if (general.length === 0) {
+      const item = document.createElement("li");
+      item.textContent = this.t("equation.outOfRange", {
+        fn: this.locale.localizeFunctions(fn),
+      });
+      generalList.appendChild(item);
+    }
+    for (const { base, step } of general) {
+      const item = document.createElement("li");
+      const baseText =
+        Math.abs(base) < 1e-12 ? "" : `${this.formatPiFraction(base)} + `;
+      item.textContent = `θ = ${baseText}${this.formatPiFraction(step, "k")}`;
+      generalList.appendChild(item);
+    }
+
+    const interval = `[${this.locale.formatList([
+      this.formatPiFraction(start),
+      this.formatPiFraction(end),
+    ])})`;
+    this.root.getElementById("equationSolutions").textContent = solutions.length
+      ? this.t("equation.solutionsIn", {
+          interval,
+          solutions: this.locale.formatList(
+            solutions.map((angle) => this.formatPiFraction(angle))
+          ),
+        })
+      : this.t("equation.noSolutionsIn", { interval });
+    container.classList.remove("hide");
+  }
+
+  /**
+   * Stop showing the solved equation (its pins stay)
+   */
+  clearTrigEquation() {
+    this.equation = null;
+    this.updateEquationInfo();
+  }
+
+  // ===== PLAYBACK =====
+
+  /**
+   * Angular speed from the playback controls
+   * @returns {number} Speed in radians per second (negative is clockwise)
+   */
+  getPlaybackSpeed() {
+    const speed = Number(this.root.getElementById("playbackSpeedInput").value);
+    if (!isFinite(speed)) return 0;
+    const unit = this.root.getElementById("playbackUnitSelect").value;
+    return unit === "deg" ? (speed * Math.PI) / 180 : speed;
+  }
+
+  /**
+   * Start rotating the angle automatically
+   */
+  startPlayback() {
+    if (this.isPlaying) return;
+    this.isPlaying = true;
+    this.selectedPinId = null; // The animated angle is drawn only without a selection
+    this.updatePinnedAnglesList();
+    this.lastFrameTime = null;
+    this.playbackPauseUntil = 0;
+    this.playbackStartAngle = this.currentAngle;
+    this.playbackDistance = 0;
+    this.playbackTrace = [];
+    this.updatePlaybackButton();
+    this.animationFrameId = requestAnimationFrame((time) =>
+      this.playbackFrame(time)
+    );
+  }
+
+  /**
+   * Stop the automatic rotation, keeping the current angle
+   */
+  pausePlayback() {
+    if (!this.isPlaying) return;
+    this.isPlaying = false;
+    cancelAnimationFrame(this.animationFrameId);
+    this.animationFrameId = null;
+    this.playbackTrace = [];
+    this.updatePlaybackButton();
+    this.draw();
+    this.announce(this.describeCurrentAngle());
+  }
+
+  /**
+   * Sync the play/pause button with the playback state
+   */
+  updatePlaybackButton() {
+    if (this.embedded) return;
+    const button = this.root.getElementById("playPauseBtn");
+    this.setTranslatedText(
+      button,
+      this.isPlaying ? "playback.pause" : "playback.play"
+    );
+    button.setAttribute("aria-pressed", String(this.isPlaying));
+  }
+
+  /**
+   * Pause playback and move one special angle forwards or backwards
+   * @param {number} direction - 1 for counterclockwise, -1 for clockwise
+   */
+  stepPlayback(direction) {
+    this.pausePlayback();
+    if (this.selectedPinId !== null) {
+      this.selectedPinId = null;
+      this.updatePinnedAnglesList();
+    }
+    this.setAngleFromKeyboard(
+      this.currentAngle + this.getStepToNextSpecialAngle(direction)
+    );
+  }
+
+  /**
+   * Advance the animation by one frame
+   * @param {number} time - Frame timestamp from requestAnimationFrame
+   */
+  playbackFrame(time) {
+    if (!this.isPlaying) return;
+    // Cap the step so a hidden tab doesn't jump ahead when it returns
+    const elapsed =
+      this.lastFrameTime === null
+        ? 0
+        : Math.min((time - this.lastFrameTime) / 1000, 0.1);
+    this.lastFrameTime = time;
+
+    if (time >= this.playbackPauseUntil) {
+      const speed = this.getPlaybackSpeed();
+      const direction = Math.sign(speed);
+      let step = speed * elapsed;
+      let reachedSpecialAngle = false;
+
+      // Stop exactly on the next special angle if it comes within this step
+      if (this.options.pauseAtSpecialAngles && direction !== 0) {
+        const stepToSpecial = this.getStepToNextSpecialAngle(direction);
+        if (Math.abs(stepToSpecial) <= Math.abs(step)) {
+          step = stepToSpecial;
+          reachedSpecialAngle = true;
+        }
+      }
+
+      // Without looping, stop after one full turn from the starting angle
+      const turn = 2 * Math.PI;
+      let newAngle = this.currentAngle + step;
+      this.playbackDistance += step;
+      let finished = false;
+      if (
+        !this.options.loopPlayback &&
+        Math.abs(this.playbackDistance) >= turn - 1e-9
+      ) {
+        newAngle =
+          this.playbackStartAngle + Math.sign(this.playbackDistance) * turn;
+        finished = true;
+      }
+
+      this.currentAngle = this.options.windingMode
+        ? newAngle
+        : this.normalizeAngle(newAngle);
+      this.currentPoint = this.angleToCanvasPoint(this.currentAngle);
+      this.keyboardAngle = null;
+      this.isTypedAngle = false;
+
+      if (finished) {
+        this.isInteractionActive = true;
+        this.updateInfoPanel();
+        this.pausePlayback();
+        return;
+      }
+      if (reachedSpecialAngle) {
+        this.playbackPauseUntil = time + this.specialAnglePause;
+        this.announce(this.describeCurrentAngle());
+      }
+    }
+
+    // Remember recent positions for the fading trace
+    this.playbackTrace.push({ angle: this.currentAngle, time });
+    while (
+      this.playbackTrace.length &&
+      time - this.playbackTrace[0].time > this.traceDuration
+    ) {
+      this.playbackTrace.shift();
+    }
+
+    this.isInteractionActive = true; // Keep the animated angle on screen
+    this.updateInfoPanel();
+    this.draw();
+    this.animationFrameId = requestAnimationFrame((nextTime) =>
+      this.playbackFrame(nextTime)
+    );
+  }
+
+  // ===== CALCULATIONS & DATA HANDLING =====
+
+  /**
+   * Find the closest special angle to the given angle
+   * @param {number} angle - The angle in radians
+   * @returns {Object|null} The closest special angle or null if none found
+   */
+  findClosestSpecialAngle(angle) {
+    if (!this.options.snapToAngles) return null;
+    let closestAngle = null;
+    let minDifference = this.snapTolerance;
+    const normalizedAngle = this.normalizeAngle(angle);
+    for (const specialAngle of this.specialAngles) {
+      let difference = Math.abs(specialAngle.radians - normalizedAngle);
+      if (difference > Math.PI) difference = 2 * Math.PI - difference;
+      if (difference < minDifference) {
+        minDifference = difference;
+        closestAngle = specialAngle;
+      }
+    }
+    return closestAngle;
+  }
+
+  /**
+   * Get detailed information about the current angle
+   * @returns {Object} Angle information including trig values
+   */
+  getCurrentAngleInfo() {
+    // Typed angles are shown exactly as entered
+    return this.getAngleInfo(this.currentAngle, !this.isTypedAngle);
+  }
+
+  /**
+   * Get information about an angle, using exact values where possible
+   * @param {number} angle - The angle in radians
+   * @param {boolean} [snap=true] - Whether a nearby special angle may stand
+   *   in for the angle (when snapping is on)
+   * @returns {Object} Angle information
+   */
+  getAngleInfo(angle, snap = true) {
+    const closestAngle = snap ? this.findClosestSpecialAngle(angle) : null;
+    if (closestAngle) {
+      // Return special angle exact values (already calculated), keeping any
+      // extra turns the angle has in winding mode
+      const turns = Math.round((angle - closestAngle.radians) / (2 * Math.PI));
+      if (turns === 0 || !this.options.windingMode) {
+        return { ...closestAngle };
+      }
+      const radians = closestAngle.radians + turns * 2 * Math.PI;
+      return {
+        ...closestAngle,
+        radians,
+        degrees: closestAngle.degrees + turns * 360,
+      };
+    }
+
+    // Angles that are exact multiples of π (e.g. 15° reached without
+    // snapping) still get exact values from the symbolic engine
+    const piFraction = ExactTrig.matchPiFraction(angle);
+    if (piFraction) {
+      return this.buildExactAngleInfo(
+        piFraction.numerator,
+        piFraction.denominator
+      );
+    }
+
+    return this.buildApproximateAngleInfo(angle);
+  }
+
+  /**
+   * Build angle data with decimal trig values
+   * @param {number} radians - The angle in radians
+   * @returns {Object} Angle information including approximate trig values
+   */
+  buildApproximateAngleInfo(radians) {
+    // Calculate approximate values based on the math angle
+    const x = Math.cos(radians);
+    const y = Math.sin(radians);
+    const tan = Math.abs(x) < 1e-10 ? Infinity : y / x; // Avoid division by near zero
+    const csc = Math.abs(y) < 1e-10 ? Infinity : 1 / y;
+    const sec = Math.abs(x) < 1e-10 ? Infinity : 1 / x;
+    const cot = Math.abs(y) < 1e-10 ? Infinity : x / y; // Check y for cot
+    return {
+      radians: radians,
+      degrees: (radians * 180) / Math.PI,
+      coords: { x, y },
+      exactCoordsStr: null,
+      sin: y,
+      cos: x,
+      tan: tan,
+      csc: csc,
+      sec: sec,
+      cot: cot,
+      sinStr: this.formatApproximate(y),
+      cosStr: this.formatApproximate(x),
+      tanStr: this.formatApproximate(tan),
+      cscStr: this.formatApproximate(csc),
+      secStr: this.formatApproximate(sec),
+      cotStr: this.formatApproximate(cot),
+      isExact: false,
+    };
+  }
+
+  /**
+   * Text for one trig value: exact when available, otherwise a decimal
+   * @param {Object} angleInfo - Angle information
+   * @param {string} fn - "sin", "cos", "tan", "csc", "sec" or "cot"
+   * @param {number} [decimals=3] - Decimal places for approximate values
+   * @returns {string} e.g. "√3/2", "0.342" or "undefined"
+   */
+  getTrigValueText(angleInfo, fn, decimals = 3) {
+    if (angleInfo.isExact) return angleInfo[`${fn}Str`];
+    const value = angleInfo[fn];
+    return isFinite(value)
+      ? this.locale.formatNumber(value, decimals)
+      : this.t("value.undefined");
+  }
+
+  /**
+   * Format an approximate trigonometric value
+   * @param {number} value - The trigonometric value
+   * @returns {string} Three-decimal string, or "undefined" for infinite values
+   */
+  formatApproximate(value) {
+    if (!isFinite(value)) return this.t("value.undefined");
+    return this.locale.formatNumber(value, 3);
+  }
+
+  /**
+   * Fold any angle (negative or more than one turn) into [0, 2π)
+   * @param {number} angle - The angle in radians
+   * @returns {number} The coterminal angle in [0, 2π)
+   */
+  normalizeAngle(angle) {
+    const normalized = ((angle % (2 * Math.PI)) + 2 * Math.PI) % (2 * Math.PI);
+    // Values a rounding error short of a full turn belong at 0
+    return 2 * Math.PI - normalized < 1e-9 ? 0 : normalized;
+  }
+
+  /**
+   * Calculate the reference angle (angle in first quadrant)
+   * @param {number} angle - The angle in radians
+   * @returns {number} The reference angle in radians
+   */
+  calculateReferenceAngle(angle) {
+    const refAngle = this.normalizeAngle(angle); // Any number of turns, either direction
+    if (refAngle >= 0 && refAngle <= Math.PI / 2) return refAngle;
+    if (refAngle > Math.PI / 2 && refAngle <= Math.PI)
+      return Math.PI - refAngle;
+    if (refAngle > Math.PI && refAngle <= (3 * Math.PI) / 2)
+      return refAngle - Math.PI;
+    return 2 * Math.PI - refAngle;
+  }
+
+  /**
+   * Determine which quadrant an angle is in
+   * @param {number} angle - The angle in radians
+   * @returns {string} The quadrant (I, II, III, IV) or axis
+   */
+  getQuadrant(angle) {
+    const normalizedAngle = this.normalizeAngle(angle); // Ensure [0, 2PI)
+    // Unbounded angles pick up rounding error, so compare axes with a tolerance
+    const onAxis = (axisAngle) => Math.abs(normalizedAngle - axisAngle) < 1e-9;
+    if (onAxis(0) || onAxis(Math.PI)) return "X-Axis"; // Or handle axes specifically
+    if (onAxis(Math.PI / 2) || onAxis((3 * Math.PI) / 2)) return "Y-Axis";
+    if (normalizedAngle > 0 && normalizedAngle < Math.PI / 2) return "I";
+    if (normalizedAngle > Math.PI / 2 && normalizedAngle < Math.PI) return "II";
+    if (normalizedAngle > Math.PI && normalizedAngle < (3 * Math.PI) / 2)
+      return "III";
+    return "IV";
+  }
+
+  /**
+   * Name a quadrant or axis (as returned by getQuadrant) for display
+   * @param {string} quadrant - "I" to "IV", "X-Axis" or "Y-Axis"
+   * @returns {string} e.g. "III" or "Eje X"
+   */
+  formatQuadrant(quadrant) {
+    if (quadrant === "X-Axis") return this.t("quadrant.xAxis");
+    if (quadrant === "Y-Axis") return this.t("quadrant.yAxis");
+    return quadrant;
+  }
+
+  /**
+   * Update the information panel with current angle data
+   */
+  updateInfoPanel() {
+    if (this.embedded) return; // No panel to fill
+    // Keep the answers out of the panel while a quiz question is open
+    const hideAnswers = this.isQuizAwaitingAnswer();
+    this.root.getElementById("angleInfo").classList.toggle("hide", hideAnswers);
+    this.updateIdentityPanel();
+    if (hideAnswers) return;
+
+    // Show info if interacting OR if a pin is selected
+    if (!this.isInteractionActive && this.selectedPinId === null) {
+      // Optionally clear the panel or show default/placeholder text
+      // this.root.getElementById("degreesValue").textContent = "-";
+      // ... clear other fields ...
+      return; // Or clear fields before returning
+    }
+
+    let angleInfo;
+    if (this.isInteractionActive) {
+      angleInfo = this.getCurrentAngleInfo();
+    } else if (this.selectedPinId !== null) {
+      const selectedPin = this.pinnedAngles.find(
+        (p) => p.id === this.selectedPinId
+      );
+      if (selectedPin) {
+        angleInfo = selectedPin.angleInfo;
+      } else {
+        // Selected pin not found (shouldn't happen), clear panel
+        this.selectedPinId = null;
+        // ... clear fields ...
+        return;
+      }
+    } else {
+      // Should not be reached if the initial check passes, but good practice
+      return;
+    }
+
+    const refAngle = this.calculateReferenceAngle(angleInfo.radians);
+    const quadrant = this.getQuadrant(angleInfo.radians);
+    this.updatePolarInfo(this.isInteractionActive ? angleInfo : null);
+
+    this.root.getElementById("degreesValue").textContent = this.formatAngle(
+      angleInfo.radians
+    );
+    this.root.getElementById("radiansValue").textContent = this.formatAngle(
+      angleInfo.radians,
+      this.getSecondaryAngleUnit()
+    );
+    this.root.getElementById("coordinatesValue").textContent =
+      angleInfo.isExact && angleInfo.exactCoordsStr
+        ? angleInfo.exactCoordsStr
+        : this.locale.formatPair(
+            this.locale.formatNumber(angleInfo.coords.x, 2),
+            this.locale.formatNumber(angleInfo.coords.y, 2)
+          );
+    if (this.options.complexPlaneMode) {
+      this.root.getElementById("complexValue").textContent =
+        this.formatComplexNumber(angleInfo);
+      const euler = this.root.getElementById("eulerValue");
+      const exponent = document.createElement("sup");
+      exponent.textContent = `i${
+        angleInfo.isExact
+          ? this.formatRadians(angleInfo.radians)
+          : `·${this.locale.formatNumber(angleInfo.radians, 2)}`
+      }`;
+      euler.replaceChildren("e", exponent);
+    }
+    // formatApproximate also covers infinite and NaN values ("undefined")
+    this.root.getElementById("sinValue").textContent = angleInfo.isExact
+      ? this.formatExactTrigValue(angleInfo, "sin")
+      : this.formatApproximate(angleInfo.sin);
+    this.root.getElementById("cosValue").textContent = angleInfo.isExact
+      ? this.formatExactTrigValue(angleInfo, "cos")
+      : this.formatApproximate(angleInfo.cos);
+    this.root.getElementById("tanValue").textContent = angleInfo.isExact
+      ? this.formatExactTrigValue(angleInfo, "tan")
+      : this.formatApproximate(angleInfo.tan);
+
+    if (this.options.showExtraTrig) {
+      this.root.getElementById("cscValue").textContent = angleInfo.isExact
+        ? this.formatExactTrigValue(angleInfo, "csc")
+        : this.formatApproximate(angleInfo.csc);
+      this.root.getElementById("secValue").textContent = angleInfo.isExact
+        ? this.formatExactTrigValue(angleInfo, "sec")
+        : this.formatApproximate(angleInfo.sec);
+      this.root.getElementById("cotValue").textContent = angleInfo.isExact
+        ? this.formatExactTrigValue(angleInfo, "cot")
+        : this.formatApproximate(angleInfo.cot);
+    }
+    if (this.options.showRefAngle) {
+      this.root.getElementById("refAngleValue").textContent =
+        this.formatAnglePair(refAngle);
+    } else {
+      this.root.getElementById("refAngleValue").textContent = "-";
+    }
+    if (this.options.showQuadrant) {
+      this.root.getElementById("quadrantValue").textContent =
+        this.formatQuadrant(quadrant);
+    } else {
+      this.root.getElementById("quadrantValue").textContent = "-";
+    }
+    if (this.options.windingMode) {
+      this.root.getElementById("coterminalValue").textContent =
+        this.formatCoterminal(angleInfo);
+    }
+  }
+
+  /**
+   * Describe the coterminal angle in [0°, 360°) and how many turns separate it
+   * from the given angle, e.g. "30° / π/6 rad (θ − 1·360°)"
+   * @param {object} angleInfo - Angle information object
+   * @returns {string} Coterminal angle description
+   */
+  formatCoterminal(angleInfo) {
+    const turns = Math.floor(
+      (angleInfo.radians + 1e-9) / (2 * Math.PI) // Tolerate rounding at whole turns
+    );
+    const coterminal = this.normalizeAngle(angleInfo.radians);
+    const text = this.formatAnglePair(coterminal);
+    if (turns === 0) return text;
+    const sign = turns > 0 ? "−" : "+";
+    return `${text} (θ ${sign} ${Math.abs(turns)}·${this.formatAngle(
+      2 * Math.PI
+    )})`;
+  }
+
+  /**
+   * Format radians as exact fractions of π when possible
+   * @param {number} radians - The angle in radians
+   * @returns {string} Formatted string representation
+   */
+  formatRadians(radians) {
+    // Follows the active angle set
+    return this.formatPiMultiple(radians, this.radianDenominators);
+  }
+
+  /**
+   * Format an angle as a multiple of π, such as "7π/6" on screen or "7pi/6"
+   * in a URL, falling back to decimals for angles that are not
+   * @param {number} radians - The angle in radians
+   * @param {Array<number>|null} [denominators=null] - Denominators to try,
+   *   smallest first and matched to within 0.001, or null for any that
+   *   ExactTrig.matchPiFraction recognizes
+   * @param {string} [style="display"] - "display" or "url"
+   * @param {string} [suffix] - Text to put after π, such as "k"
+   * @returns {string} Formatted angle
+   */
+  formatPiMultiple(
+    radians,
+    denominators = null,
+    style = "display",
+    suffix = ""
+  ) {
+    let match = null;
+    if (denominators) {
+      // Works for any multiple of π/d, including negative angles and extra
+      // turns. Checking small denominators first keeps it in lowest terms.
+      for (const d of denominators) {
+        const n = Math.round((radians * d) / Math.PI);
+        if (Math.abs(radians - (n * Math.PI) / d) < 0.001) {
+          match = { numerator: n, denominator: d };
+          break;
+        }
+      }
+    } else {
+      match = ExactTrig.matchPiFraction(radians, 1e-9, false);
+    }
+
+    const isUrl = style === "url";
+    if (!match) {
+      if (isUrl) return `${Number(radians.toFixed(6))}`;
+      return denominators
+        ? this.locale.formatNumber(radians, 2)
+        : `${this.locale.formatDecimal(radians, 4)}${suffix}`;
+    }
+    const { numerator, denominator } = match;
+    if (numerator === 0) return "0";
+    const sign = numerator < 0 ? "-" : "";
+    const count = Math.abs(numerator) === 1 ? "" : Math.abs(numerator);
+    return `${sign}${count}${isUrl ? "pi" : "π"}${suffix}${
+      denominator === 1 ? "" : `/${denominator}`
+    }`;
+  }
+
+  // ===== PINNED ANGLE LIST MANAGEMENT =====
+
+  /**
+   * Update the pinned angles list in the UI
+   */
+  updatePinnedAnglesList() {
+    if (this.embedded) return;
+    this.saveState(); // Pins or the selection may have changed
+    this.updatePinEditor();
+    this.updateMultiplyPinSelect();
+    const listElement = this.root.getElementById("pinnedAnglesList");
+    listElement.innerHTML = "";
+    if (this.pinnedAngles.length === 0) {
+      const emptyMessage = document.createElement("li");
+      emptyMessage.className = "empty-list-message";
+      this.setTranslatedText(emptyMessage, "pins.empty");
+      listElement.appendChild(emptyMessage);
+      return;
+    }
+    this.pinnedAngles.forEach((pin, index) => {
+      const listItem = document.createElement("li");
+      listItem.dataset.id = pin.id;
+      listItem.className = pin.id === this.selectedPinId ? "selected" : "";
+
+      // Drag to reorder
+      listItem.draggable = true;
+      listItem.addEventListener("dragstart", (e) => {
+        e.dataTransfer.effectAllowed = "move";
+        e.dataTransfer.setData("text/plain", String(pin.id));
+        listItem.classList.add("dragging");
+      });
+      listItem.addEventListener("dragend", () => {
+        listItem.classList.remove("dragging");
+      });
+      listItem.addEventListener("dragover", (e) => {
+        e.preventDefault(); // Allow dropping here
+        e.dataTransfer.dropEffect = "move";
+      });
+      listItem.addEventListener("drop", (e) => {
+        e.preventDefault();
+        const draggedId = Number(e.dataTransfer.getData("text/plain"));
+        this.movePinnedAngle(draggedId, index);
+      });
+
+      const swatch = document.createElement("span");
+      swatch.className = "pin-swatch";
+      swatch.style.backgroundColor = pin.color;
+      listItem.appendChild(swatch);
+      const angleText = document.createElement("span");
+      angleText.className = "pin-label";
+      angleText.textContent = this.getPinLabel(pin);
+      listItem.appendChild(angleText);
+      const deleteBtn = document.createElement("button");
+      deleteBtn.className = "delete-pin";
+      deleteBtn.textContent = "×";
+      deleteBtn.addEventListener("click", (e) => {
+        e.stopPropagation();
+        this.deletePinnedAngle(pin.id);
+      });
+      listItem.appendChild(deleteBtn);
+      listItem.addEventListener("click", () => {
+        this.selectPinnedAngle(pin.id);
+      });
+      listElement.appendChild(listItem);
+    });
+  }
+
+  /**
+   * List text for a pin: its name (if any) and its angle
+   * @param {Object} pin - The pin
+   * @returns {string} e.g. "angle of elevation: 45.0° (π/4)"
+   */
+  getPinLabel(pin) {
+    const angleText = `${this.formatAngle(pin.angle)} (${this.formatAngle(
+      pin.angle,
+      this.getSecondaryAngleUnit()
+    )})`;
+    return pin.name ? `${pin.name}: ${angleText}` : angleText;
+  }
+
+  /**
+   * Move a pin to a new position in the list
+   * @param {number} id - The ID of the pin to move
+   * @param {number} toIndex - Its new index
+   */
+  movePinnedAngle(id, toIndex) {
+    const fromIndex = this.pinnedAngles.findIndex((pin) => pin.id === id);
+    if (fromIndex === -1 || fromIndex === toIndex) return;
+    const [pin] = this.pinnedAngles.splice(fromIndex, 1);
+    this.pinnedAngles.splice(toIndex, 0, pin);
+    this.updatePinnedAnglesList();
+    this.draw(); // Later pins are drawn on top
+  }
+
+  /**
+   * Show the name, color and note of the selected pin for editing
+   */
+  updatePinEditor() {
+    const editor = this.root.getElementById("pinEditor");
+    const pin = this.pinnedAngles.find((p) => p.id === this.selectedPinId);
+    editor.classList.toggle("hide", !pin);
+    if (!pin) return;
+    // Don't overwrite a field the user is typing in
+    const fields = [
+      ["pinNameInput", pin.name],
+      ["pinColorInput", pin.color],
+      ["pinNoteInput", pin.note],
+    ];
+    for (const [elementId, value] of fields) {
+      const element = this.root.getElementById(elementId);
+      if (element !== this.root.activeElement) element.value = value;
+    }
+  }
+
+  /**
+   * Update an annotation of the selected pin
+   * @param {string} field - "name", "color" or "note"
+   * @param {string} value - The new value
+   * @param {boolean} [commit=false] - Whether to save the change (on
+   *   "change" rather than every keystroke)
+   */
+  annotateSelectedPin(field, value, commit = false) {
+    const pin = this.pinnedAngles.find((p) => p.id === this.selectedPinId);
+    if (!pin) return;
+    pin[field] = value;
+    const listItem = this.root.querySelector(
+      `#pinnedAnglesList li[data-id="${pin.id}"]`
+    );
+    if (listItem) {
+      listItem.querySelector(".pin-label").textContent = this.getPinLabel(pin);
+      listItem.querySelector(".pin-swatch").style.backgroundColor = pin.color;
+    }
+    if (commit) this.saveState();
+    this.draw();
+  }
+
+  /**
+   * Serialise the pins as JSON that importPinsJson reads back
+   * @returns {string} JSON text
+   */
+  exportPinsJson() {
+    const pins = this.pinnedAngles.map((pin) => ({
+      // Other angles keep full precision, so a pin at 17° comes back at 17°
+      angle: pin.angleInfo.isExact
+        ? this.formatAngleParam(pin.angleInfo.radians)
+        : pin.angle,
+      degrees: Number(pin.angleInfo.degrees.toFixed(6)),
+      name: pin.name,
+      color: pin.color,
+      note: pin.note,
+    }));
+    return JSON.stringify({ version: 1, pins }, null, 2);
+  }
+
+  /**
+   * Build a CSV table of the pins for spreadsheet work
+   * @returns {string} CSV text with a header row
+   */
+  exportPinsCsv() {
+    // A data file, so it keeps English and decimal points in any language
+    return this.withLocale(Locale.fallbackCode, () => this.buildPinsCsv());
+  }
+
+  /**
+   * Build the CSV table of the pins in the active language
+   * @returns {string} CSV text with a header row
+   */
+  buildPinsCsv() {
+    const trigFunctions = ["sin", "cos", "tan", "csc", "sec", "cot"];
+    const header = [
+      "Name",
+      "Degrees",
+      "Radians",
+      "Radians (decimal)",
+      "Coordinates",
+      ...trigFunctions,
+      "Note",
+    ];
+    const rows = this.pinnedAngles.map((pin) => {
+      // Rebuilt, since a pin's stored text follows the interface language
+      const angleInfo = this.buildAngleInfoFromDegrees(pin.angleInfo.degrees);
+      return [
+        pin.name,
+        Number(angleInfo.degrees.toFixed(6)),
+        angleInfo.isExact
+          ? this.formatPiFraction(angleInfo.radians) // Any denominator, e.g. π/60
+          : angleInfo.radians.toFixed(6),
+        angleInfo.radians.toFixed(6),
+        angleInfo.isExact
+          ? angleInfo.exactCoordsStr
+          : `(${angleInfo.coords.x.toFixed(6)}, ${angleInfo.coords.y.toFixed(
+              6
+            )})`,
+        ...trigFunctions.map((fn) => this.getTrigValueText(angleInfo, fn, 6)),
+        pin.note,
+      ];
+    });
+    const csvCell = (value) => {
+      const text = String(value);
+      return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return [header, ...rows]
+      .map((row) => row.map(csvCell).join(","))
+      .join("\r\n");
+  }
+
+  /**
+   * Replace the pins with those in a JSON export. Accepts the object
+   * written by exportPinsJson or a bare array of pins; each pin needs an
+   * "angle" ("3pi/4" or radians) or "degrees".
+   * @param {string} jsonText - The JSON file contents
+   * @throws {Error} If the JSON is malformed or an entry is invalid
+   */
+  importPinsJson(jsonText) {
+    let data;
+    try {
+      data = JSON.parse(jsonText);
+    } catch (error) {
+      throw new Error(this.t("json.unreadable", { message: error.message }));
+    }
+    const list = Array.isArray(data) ? data : data && data.pins;
+    if (!Array.isArray(list)) {
+      throw new Error(this.t("pins.expectedArray"));
+    }
+    const pins = list.map((entry, index) => {
+      const fail = (problem, params = {}) => {
+        throw new Error(this.t(problem, { index: index + 1, ...params }));
+      };
+      if (!entry || typeof entry !== "object" || Array.isArray(entry)) {
+        fail("pins.entryNotObject", { entry: JSON.stringify(entry) });
+      }
+      let angle = null;
+      if (typeof entry.angle === "number" && isFinite(entry.angle)) {
+        angle = entry.angle;
+      } else if (typeof entry.angle === "string") {
+        angle = this.parseAngleParam(entry.angle.trim());
+      } else if (
+        entry.angle === undefined &&
+        typeof entry.degrees === "number" &&
+        isFinite(entry.degrees)
+      ) {
+        angle = (entry.degrees * Math.PI) / 180;
+      }
+      if (angle === null || typeof angle !== "number") {
+        fail("pins.entryNoAngle", {
+          angle: JSON.stringify(
+            entry.angle === undefined ? entry.degrees : entry.angle
+          ),
+        });
+      }
+      for (const field of ["name", "note"]) {
+        if (entry[field] !== undefined && typeof entry[field] !== "string") {
+          fail("pins.entryNotText", { field });
+        }
+      }
+      if (
+        entry.color !== undefined &&
+        !/^#[0-9a-f]{6}$/i.test(String(entry.color))
+      ) {
+        fail("pins.entryBadColor", { color: JSON.stringify(entry.color) });
+      }
+      if (!this.options.windingMode) angle = this.normalizeAngle(angle);
+      return { angle, details: entry };
+    });
+
+    // Only replace the pins once every entry has been checked
+    this.pinnedAngles = pins.map(({ angle, details }) =>
+      this.createPin(angle, {
+        name: details.name,
+        color: details.color,
+        note: details.note,
+      })
+    );
+    this.selectedPinId = null;
+    this.updatePinnedAnglesList();
+    this.updateInfoPanel();
+    this.draw();
+  }
+
+  /**
+   * Delete a pinned angle by its ID
+   * @param {number} id - The ID of the pinned angle to delete
+   */
+  deletePinnedAngle(id) {
+    this.pinnedAngles = this.pinnedAngles.filter((angle) => angle.id !== id);
+    if (id === this.selectedPinId) {
+      this.selectedPinId = null;
+      this.updateInfoPanel(); // Update panel if deselected
+    }
+    this.updatePinnedAnglesList();
+    this.draw();
+  }
+
+  /**
+   * Select or deselect a pinned angle
+   * @param {number} id - The ID of the pinned angle to select
+   */
+  selectPinnedAngle(id) {
+    this.selectedPinId = this.selectedPinId === id ? null : id; // Toggle selection
+    this.updatePinnedAnglesList();
+    this.updateInfoPanel(); // Update panel with selected info
+    this.draw();
+  }
+
+  /**
+   * Check if a point is near a pinned angle
+   * @param {number} x - X coordinate in canvas space
+   * @param {number} y - Y coordinate in canvas space
+   * @returns {number|null} ID of the nearest pinned angle within threshold, or null if none
+   */
+  findNearestPinnedAngle(x, y) {
+    if (this.pinnedAngles.length === 0) return null;
+
+    let nearestId = null;
+    let minDistance = this.pinClickThreshold;
+
+    // First check if we're near any pinned angle point
+    for (const pin of this.pinnedAngles) {
+      const distance = Math.sqrt(
+        Math.pow(pin.point.x - x, 2) + Math.pow(pin.point.y - y, 2)
+      );
+
+      if (distance < minDistance) {
+        minDistance = distance;
+        nearestId = pin.id;
+      }
+    }
+
+    // If no point is close enough, check if we're near any pinned angle line
+    if (nearestId === null) {
+      for (const pin of this.pinnedAngles) {
+        // Calculate distance from point to line segment (center to pin point)
+        const distance = this.distanceToLineSegment(
+          this.centerX,
+          this.centerY, // Line start (center)
+          pin.point.x,
+          pin.point.y, // Line end (pin point)
+          x,
+          y // Test point
+        );
+
+        if (distance < minDistance) {
+          minDistance = distance;
+          nearestId = pin.id;
+        }
+      }
+    }
+
+    return nearestId;
+  }
+
+  /**
+   * Calculate the distance from a point to a line segment
+   * @param {number} x1 - Line segment start X
+   * @param {number} y1 - Line segment start Y
+   * @param {number} x2 - Line segment end X
+   * @param {number} y2 - Line segment end Y
+   * @param {number} px - Point X
+   * @param {number} py - Point Y
+   * @returns {number} The shortest distance from the point to the line segment
+   */
+  distanceToLineSegment(x1, y1, x2, y2, px, py) {
+    // Calculate the squared length of the line segment
+    const lengthSquared = Math.pow(x2 - x1, 2) + Math.pow(y2 - y1, 2);
+
+    // If the line segment is actually a point, return distance to that point
+    if (lengthSquared === 0) {
+      return Math.sqrt(Math.pow(px - x1, 2) + Math.pow(py - y1, 2));
+    }
+
+    // Calculate projection of point onto line segment
+    const t = Math.max(
+      0,
+      Math.min(
+        1,
+        ((px - x1) * (x2 - x1) + (py - y1) * (y2 - y1)) / lengthSquared
+      )
+    );
+
+    // Calculate closest point on line segment
+    const projectionX = x1 + t * (x2 - x1);
+    const projectionY = y1 + t * (y2 - y1);
+
+    // Return distance to closest point
+    return Math.sqrt(
+      Math.pow(px - projectionX, 2) + Math.pow(py - projectionY, 2)
+    );
+  }
+
+  // ===== URL STATE =====
+
+  /**
+   * Serialise options, the angle set, pins and the selection into a URL
+   * hash such as "pins=3pi/4,7pi/6&sel=0&off=showCoordinates".
+   * Defaults are left out, so the default view has an empty hash.
+   * @returns {string} The hash without the leading "#"
+   */
+  serializeState() {
+    const parts = [];
+    const on = [];
+    const off = [];
+    for (const [key, defaultValue] of Object.entries(
+      UnitCircle.defaultOptions
+    )) {
+      if (this.options[key] !== defaultValue) {
+        (this.options[key] ? on : off).push(key);
+      }
+    }
+    if (on.length) parts.push(`on=${on.join(",")}`);
+    if (off.length) parts.push(`off=${off.join(",")}`);
+
+    if (this.angleUnit !== "degrees") parts.push(`unit=${this.angleUnit}`);
+
+    if (this.activeAngleSet !== "standard") {
+      parts.push(`set=${this.activeAngleSet}`);
+      if (this.activeAngleSet === "custom") {
+        parts.push(`custom=${this.angleSets.custom.degrees.join(",")}`);
+      }
+    }
+
+    if (this.pinnedAngles.length) {
+      const pins = this.pinnedAngles.map((pin) =>
+        this.formatAngleParam(
+          pin.angleInfo.isExact ? pin.angleInfo.radians : pin.angle
+        )
+      );
+      parts.push(`pins=${pins.join(",")}`);
+      // Annotations are parallel lists, each entry URI-encoded so names and
+      // notes may contain commas
+      for (const [param, field, defaultValue] of [
+        ["names", "name", ""],
+        ["colors", "color", this.colors.pinned],
+        ["notes", "note", ""],
+      ]) {
+        const values = this.pinnedAngles.map((pin) =>
+          pin[field] === defaultValue ? "" : encodeURIComponent(pin[field])
+        );
+        if (values.some(Boolean)) parts.push(`${param}=${values.join(",")}`);
+      }
+      const selectedIndex = this.pinnedAngles.findIndex(
+        (pin) => pin.id === this.selectedPinId
+      );
+      if (selectedIndex !== -1) parts.push(`sel=${selectedIndex}`);
+    }
+    return parts.join("&");
+  }
+
+  /**
+   * Write an angle for the URL: "3pi/4" when it is a fraction of π,
+   * otherwise radians rounded to 6 decimal places
+   * @param {number} radians - The angle in radians
+   * @returns {string} The URL form of the angle
+   */
+  formatAngleParam(radians) {
+    return this.formatPiMultiple(radians, null, "url");
+  }
+
+  /**
+   * Read an angle written by formatAngleParam
+   * @param {string} text - e.g. "3pi/4", "-pi/2" or "0.5"
+   * @returns {number|null} The angle in radians, or null if unreadable
+   */
+  parseAngleParam(text) {
+    const match = /^(-?\d*)pi(?:\/(\d+))?$/.exec(text);
+    if (match) {
+      const numerator =
+        match[1] === "" ? 1 : match[1] === "-" ? -1 : Number(match[1]);
+      const denominator = match[2] ? Number(match[2]) : 1;
+      return denominator === 0 ? null : (numerator * Math.PI) / denominator;
+    }
+    const value = Number(text);
+    return text !== "" && isFinite(value) ? value : null;
+  }
+
+  /**
+   * Save the current state to the active workspace and record it in the URL
+   * as a new history entry, tagged with the workspace it belongs to
+   */
+  saveState() {
+    if (this.isRestoringState) return;
+    const hash = this.serializeState();
+    this.saveActiveWorkspace(hash);
+    if (hash === window.location.hash.slice(1)) {
+      this.replaceUrlState(); // Only the workspace may have changed
+      return;
+    }
+    const url = hash
+      ? `#${hash}`
+      : window.location.pathname + window.location.search;
+    window.history.pushState({ workspace: this.workspaces.active }, "", url);
+  }
+
+  /**
+   * Apply the state stored in the URL hash and keep the active workspace
+   * in step with it. History entries made in another workspace switch back
+   * to it, so going back never writes one workspace's state into another.
+   */
+  restoreStateFromUrl() {
+    const entry = window.history.state;
+    if (entry && entry.workspace !== undefined) {
+      if (
+        !Object.prototype.hasOwnProperty.call(
+          this.workspaces.states,
+          entry.workspace
+        )
+      ) {
+        // Its workspace has been deleted: show the active workspace and
+        // make the URL match it
+        const state = this.workspaces.states[this.workspaces.active];
+        if (state !== this.serializeState()) this.applyState(state);
+        this.replaceUrlState();
+        return;
+      }
+      if (entry.workspace !== this.workspaces.active) {
+        this.workspaces.active = entry.workspace;
+        this.persistWorkspaces();
+        this.updateWorkspaceList();
+      }
+    }
+    const hash = window.location.hash.slice(1);
+    if (hash === this.serializeState()) return;
+    this.applyState(hash);
+    // Tidy the URL (e.g. drop unreadable pins) without adding a history entry
+    this.replaceUrlState();
+    this.saveActiveWorkspace(this.serializeState());
+  }
+
+  /**
+   * Replace the current history entry's URL and workspace with the current
+   * ones
+   */
+  replaceUrlState() {
+    const hash = this.serializeState();
+    const entry = window.history.state;
+    if (
+      hash === window.location.hash.slice(1) &&
+      entry &&
+      entry.workspace === this.workspaces.active
+    ) {
+      return;
+    }
+    window.history.replaceState(
+      { workspace: this.workspaces.active },
+      "",
+      hash ? `#${hash}` : window.location.pathname + window.location.search
+    );
+  }
+
+  /**
+   * Apply a serialised state (see serializeState). Missing values fall back
+   * to their defaults and unreadable pins are skipped.
+   * @param {string} state - The state in URL hash format, without "#"
+   */
+  applyState(state) {
+    // Values stay encoded until split, so encoded commas survive
+    const params = new Map(
+      state
+        .split("&")
+        .filter(Boolean)
+        .map((part) => {
+          const separator = part.indexOf("=");
+          return separator === -1
+            ? [part, ""]
+            : [part.slice(0, separator), part.slice(separator + 1)];
+        })
+    );
+    const entries = (name) =>
+      (params.get(name) || "").split(",").map((entry) => {
+        try {
+          return decodeURIComponent(entry);
+        } catch (error) {
+          return entry; // Leave malformed escapes as typed
+        }
+      });
+    const list = (name) => entries(name).filter(Boolean);
+    this.isRestoringState = true;
+
+    const on = list("on");
+    const off = list("off");
+    for (const [key, defaultValue] of Object.entries(
+      UnitCircle.defaultOptions
+    )) {
+      const value = on.includes(key)
+        ? true
+        : off.includes(key)
+        ? false
+        : defaultValue;
+      if (this.options[key] !== value) this.setOption(key, value);
+    }
+
+    const unit = params.get("unit") || "degrees";
+    if (this.angleUnits.includes(unit)) {
+      this.root.getElementById("angleUnitSelect").value = unit;
+      this.angleUnit = unit;
+    }
+
+    const setName = params.get("set") || "standard";
+    if (this.angleSets[setName]) {
+      if (setName === "custom") {
+        const degrees = list("custom").map(Number).filter(isFinite);
+        this.angleSets.custom.degrees = degrees;
+      }
+      if (setName !== "custom" || this.angleSets.custom.degrees.length > 0) {
+        this.root.getElementById("angleSetSelect").value = setName;
+        this.setAngleSet(setName);
+      }
+    }
+
+    this.pinnedAngles = [];
+    const names = entries("names");
+    const colors = entries("colors");
+    const notes = entries("notes");
+    let selectedPin = null;
+    entries("pins").forEach((text, index) => {
+      let angle = this.parseAngleParam(text);
+      if (angle === null) return;
+      if (!this.options.windingMode) angle = this.normalizeAngle(angle);
+      const color = /^#[0-9a-f]{6}$/i.test(colors[index] || "")
+        ? colors[index]
+        : this.colors.pinned;
+      const pin = this.createPin(angle, {
+        name: names[index] || "",
+        color,
+        note: notes[index] || "",
+      });
+      this.pinnedAngles.push(pin);
+      if (String(index) === params.get("sel")) selectedPin = pin;
+    });
+    this.selectedPinId = selectedPin ? selectedPin.id : null;
+
+    this.updatePinnedAnglesList();
+    this.isRestoringState = false;
+    this.updateInfoPanel();
+    this.draw();
+  }
+
+  // ===== WORKSPACES =====
+
+  /**
+   * Read the saved workspaces from localStorage, keeping the default
+   * workspace if nothing usable is stored
+   */
+  loadWorkspaces() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(this.storageKey));
+      if (
+        saved &&
+        saved.states &&
+        typeof saved.states === "object" &&
+        Object.values(saved.states).every(
+          (state) => typeof state === "string"
+        ) &&
+        Object.prototype.hasOwnProperty.call(saved.states, saved.active)
+      ) {
+        this.workspaces = { active: saved.active, states: saved.states };
+      }
+    } catch (error) {
+      // Storage unavailable or corrupt - start with the default workspace
+    }
+    this.updateWorkspaceList();
+  }
+
+  /**
+   * Write the workspaces to localStorage
+   */
+  persistWorkspaces() {
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(this.workspaces));
+    } catch (error) {
+      // Storage unavailable (e.g. private browsing) - keep working in memory
+    }
+  }
+
+  /**
+   * Store a state in the active workspace
+   * @param {string} state - The state in URL hash format
+   */
+  saveActiveWorkspace(state) {
+    if (this.workspaces.states[this.workspaces.active] === state) return;
+    this.workspaces.states[this.workspaces.active] = state;
+    this.persistWorkspaces();
+  }
+
+  /**
+   * Switch to a saved workspace and restore its pins and options
+   * @param {string} name - The workspace name
+   */
+  switchWorkspace(name) {
+    if (!Object.prototype.hasOwnProperty.call(this.workspaces.states, name)) {
+      return;
+    }
+    this.workspaces.active = name;
+    this.persistWorkspaces();
+    this.applyState(this.workspaces.states[name]);
+    this.saveState();
+    this.updateWorkspaceList();
+  }
+
+  /**
+   * Save the current pins and options as a new workspace and switch to it
+   * @param {string} name - The workspace name
+   * @throws {Error} If the name is empty or already used
+   */
+  createWorkspace(name) {
+    const trimmedName = name.trim();
+    if (!trimmedName) throw new Error(this.t("workspace.enterName"));
+    if (
+      Object.prototype.hasOwnProperty.call(this.workspaces.states, trimmedName)
+    ) {
+      throw new Error(this.t("workspace.exists", { name: trimmedName }));
+    }
+    this.workspaces.states[trimmedName] = this.serializeState();
+    this.workspaces.active = trimmedName;
+    this.persistWorkspaces();
+    this.updateWorkspaceList();
+  }
+
+  /**
+   * Get a workspace name that isn't used yet, e.g. "Shared link 2"
+   * @param {string} baseName - The preferred name
+   * @returns {string} An unused name
+   */
+  getUniqueWorkspaceName(baseName) {
+    let name = baseName;
+    for (
+      let n = 2;
+      Object.prototype.hasOwnProperty.call(this.workspaces.states, name);
+      n++
+    ) {
+      name = `${baseName} ${n}`;
+    }
+    return name;
+  }
+
+  /**
+   * Delete the active workspace and switch to another one. The last
+   * workspace is reset to defaults instead of being deleted.
+   */
+  deleteActiveWorkspace() {
+    const names = Object.keys(this.workspaces.states);
+    if (names.length === 1) {
+      this.workspaces.states[names[0]] = "";
+      this.switchWorkspace(names[0]);
+      return;
+    }
+    delete this.workspaces.states[this.workspaces.active];
+    this.switchWorkspace(Object.keys(this.workspaces.states)[0]);
+  }
+
+  /**
+   * Rebuild the workspace dropdown
+   */
+  updateWorkspaceList() {
+    if (this.embedded) return;
+    const select = this.root.getElementById("workspaceSelect");
+    select.innerHTML = "";
+    for (const name of Object.keys(this.workspaces.states)) {
+      const option = document.createElement("option");
+      option.value = name;
+      // The default workspace is named in the interface language
+      option.textContent =
+        name === "Default" ? this.t("workspace.default") : name;
+      option.selected = name === this.workspaces.active;
+      select.appendChild(option);
+    }
+  }
+
+  // ===== PRACTICE QUIZ =====
+
+  /**
+   * Whether a quiz question is waiting for an answer (answers are hidden)
+   * @returns {boolean}
+   */
+  isQuizAwaitingAnswer() {
+    return this.quiz !== null && !this.quiz.finished && !this.quiz.feedback;
+  }
+
+  /**
+   * Start a new practice quiz round
+   */
+  startQuiz() {
+    this.pausePlayback();
+    const quadrantStats = {};
+    for (const quadrant of ["I", "II", "III", "IV", "Axes"]) {
+      quadrantStats[quadrant] = { correct: 0, total: 0 };
+    }
+    this.quiz = {
+      index: 0,
+      correct: 0,
+      streak: 0,
+      bestStreak: 0,
+      quadrantStats,
+      responseTimes: [],
+      question: null,
+      questionStart: 0,
+      feedback: null,
+      finished: false,
+    };
+    this.selectedPinId = null; // Clicks must reach the circle
+    this.updatePinnedAnglesList();
+    this.root.getElementById("quizPanel").classList.remove("hide");
+    this.root.getElementById("quizSummary").classList.add("hide");
+    this.root.getElementById("startQuizBtn").classList.add("hide");
+    this.nextQuizQuestion();
+  }
+
+  /**
+   * Move to the next quiz question, or finish the round
+   */
+  nextQuizQuestion() {
+    if (!this.quiz) return;
+    if (this.quiz.index >= this.quizLength) {
+      this.finishQuiz();
+      return;
+    }
+    this.quiz.question = this.generateQuizQuestion();
+    this.quiz.feedback = null;
+    this.quiz.questionStart = performance.now();
+
+    this.root.getElementById("quizFeedback").textContent = "";
+    this.root.getElementById("quizNextBtn").classList.add("hide");
+    this.root.getElementById("quizAnswerInput").value = "";
+    this.updateQuizText();
+    this.updateInfoPanel();
+    this.draw();
+  }
+
+  /**
+   * Build a random question from the active special angles
+   * @returns {{type: string, number: number, target: object, answers: Array<object>, useDegrees: boolean, fn?: string, condition?: {fn: string, sign: number}}}
+   *   The question; its prompt is written by formatQuizPrompt
+   */
+  generateQuizQuestion() {
+    const exactAngles = this.specialAngles.filter((a) => a.isExact);
+    const pool = exactAngles.length > 0 ? exactAngles : this.specialAngles;
+    const target = pool[Math.floor(Math.random() * pool.length)];
+    const useDegrees = Math.random() < 0.5;
+    const type = ["clickAngle", "trigCondition", "coordinates"][
+      Math.floor(Math.random() * 3)
+    ];
+    const question = {
+      type,
+      number: this.quiz.index + 1,
+      target,
+      answers: [target],
+      useDegrees,
+    };
+
+    if (type === "trigCondition") {
+      // Describe the angle by one trig value, adding a sign condition on the
+      // other coordinate when the value alone has two solutions
+      const fn = ["sin", "cos", "tan"].find((name) => isFinite(target[name]));
+      let answers = pool.filter((a) => a[`${fn}Str`] === target[`${fn}Str`]);
+      if (answers.length > 1) {
+        const other = fn === "sin" ? "cos" : "sin";
+        const sign = Math.sign(Math.round(target[other] * 1e9));
+        if (sign !== 0) {
+          answers = answers.filter(
+            (a) => Math.sign(Math.round(a[other] * 1e9)) === sign
+          );
+          question.condition = { fn: other, sign };
+        }
       }
+      Object.assign(question, { fn, answers });
     }
-    return closestAngle;
+    return question;
   }
 
   /**
-   * Get detailed information about the current angle
-   * @returns {Object} Angle information including trig values
+   * Write a quiz question in the active language
+   * @param {Object} question - A question from generateQuizQuestion
+   * @returns {string} e.g. "Where is sin θ = 1/2 and cos θ < 0?"
    */
-  getCurrentAngleInfo() {
-    const closestAngle = this.findClosestSpecialAngle(this.currentAngle);
-    if (closestAngle) {
-      // Return special angle exact values (already calculated)
-      return { ...closestAngle, isExact: true };
-    } else {
-      // Calculate approximate values based on current math angle
-      const x = Math.cos(this.currentAngle);
-      const y = Math.sin(this.currentAngle);
-      const tan = Math.abs(x) < 1e-10 ? Infinity : y / x; // Avoid division by near zero
-      const csc = Math.abs(y) < 1e-10 ? Infinity : 1 / y;
-      const sec = Math.abs(x) < 1e-10 ? Infinity : 1 / x;
-      const cot = Math.abs(y) < 1e-10 ? Infinity : x / y; // Check y for cot
-      return {
-        radians: this.currentAngle,
-        degrees: (this.currentAngle * 180) / Math.PI,
-        coords: { x, y },
-        exactCoordsStr: null,
-        sin: y,
-        cos: x,
-        tan: tan,
-        csc: csc,
-        sec: sec,
-        cot: cot,
-        sinStr: this.getExactTrigString(y),
-        cosStr: this.getExactTrigString(x),
-        tanStr: this.getExactTrigString(tan),
-        cscStr: this.getExactTrigString(csc),
-        secStr: this.getExactTrigString(sec),
-        cotStr: this.getExactTrigString(cot),
-        isExact: false,
-      };
+  formatQuizPrompt({ type, target, answers, useDegrees, fn, condition }) {
+    const angle = useDegrees
+      ? `${this.locale.formatDecimal(target.degrees, 6)}°`
+      : this.formatRadians(target.radians);
+    if (type === "coordinates") {
+      return this.t("quiz.coordinatesPrompt", { angle });
     }
+    if (type === "clickAngle") return this.t("quiz.clickPrompt", { angle });
+
+    const name = (trigFunction) => this.locale.localizeFunctions(trigFunction);
+    let text = `${name(fn)} θ = ${target[`${fn}Str`]}`;
+    if (condition) {
+      text = this.t("quiz.and", {
+        first: text,
+        second: `${name(condition.fn)} θ ${condition.sign > 0 ? ">" : "<"} 0`,
+      });
+    }
+    const prompt = this.t("quiz.conditionPrompt", { condition: text });
+    return answers.length > 1 ? this.t("quiz.anySolution", { prompt }) : prompt;
   }
 
   /**
-   * Calculate the reference angle (angle in first quadrant)
-   * @param {number} angle - The angle in radians
-   * @returns {number} The reference angle in radians
+   * Write the answer to a graded quiz question in the active language
+   * @param {Object} question - The question
+   * @param {{isCorrect: boolean, elapsed: number}} feedback - The grading
+   * @returns {string} e.g. "Correct! 5π/4 (225°) (3.2 s)"
    */
-  calculateReferenceAngle(angle) {
-    let refAngle = angle % (2 * Math.PI);
-    if (refAngle < 0) refAngle += 2 * Math.PI; // Ensure positive
-    if (refAngle >= 0 && refAngle <= Math.PI / 2) return refAngle;
-    if (refAngle > Math.PI / 2 && refAngle <= Math.PI)
-      return Math.PI - refAngle;
-    if (refAngle > Math.PI && refAngle <= (3 * Math.PI) / 2)
-      return refAngle - Math.PI;
-    return 2 * Math.PI - refAngle;
+  formatQuizFeedback(question, { isCorrect, elapsed }) {
+    const { target } = question;
+    const degrees = (angleInfo) =>
+      this.locale.formatDecimal(angleInfo.degrees, 6);
+    const solution =
+      question.type === "coordinates"
+        ? this.t("quiz.coordinatesAt", {
+            coordinates: target.exactCoordsStr,
+            degrees: degrees(target),
+          })
+        : question.answers
+            .map((a) => `${this.formatRadians(a.radians)} (${degrees(a)}°)`)
+            .reduce((first, second) => this.t("quiz.or", { first, second }));
+    return isCorrect
+      ? this.t("quiz.correct", {
+          solution,
+          seconds: this.locale.formatNumber(elapsed, 1),
+        })
+      : this.t("quiz.incorrect", { solution });
   }
 
   /**
-   * Determine which quadrant an angle is in
-   * @param {number} angle - The angle in radians
-   * @returns {string} The quadrant (I, II, III, IV) or axis
+   * Write the open question, its feedback and the score in the active
+   * language
    */
-  getQuadrant(angle) {
-    const normalizedAngle =
-      ((angle % (2 * Math.PI)) + 2 * Math.PI) % (2 * Math.PI); // Ensure [0, 2PI)
-    if (normalizedAngle === 0 || normalizedAngle === Math.PI) return "X-Axis"; // Or handle axes specifically
-    if (
-      normalizedAngle === Math.PI / 2 ||
-      normalizedAngle === (3 * Math.PI) / 2
-    )
-      return "Y-Axis";
-    if (normalizedAngle > 0 && normalizedAngle < Math.PI / 2) return "I";
-    if (normalizedAngle > Math.PI / 2 && normalizedAngle < Math.PI) return "II";
-    if (normalizedAngle > Math.PI && normalizedAngle < (3 * Math.PI) / 2)
-      return "III";
-    return "IV";
+  updateQuizText() {
+    if (!this.quiz || this.quiz.finished) return;
+    const { question, feedback } = this.quiz;
+    this.root.getElementById("quizPrompt").textContent = `${question.number}/${
+      this.quizLength
+    }: ${this.formatQuizPrompt(question)}`;
+    this.root.getElementById("quizAnswerInput").placeholder = this.t(
+      question.type === "coordinates"
+        ? "quiz.coordinatesPlaceholder"
+        : "quiz.anglePlaceholder"
+    );
+    if (feedback) {
+      this.root.getElementById("quizFeedback").textContent =
+        this.formatQuizFeedback(question, feedback);
+    }
+    this.updateQuizStats();
   }
 
   /**
-   * Update the information panel with current angle data
+   * Check the typed quiz answer
    */
-  updateInfoPanel() {
-    // Show info if interacting OR if a pin is selected
-    if (!this.isInteractionActive && this.selectedPinId === null) {
-      // Optionally clear the panel or show default/placeholder text
-      // document.getElementById("degreesValue").textContent = "-";
-      // ... clear other fields ...
-      return; // Or clear fields before returning
+  submitQuizInput() {
+    if (!this.isQuizAwaitingAnswer()) return;
+    const text = this.root.getElementById("quizAnswerInput").value.trim();
+    if (!text) return;
+    if (this.quiz.question.type === "coordinates") {
+      this.answerQuiz({ text });
+      return;
     }
-
-    let angleInfo;
-    if (this.isInteractionActive) {
-      angleInfo = this.getCurrentAngleInfo();
-    } else if (this.selectedPinId !== null) {
-      const selectedPin = this.pinnedAngles.find(
-        (p) => p.id === this.selectedPinId
+    let angle;
+    try {
+      angle = this.parseAngleExpression(text);
+    } catch (error) {
+      this.root.getElementById("quizFeedback").textContent = this.t(
+        "quiz.unreadable",
+        { message: error.message }
       );
-      if (selectedPin) {
-        angleInfo = selectedPin.angleInfo;
-      } else {
-        // Selected pin not found (shouldn't happen), clear panel
-        this.selectedPinId = null;
-        // ... clear fields ...
-        return;
-      }
-    } else {
-      // Should not be reached if the initial check passes, but good practice
       return;
     }
+    this.answerQuiz({ angle, isTyped: true });
+  }
 
-    const refAngle = this.calculateReferenceAngle(angleInfo.radians);
-    const quadrant = this.getQuadrant(angleInfo.radians);
-
-    document.getElementById(
-      "degreesValue"
-    ).textContent = `${angleInfo.degrees.toFixed(1)}°`;
-    document.getElementById("radiansValue").textContent = angleInfo.isExact
-      ? `${this.formatRadians(angleInfo.radians)} rad`
-      : `${angleInfo.radians.toFixed(2)} rad`;
-    document.getElementById("coordinatesValue").textContent =
-      angleInfo.isExact && angleInfo.exactCoordsStr
-        ? angleInfo.exactCoordsStr
-        : `(${angleInfo.coords.x.toFixed(2)}, ${angleInfo.coords.y.toFixed(
-            2
-          )})`;
-    document.getElementById("sinValue").textContent = angleInfo.isExact
-      ? angleInfo.sinStr
-      : angleInfo.sin.toFixed(3);
-    document.getElementById("cosValue").textContent = angleInfo.isExact
-      ? angleInfo.cosStr
-      : angleInfo.cos.toFixed(3);
-    document.getElementById("tanValue").textContent = angleInfo.isExact
-      ? angleInfo.tanStr
-      : angleInfo.tan === Infinity || isNaN(angleInfo.tan) // Check for NaN too
-      ? "undefined"
-      : angleInfo.tan.toFixed(3);
-
-    if (this.options.showExtraTrig) {
-      document.getElementById("cscValue").textContent = angleInfo.isExact
-        ? angleInfo.cscStr
-        : angleInfo.csc === Infinity || isNaN(angleInfo.csc)
-        ? "undefined"
-        : angleInfo.csc.toFixed(3);
-      document.getElementById("secValue").textContent = angleInfo.isExact
-        ? angleInfo.secStr
-        : angleInfo.sec === Infinity || isNaN(angleInfo.sec)
-        ? "undefined"
-        : angleInfo.sec.toFixed(3);
-      document.getElementById("cotValue").textContent = angleInfo.isExact
-        ? angleInfo.cotStr
-        : angleInfo.cot === Infinity || isNaN(angleInfo.cot)
-        ? "undefined"
-        : angleInfo.cot.toFixed(3);
+  /**
+   * Grade an answer to the open quiz question and record the statistics
+   * @param {{angle?: number, isTyped?: boolean, text?: string}} answer - A
+   *   clicked or typed angle in radians, or typed coordinates. Clicks are
+   *   snapped to the nearest special angle; typed angles must be exact.
+   *   Coordinates questions accept only typed coordinates.
+   */
+  answerQuiz(answer) {
+    if (!this.isQuizAwaitingAnswer()) return;
+    const { question } = this.quiz;
+    if (question.type === "coordinates" && answer.text === undefined) {
+      // The prompt names the angle, so clicking it answers nothing
+      this.root.getElementById("quizFeedback").textContent = this.t(
+        "quiz.typeCoordinates"
+      );
+      return;
     }
-    if (this.options.showRefAngle) {
-      const refRadFormatted = this.formatRadians(refAngle); // Format ref angle too
-      const refDeg = (refAngle * 180) / Math.PI;
-      document.getElementById("refAngleValue").textContent = `${refDeg.toFixed(
-        1
-      )}° / ${refRadFormatted} rad`;
+    const elapsed = (performance.now() - this.quiz.questionStart) / 1000;
+
+    let isCorrect;
+    let answerAngle = null;
+    if (answer.angle !== undefined) {
+      answerAngle = answer.angle;
+      if (answer.isTyped) {
+        isCorrect = question.answers.some((a) => {
+          const difference = Math.abs(
+            a.radians - this.normalizeAngle(answer.angle)
+          );
+          return Math.min(difference, 2 * Math.PI - difference) < 1e-6;
+        });
+      } else {
+        const nearest = this.findNearestQuizAngle(answer.angle);
+        isCorrect = question.answers.includes(nearest);
+      }
     } else {
-      document.getElementById("refAngleValue").textContent = "-";
+      isCorrect = this.coordinatesMatch(answer.text, question.target.coords);
     }
-    if (this.options.showQuadrant) {
-      document.getElementById("quadrantValue").textContent = quadrant;
+
+    // Statistics
+    const quadrant = this.getQuadrant(question.target.radians);
+    const bucket =
+      this.quiz.quadrantStats[quadrant.includes("Axis") ? "Axes" : quadrant];
+    bucket.total++;
+    this.quiz.index++;
+    this.quiz.responseTimes.push(elapsed);
+    if (isCorrect) {
+      bucket.correct++;
+      this.quiz.correct++;
+      this.quiz.streak++;
+      this.quiz.bestStreak = Math.max(this.quiz.bestStreak, this.quiz.streak);
     } else {
-      document.getElementById("quadrantValue").textContent = "-";
+      this.quiz.streak = 0;
     }
+
+    this.quiz.feedback = {
+      isCorrect,
+      answerAngle,
+      answers: question.answers,
+      elapsed,
+    };
+
+    const nextButton = this.root.getElementById("quizNextBtn");
+    nextButton.classList.remove("hide");
+    this.setTranslatedText(
+      nextButton,
+      this.quiz.index >= this.quizLength ? "quiz.seeSummary" : "quiz.next"
+    );
+    this.updateQuizText();
+    this.updateInfoPanel();
+    this.draw();
   }
 
   /**
-   * Format radians as exact fractions of π when possible
-   * @param {number} radians - The angle in radians
-   * @returns {string} Formatted string representation
+   * Find the special angle nearest to the given angle, regardless of snapping
+   * @param {number} angle - The angle in radians
+   * @returns {Object} The nearest special angle
    */
-  formatRadians(radians) {
-    const pi = Math.PI;
-    const tolerance = 0.001; // Tolerance for matching fractions
-    const fractions = [2, 3, 4, 6]; // Denominators to check
-
-    if (Math.abs(radians) < tolerance) return "0";
-    if (Math.abs(radians - pi) < tolerance) return "π";
-    if (Math.abs(radians - 2 * pi) < tolerance) return "2π";
-
-    for (const d of fractions) {
-      for (let n = 1; n < 2 * d; n++) {
-        // Check numerators
-        if (Math.abs(radians - (n * pi) / d) < tolerance) {
-          if (n === 1) return `π/${d}`;
-          // Potential simplification needed here for gcd, e.g. 4pi/6 -> 2pi/3
-          // Basic implementation for now:
-          return `${n}π/${d}`;
-        }
+  findNearestQuizAngle(angle) {
+    const normalizedAngle = this.normalizeAngle(angle);
+    let nearest = null;
+    let minDifference = Infinity;
+    for (const specialAngle of this.specialAngles) {
+      let difference = Math.abs(specialAngle.radians - normalizedAngle);
+      if (difference > Math.PI) difference = 2 * Math.PI - difference;
+      if (difference < minDifference) {
+        minDifference = difference;
+        nearest = specialAngle;
       }
     }
-    return radians.toFixed(2); // Fallback
+    return nearest;
   }
 
-  // ===== PINNED ANGLE LIST MANAGEMENT =====
-
   /**
-   * Update the pinned angles list in the UI
+   * Compare typed coordinates such as "(1/2, -√3/2)" with the exact point.
+   * Values are compared numerically, so equivalent forms like 1/√2 count.
+   * @param {string} text - The typed answer
+   * @param {{x: number, y: number}} coords - The correct coordinates
+   * @returns {boolean} Whether both coordinates match
    */
-  updatePinnedAnglesList() {
-    const listElement = document.getElementById("pinnedAnglesList");
-    listElement.innerHTML = "";
-    if (this.pinnedAngles.length === 0) {
-      listElement.innerHTML =
-        '<li class="empty-list-message">No angles pinned yet</li>';
-      return;
+  coordinatesMatch(text, coords) {
+    const inner = this.locale
+      .normalizeNumberInput(text.trim())
+      .replace(/^\(([\s\S]*)\)$/, "$1");
+    // Split on the comma or semicolon that is not inside parentheses
+    let depth = 0;
+    let splitAt = -1;
+    for (let i = 0; i < inner.length; i++) {
+      if (inner[i] === "(") depth++;
+      else if (inner[i] === ")") depth--;
+      else if (",;".includes(inner[i]) && depth === 0) splitAt = i;
     }
-    this.pinnedAngles.forEach((pin) => {
-      const listItem = document.createElement("li");
-      listItem.dataset.id = pin.id;
-      listItem.className = pin.id === this.selectedPinId ? "selected" : "";
-      const angleText = document.createElement("span");
-      angleText.textContent = `${pin.angleInfo.degrees.toFixed(
-        1
-      )}° (${this.formatRadians(pin.angle)})`;
-      listItem.appendChild(angleText);
-      const deleteBtn = document.createElement("button");
-      deleteBtn.className = "delete-pin";
-      deleteBtn.textContent = "×";
-      deleteBtn.addEventListener("click", (e) => {
-        e.stopPropagation();
-        this.deletePinnedAngle(pin.id);
-      });
-      listItem.appendChild(deleteBtn);
-      listItem.addEventListener("click", () => {
-        this.selectPinnedAngle(pin.id);
-      });
-      listElement.appendChild(listItem);
-    });
+    if (splitAt === -1) return false;
+    const x = this.evaluateNumericInput(inner.slice(0, splitAt));
+    const y = this.evaluateNumericInput(inner.slice(splitAt + 1));
+    if (x === null || y === null) return false;
+    return Math.abs(x - coords.x) < 1e-6 && Math.abs(y - coords.y) < 1e-6;
   }
 
   /**
-   * Delete a pinned angle by its ID
-   * @param {number} id - The ID of the pinned angle to delete
+   * Evaluate a typed number such as "-√3/2", "2sqrt(3)/3" or "5pi/4"
+   * (see evaluateExpression)
+   * @param {string} text - The expression
+   * @returns {number|null} The value, or null if it cannot be read or has
+   *   angle units
    */
-  deletePinnedAngle(id) {
-    this.pinnedAngles = this.pinnedAngles.filter((angle) => angle.id !== id);
-    if (id === this.selectedPinId) {
-      this.selectedPinId = null;
-      this.updateInfoPanel(); // Update panel if deselected
+  evaluateNumericInput(text) {
+    try {
+      const { value, hasUnit } = this.evaluateExpression(text);
+      return hasUnit ? null : value;
+    } catch (error) {
+      return null;
     }
-    this.updatePinnedAnglesList();
-    this.draw();
   }
 
   /**
-   * Select or deselect a pinned angle
-   * @param {number} id - The ID of the pinned angle to select
+   * Update the running score, streak and timing line of the quiz panel
    */
-  selectPinnedAngle(id) {
-    this.selectedPinId = this.selectedPinId === id ? null : id; // Toggle selection
-    this.updatePinnedAnglesList();
-    this.updateInfoPanel(); // Update panel with selected info
-    this.draw();
+  updateQuizStats() {
+    const { index, correct, streak, bestStreak } = this.quiz;
+    this.root.getElementById("quizStats").textContent = this.t("quiz.stats", {
+      correct,
+      answered: index,
+      streak,
+      bestStreak,
+    });
   }
 
   /**
-   * Check if a point is near a pinned angle
-   * @param {number} x - X coordinate in canvas space
-   * @param {number} y - Y coordinate in canvas space
-   * @returns {number|null} ID of the nearest pinned angle within threshold, or null if none
+   * End the quiz round and show the summary
    */
-  findNearestPinnedAngle(x, y) {
-    if (this.pinnedAngles.length === 0) return null;
-
-    let nearestId = null;
-    let minDistance = this.pinClickThreshold;
-
-    // First check if we're near any pinned angle point
-    for (const pin of this.pinnedAngles) {
-      const distance = Math.sqrt(
-        Math.pow(pin.point.x - x, 2) + Math.pow(pin.point.y - y, 2)
+  finishQuiz() {
+    if (!this.quiz) return;
+    const { index, correct, bestStreak, quadrantStats, responseTimes } =
+      this.quiz;
+    this.quiz.finished = true;
+    this.quiz.feedback = null;
+
+    const summary = this.root.getElementById("quizSummary");
+    summary.innerHTML = "";
+    const heading = document.createElement("h3");
+    heading.textContent = this.t("quiz.summary");
+    summary.appendChild(heading);
+
+    const lines = [];
+    if (index === 0) {
+      lines.push(this.t("quiz.noAnswers"));
+    } else {
+      const average =
+        responseTimes.reduce((sum, t) => sum + t, 0) / responseTimes.length;
+      lines.push(
+        this.t("quiz.score", {
+          correct,
+          answered: index,
+          percent: Math.round((correct / index) * 100),
+        })
       );
-
-      if (distance < minDistance) {
-        minDistance = distance;
-        nearestId = pin.id;
-      }
-    }
-
-    // If no point is close enough, check if we're near any pinned angle line
-    if (nearestId === null) {
-      for (const pin of this.pinnedAngles) {
-        // Calculate distance from point to line segment (center to pin point)
-        const distance = this.distanceToLineSegment(
-          this.centerX,
-          this.centerY, // Line start (center)
-          pin.point.x,
-          pin.point.y, // Line end (pin point)
-          x,
-          y // Test point
+      lines.push(this.t("quiz.bestStreak", { bestStreak }));
+      lines.push(
+        this.t("quiz.responseTime", {
+          average: this.locale.formatNumber(average, 1),
+          fastest: this.locale.formatNumber(Math.min(...responseTimes), 1),
+        })
+      );
+      for (const [quadrant, stats] of Object.entries(quadrantStats)) {
+        if (stats.total === 0) continue;
+        lines.push(
+          this.t("quiz.groupScore", {
+            group:
+              quadrant === "Axes"
+                ? this.t("quiz.onAxis")
+                : this.t("quiz.quadrant", { quadrant }),
+            correct: stats.correct,
+            total: stats.total,
+            percent: Math.round((stats.correct / stats.total) * 100),
+          })
         );
-
-        if (distance < minDistance) {
-          minDistance = distance;
-          nearestId = pin.id;
-        }
       }
     }
-
-    return nearestId;
+    const list = document.createElement("ul");
+    for (const line of lines) {
+      const item = document.createElement("li");
+      item.textContent = line;
+      list.appendChild(item);
+    }
+    summary.appendChild(list);
+
+    summary.classList.remove("hide");
+    this.root.getElementById("quizPanel").classList.add("hide");
+    const startButton = this.root.getElementById("startQuizBtn");
+    this.setTranslatedText(startButton, "quiz.startNew");
+    startButton.classList.remove("hide");
+    this.quiz = null;
+    this.updateInfoPanel();
+    this.draw();
   }
 
   /**
-   * Calculate the distance from a point to a line segment
-   * @param {number} x1 - Line segment start X
-   * @param {number} y1 - Line segment start Y
-   * @param {number} x2 - Line segment end X
-   * @param {number} y2 - Line segment end Y
-   * @param {number} px - Point X
-   * @param {number} py - Point Y
-   * @returns {number} The shortest distance from the point to the line segment
+   * Highlight the correct answer(s) and, if wrong, the student's answer
+   * @param {{isCorrect: boolean, answerAngle: number|null, answers: Array<object>}} feedback
    */
-  distanceToLineSegment(x1, y1, x2, y2, px, py) {
-    // Calculate the squared length of the line segment
-    const lengthSquared = Math.pow(x2 - x1, 2) + Math.pow(y2 - y1, 2);
-
-    // If the line segment is actually a point, return distance to that point
-    if (lengthSquared === 0) {
-      return Math.sqrt(Math.pow(px - x1, 2) + Math.pow(py - y1, 2));
+  drawQuizFeedback(feedback) {
+    if (!feedback.isCorrect && feedback.answerAngle !== null) {
+      this.drawPinnedAngleHighlight(
+        {
+          point: this.angleToCanvasPoint(feedback.answerAngle),
+          angleInfo: this.buildApproximateAngleInfo(feedback.answerAngle),
+        },
+        this.colors.incorrect
+      );
     }
+    for (const answer of feedback.answers) {
+      this.drawPinnedAngleHighlight(
+        { point: this.angleToCanvasPoint(answer.radians), angleInfo: answer },
+        this.colors.correct
+      );
+    }
+  }
 
-    // Calculate projection of point onto line segment
-    const t = Math.max(
-      0,
-      Math.min(
-        1,
-        ((px - x1) * (x2 - x1) + (py - y1) * (y2 - y1)) / lengthSquared
-      )
-    );
-
-    // Calculate closest point on line segment
-    const projectionX = x1 + t * (x2 - x1);
-    const projectionY = y1 + t * (y2 - y1);
-
-    // Return distance to closest point
-    return Math.sqrt(
-      Math.pow(px - projectionX, 2) + Math.pow(py - projectionY, 2)
+  /**
+   * Canvas position of the point on the unit circle at an angle
+   * @param {number} angle - The angle in radians
+   * @returns {{x: number, y: number}} Canvas coordinates
+   */
+  angleToCanvasPoint(angle) {
+    return this.mathToCanvas(
+      Math.cos(angle) * this.radius,
+      Math.sin(angle) * this.radius
     );
   }
 
@@ -990,11 +5290,47 @@ class UnitCircle {
    */
   draw() {
     this.ctx.clearRect(0, 0, this.width, this.height);
+    const selectedPin = this.drawScene();
+
+    // Keep the unwrapped sine/cosine graph in sync with the circle
+    this.drawWaveGraph(selectedPin);
+  }
+
+  /**
+   * Draw the circle, pins and helpers onto this.ctx (the screen canvas, or
+   * an export backend while exporting)
+   * @returns {object|null} The selected pin, if any
+   */
+  drawScene() {
     this.drawGrid();
     this.drawCircle();
     this.drawAxes();
     // Fade static labels if actively interacting
-    this.drawSpecialAngles(this.isInteractionActive);
+    this.drawSpecialAngles(
+      this.isInteractionActive,
+      this.isQuizAwaitingAnswer()
+    );
+
+    // Polar mode: rings at r = 1, 2, 3
+    if (this.options.polarMode) {
+      this.drawPolarGrid();
+    }
+
+    // Complex plane: the n-th roots of unity and z·w as a rotation
+    if (this.options.complexPlaneMode && !this.isQuizAwaitingAnswer()) {
+      if (this.options.showRootsOfUnity) this.drawRootsOfUnity();
+      if (this.multiplication) this.drawMultiplication();
+    }
+
+    // Two-angle mode: α, β and the angles built from them
+    if (this.options.twoAngleMode && !this.isQuizAwaitingAnswer()) {
+      this.drawLiveAngles();
+    }
+
+    // Inverse trig: the line meeting the circle and its solutions
+    if (this.inverse && !this.isQuizAwaitingAnswer()) {
+      this.drawInverseTrig(this.inverse);
+    }
 
     // Draw elements for the selected pin FIRST if one exists
     const selectedPin =
@@ -1015,20 +5351,38 @@ class UnitCircle {
           this.colors.hover
         ); // Use highlight color for selected
       }
+      // Draw the six trig segments for the selected angle
+      if (this.options.showTrigSegments) {
+        this.drawTrigSegments(selectedPin.angleInfo);
+      }
     }
 
     // Draw *all* pinned angles (selected one will be drawn over slightly differently)
     this.drawPinnedAngles();
 
+    // Fading trail of the terminal point during playback
+    if (this.isPlaying && this.options.showPlaybackTrace) {
+      this.drawPlaybackTrace();
+    }
+
     // Draw current interaction effects if active AND no pin is selected (avoid overlap)
     if (this.isInteractionActive && !selectedPin) {
       this.drawCurrentAngle(); // Includes triangle, arcs (if enabled) for hover state
+      if (this.options.polarMode && !this.isQuizAwaitingAnswer()) {
+        this.drawPolarPoint();
+      }
     }
 
     // If a pin IS selected, draw its highlight effects (overwrites generic pinned point)
     if (selectedPin) {
       this.drawPinnedAngleHighlight(selectedPin);
     }
+
+    // Show which angles were right (and wrong) after a quiz answer
+    if (this.quiz && this.quiz.feedback) {
+      this.drawQuizFeedback(this.quiz.feedback);
+    }
+    return selectedPin;
   }
 
   /**
@@ -1037,16 +5391,28 @@ class UnitCircle {
   drawGrid() {
     this.ctx.strokeStyle = this.colors.grid;
     this.ctx.lineWidth = 1;
-    const gridSize = this.radius / 5;
-    const numLines =
-      Math.ceil(Math.max(this.width, this.height) / gridSize) + 1;
+    // Lines every 0.2 units, a tenth as far apart for each close zoom level
+    // and every whole unit when zoomed far out
+    let step = 0.2;
+    while (step * this.radius > 250) step /= 10;
+    while (step * this.radius < 10) step *= 5;
+    const gridSize = step * this.radius;
     this.ctx.beginPath();
-    for (let i = -numLines; i <= numLines; i++) {
+    // Only the lines that cross the canvas, wherever the view is panned
+    for (
+      let i = Math.ceil(-this.centerX / gridSize);
+      i <= Math.floor((this.width - this.centerX) / gridSize);
+      i++
+    ) {
       const x = this.centerX + i * gridSize;
       this.ctx.moveTo(x, 0);
       this.ctx.lineTo(x, this.height);
     }
-    for (let i = -numLines; i <= numLines; i++) {
+    for (
+      let i = Math.ceil(-this.centerY / gridSize);
+      i <= Math.floor((this.height - this.centerY) / gridSize);
+      i++
+    ) {
       const y = this.centerY + i * gridSize;
       this.ctx.moveTo(0, y);
       this.ctx.lineTo(this.width, y);
@@ -1085,6 +5451,10 @@ class UnitCircle {
     this.ctx.textBaseline = "middle";
     // this.ctx.fillText("x", this.width - 15, this.centerY + 15);
     // this.ctx.fillText("y", this.centerX - 15, 15);
+    if (this.options.complexPlaneMode) {
+      this.ctx.fillText("Re", this.width - 15, this.centerY + 15);
+      this.ctx.fillText("Im", this.centerX + 18, 15);
+    }
     const tickLength = 8;
     this.ctx.beginPath();
     this.ctx.moveTo(this.centerX + this.radius, this.centerY - tickLength / 2);
@@ -1106,8 +5476,11 @@ class UnitCircle {
   /**
    * Draw the special angles markers and labels
    * @param {boolean} faded - Whether to draw labels faded
+   * @param {boolean} [markersOnly=false] - Whether to skip the labels (quiz mode)
+   * @param {Map<Object, Set<string>>|null} [blanks=null] - Per angle, the
+   *   fields ("degrees", "radians", "coordinates") to draw as blank slots
    */
-  drawSpecialAngles(faded = false) {
+  drawSpecialAngles(faded = false, markersOnly = false, blanks = null) {
     // Added faded parameter
     const labelDistFactor = 1.15;
     const markerRadius = 4;
@@ -1116,7 +5489,9 @@ class UnitCircle {
       /,[^,)]+\)/,
       `, ${baseOpacity})`
     ); // Adjust alpha
-    this.ctx.font = "12px Arial";
+    // Larger sets (e.g. multiples of 15°) need smaller labels to fit
+    this.ctx.font =
+      this.specialAngles.length > 16 ? "10px Arial" : "12px Arial";
 
     for (const angle of this.specialAngles) {
       const mathMarkerX = Math.cos(angle.radians) * this.radius;
@@ -1140,6 +5515,7 @@ class UnitCircle {
         2 * Math.PI
       );
       this.ctx.fill();
+      if (markersOnly) continue;
 
       // Draw labels
       this.ctx.fillStyle = baseColor;
@@ -1150,17 +5526,31 @@ class UnitCircle {
       const yOffset2 = 8;
       let line1Text = "";
       let line2Text = "";
+      const blankFields = (blanks && blanks.get(angle)) || new Set();
+      // The degrees label follows the angle unit unless that is radians,
+      // which have their own label
+      const degreesText = blankFields.has("degrees")
+        ? "____°"
+        : this.formatAngle(
+            angle.radians,
+            this.angleUnit.startsWith("radians") ? "degrees" : this.angleUnit
+          );
+      const radiansText = blankFields.has("radians")
+        ? "____"
+        : this.formatRadians(angle.radians);
 
       if (this.options.showDegrees && this.options.showRadians) {
-        line1Text = `${angle.degrees}° | ${this.formatRadians(angle.radians)}`;
+        line1Text = `${degreesText} | ${radiansText}`;
       } else if (this.options.showDegrees) {
-        line1Text = `${angle.degrees}°`;
+        line1Text = degreesText;
       } else if (this.options.showRadians) {
-        line1Text = this.formatRadians(angle.radians);
+        line1Text = radiansText;
       }
 
       if (this.options.showCoordinates) {
-        line2Text = angle.exactCoordsStr;
+        line2Text = blankFields.has("coordinates")
+          ? "(____, ____)"
+          : angle.exactCoordsStr;
       }
 
       if (line1Text) {
@@ -1202,10 +5592,10 @@ class UnitCircle {
         color = this.colors.hover;
         lineWidth = 2.5;
       } else if (isHovered) {
-        color = this.colors.hover;
+        color = pin.color;
         lineWidth = 2;
       } else {
-        color = this.colors.pinned;
+        color = pin.color;
         lineWidth = 1;
       }
 
@@ -1249,25 +5639,52 @@ class UnitCircle {
       this.ctx.closePath();
       this.ctx.fill();
 
+      if (pin.name) this.drawPinName(pin);
+
       // If hovered or selected, draw the angle label
       if ((isHovered && !isSelected) || isSelected) {
-        this.drawHoverAngleLabel(pin.angleInfo, point.x, point.y, isSelected);
+        this.drawHoverAngleLabel(pin.angleInfo, point.x, point.y);
       }
     }
     this.ctx.lineWidth = 1; // Reset
   }
 
+  /**
+   * Label a named pin partway along its terminal line
+   * @param {Object} pin - The pin
+   */
+  drawPinName(pin) {
+    const labelX = this.centerX + (pin.point.x - this.centerX) * 0.6;
+    const labelY = this.centerY + (pin.point.y - this.centerY) * 0.6;
+    this.ctx.font = "12px Arial";
+    this.ctx.textAlign = "center";
+    this.ctx.textBaseline = "middle";
+    const textWidth = this.ctx.measureText(pin.name).width;
+    this.ctx.fillStyle = this.colors.labelBackground;
+    this.ctx.fillRect(
+      labelX - textWidth / 2 - 3,
+      labelY - 8,
+      textWidth + 6,
+      16
+    );
+    this.ctx.fillStyle = pin.color;
+    this.ctx.fillText(pin.name, labelX, labelY);
+    this.ctx.textAlign = "start";
+    this.ctx.textBaseline = "alphabetic";
+  }
+
   /**
    * Draw highlight effects for the currently selected pinned angle
-   * @param {object} pin - The selected pin object
+   * @param {object} pin - The selected pin object (or any {point, angleInfo})
+   * @param {string} [color] - Highlight color, defaults to the hover color
    */
-  drawPinnedAngleHighlight(pin) {
+  drawPinnedAngleHighlight(pin, color = this.colors.hover) {
     if (!pin) return;
     const { point, angleInfo } = pin;
 
     // Draw larger circle and label for the selected pin
-    this.ctx.strokeStyle = this.colors.hover;
-    this.ctx.fillStyle = this.colors.hover;
+    this.ctx.strokeStyle = color;
+    this.ctx.fillStyle = color;
     this.ctx.lineWidth = 3; // Thicker line for selected highlight
 
     // Redraw line (thicker)
@@ -1293,11 +5710,153 @@ class UnitCircle {
     this.ctx.fill();
 
     // Draw label
-    this.drawHoverAngleLabel(angleInfo, point.x, point.y, true); // Pass flag for selected
+    this.drawHoverAngleLabel(angleInfo, point.x, point.y, color);
 
     this.ctx.lineWidth = 1; // Reset
   }
 
+  /**
+   * Draw an inverse trig problem: the line sin θ = k (horizontal),
+   * cos θ = k (vertical) or tan θ = k (slope k through the origin), the
+   * restricted range of the inverse function, every solution and the
+   * principal value
+   * @param {{fn: string, k: number, solutions: Array<Object>, principal: Object|null}} inverse
+   */
+  drawInverseTrig({ fn, k, solutions, principal }) {
+    const color = {
+      sin: this.colors.sine,
+      cos: this.colors.cosine,
+      tan: this.colors.tangent,
+    }[fn];
+    const reach = this.radius * 1.3;
+    this.ctx.strokeStyle = color;
+    this.ctx.lineWidth = 2;
+    this.ctx.setLineDash([6, 4]);
+    this.ctx.beginPath();
+    let from;
+    let to;
+    if (fn === "sin") {
+      from = this.mathToCanvas(-reach, k * this.radius);
+      to = this.mathToCanvas(reach, k * this.radius);
+    } else if (fn === "cos") {
+      from = this.mathToCanvas(k * this.radius, -reach);
+      to = this.mathToCanvas(k * this.radius, reach);
+    } else {
+      // Line of slope k through the origin, the same length either way
+      const angle = Math.atan(k);
+      from = this.mathToCanvas(
+        -reach * Math.cos(angle),
+        -reach * Math.sin(angle)
+      );
+      to = this.mathToCanvas(reach * Math.cos(angle), reach * Math.sin(angle));
+    }
+    this.ctx.moveTo(from.x, from.y);
+    this.ctx.lineTo(to.x, to.y);
+    this.ctx.stroke();
+    this.ctx.setLineDash([]);
+
+    if (!principal) return;
+
+    // Restricted range of the inverse function, hugging the circle
+    const ranges = {
+      sin: [-Math.PI / 2, Math.PI / 2],
+      cos: [0, Math.PI],
+      tan: [-Math.PI / 2, Math.PI / 2],
+    };
+    const [rangeStart, rangeEnd] = ranges[fn];
+    this.ctx.strokeStyle = color;
+    this.ctx.globalAlpha = 0.25;
+    this.ctx.lineWidth = 10;
+    this.ctx.beginPath();
+    this.ctx.arc(
+      this.centerX,
+      this.centerY,
+      this.radius,
+      -rangeStart,
+      -rangeEnd,
+      true
+    );
+    this.ctx.stroke();
+    this.ctx.globalAlpha = 1.0;
+
+    // Every solution in [0, 2π)
+    for (const solution of solutions) {
+      const point = this.angleToCanvasPoint(solution.radians);
+      this.ctx.strokeStyle = color;
+      this.ctx.lineWidth = 1.5;
+      this.ctx.setLineDash([4, 4]);
+      this.ctx.beginPath();
+      this.ctx.moveTo(this.centerX, this.centerY);
+      this.ctx.lineTo(point.x, point.y);
+      this.ctx.stroke();
+      this.ctx.setLineDash([]);
+      this.ctx.fillStyle = color;
+      this.ctx.beginPath();
+      this.ctx.arc(point.x, point.y, 6, 0, 2 * Math.PI);
+      this.ctx.fill();
+    }
+
+    // The principal value stands out with a solid line, ring and label
+    const principalPoint = this.angleToCanvasPoint(principal.radians);
+    this.ctx.strokeStyle = color;
+    this.ctx.lineWidth = 3;
+    this.ctx.beginPath();
+    this.ctx.moveTo(this.centerX, this.centerY);
+    this.ctx.lineTo(principalPoint.x, principalPoint.y);
+    this.ctx.stroke();
+    this.ctx.beginPath();
+    this.ctx.arc(principalPoint.x, principalPoint.y, 10, 0, 2 * Math.PI);
+    this.ctx.stroke();
+
+    const label = `${this.locale.localizeFunctions(`arc${fn}`)} = ${
+      principal.isExact
+        ? this.formatRadians(principal.radians)
+        : this.locale.formatNumber(principal.radians, 3)
+    }`;
+    const labelPoint = this.angleToCanvasPoint(principal.radians);
+    const labelX = this.centerX + (labelPoint.x - this.centerX) * 0.55;
+    const labelY = this.centerY + (labelPoint.y - this.centerY) * 0.55 - 14;
+    this.ctx.font = "bold 13px Arial";
+    this.ctx.textAlign = "center";
+    this.ctx.textBaseline = "middle";
+    const textWidth = this.ctx.measureText(label).width;
+    this.ctx.fillStyle = this.colors.labelBackground;
+    this.ctx.fillRect(
+      labelX - textWidth / 2 - 3,
+      labelY - 8,
+      textWidth + 6,
+      16
+    );
+    this.ctx.fillStyle = color;
+    this.ctx.fillText(label, labelX, labelY);
+    this.ctx.textAlign = "start";
+    this.ctx.textBaseline = "alphabetic";
+    this.ctx.lineWidth = 1;
+  }
+
+  /**
+   * Draw the recent path of the terminal point, fading with age
+   */
+  drawPlaybackTrace() {
+    const trace = this.playbackTrace;
+    if (trace.length < 2) return;
+    const newest = trace[trace.length - 1].time;
+    this.ctx.strokeStyle = this.colors.hover;
+    this.ctx.lineWidth = 4;
+    for (let i = 1; i < trace.length; i++) {
+      const from = this.angleToCanvasPoint(trace[i - 1].angle);
+      const to = this.angleToCanvasPoint(trace[i].angle);
+      this.ctx.globalAlpha =
+        0.6 * Math.max(0, 1 - (newest - trace[i].time) / this.traceDuration);
+      this.ctx.beginPath();
+      this.ctx.moveTo(from.x, from.y);
+      this.ctx.lineTo(to.x, to.y);
+      this.ctx.stroke();
+    }
+    this.ctx.globalAlpha = 1.0;
+    this.ctx.lineWidth = 1;
+  }
+
   /**
    * Draw the current hover angle effects
    */
@@ -1305,56 +5864,134 @@ class UnitCircle {
     // Should only be called when isInteractionActive is true and no pin is selected
 
     const angleInfo = this.getCurrentAngleInfo();
+    const color = this.colors[this.liveAngles[this.activeAngleIndex].colorKey];
 
     // Draw reference triangle if enabled
     if (this.options.showRefTriangle) {
       this.drawReferenceTriangle(
         this.currentPoint.x,
         this.currentPoint.y,
-        this.colors.hover
+        color
       );
     }
 
-    // Draw terminal line
-    this.ctx.strokeStyle = this.colors.hover;
+    // While a quiz question is open, show only the terminal line so
+    // labels, arcs and segments don't give the answer away
+    const hideAnswers = this.isQuizAwaitingAnswer();
+
+    // Draw the six trig segments if enabled
+    if (this.options.showTrigSegments && !hideAnswers) {
+      this.drawTrigSegments(angleInfo);
+    }
+
+    this.drawTerminalArrow(this.currentPoint, color);
+
+    if (hideAnswers) return;
+
+    // Draw angle label
+    this.drawHoverAngleLabel(
+      angleInfo,
+      this.currentPoint.x,
+      this.currentPoint.y
+    );
+
+    // Draw angle arcs if hovering and option enabled
+    if (this.options.showAngleArcs) {
+      this.drawAngleArcs(angleInfo);
+    }
+  }
+
+  /**
+   * Draw a terminal line from the center with an arrow head at the circle
+   * @param {{x: number, y: number}} point - Point on the circle in canvas coordinates
+   * @param {string} color - Line color
+   */
+  drawTerminalArrow(point, color) {
+    this.ctx.strokeStyle = color;
     this.ctx.lineWidth = 2;
     this.ctx.beginPath();
     this.ctx.moveTo(this.centerX, this.centerY);
-    this.ctx.lineTo(this.currentPoint.x, this.currentPoint.y);
+    this.ctx.lineTo(point.x, point.y);
     this.ctx.stroke();
 
-    // Draw arrow head
     const arrowSize = 10;
-    const angle = Math.atan2(
-      this.currentPoint.y - this.centerY,
-      this.currentPoint.x - this.centerX
-    );
-    this.ctx.fillStyle = this.colors.hover;
+    const angle = Math.atan2(point.y - this.centerY, point.x - this.centerX);
+    this.ctx.fillStyle = color;
     this.ctx.beginPath();
-    this.ctx.moveTo(this.currentPoint.x, this.currentPoint.y);
+    this.ctx.moveTo(point.x, point.y);
     this.ctx.lineTo(
-      this.currentPoint.x - arrowSize * Math.cos(angle - Math.PI / 6),
-      this.currentPoint.y - arrowSize * Math.sin(angle - Math.PI / 6)
+      point.x - arrowSize * Math.cos(angle - Math.PI / 6),
+      point.y - arrowSize * Math.sin(angle - Math.PI / 6)
     );
     this.ctx.lineTo(
-      this.currentPoint.x - arrowSize * Math.cos(angle + Math.PI / 6),
-      this.currentPoint.y - arrowSize * Math.sin(angle + Math.PI / 6)
+      point.x - arrowSize * Math.cos(angle + Math.PI / 6),
+      point.y - arrowSize * Math.sin(angle + Math.PI / 6)
     );
     this.ctx.closePath();
     this.ctx.fill();
+  }
 
-    // Draw angle label
-    this.drawHoverAngleLabel(
-      angleInfo,
-      this.currentPoint.x,
-      this.currentPoint.y,
-      false // Not a selected pin
-    );
-
-    // Draw angle arcs if hovering and option enabled
-    if (this.options.showAngleArcs) {
-      this.drawAngleArcs(angleInfo);
+  /**
+   * Draw α and β with the derived terminal lines of α + β, α − β and 2α
+   */
+  drawLiveAngles() {
+    const [alpha, beta] = this.liveAngles;
+    const derived = [
+      {
+        label: "α+β",
+        angle: alpha.angle + beta.angle,
+        color: this.colors.angleSum,
+      },
+      {
+        label: "α−β",
+        angle: alpha.angle - beta.angle,
+        color: this.colors.angleDifference,
+      },
+      { label: "2α", angle: 2 * alpha.angle, color: this.colors.doubleAngle },
+    ];
+    for (const { label, angle, color } of derived) {
+      const point = this.angleToCanvasPoint(angle);
+      this.ctx.strokeStyle = color;
+      this.ctx.lineWidth = 2;
+      this.ctx.setLineDash([6, 4]);
+      this.ctx.beginPath();
+      this.ctx.moveTo(this.centerX, this.centerY);
+      this.ctx.lineTo(point.x, point.y);
+      this.ctx.stroke();
+      this.ctx.setLineDash([]);
+      this.ctx.fillStyle = color;
+      this.ctx.beginPath();
+      this.ctx.arc(point.x, point.y, 4, 0, 2 * Math.PI);
+      this.ctx.fill();
+      this.drawLiveAngleLabel(label, angle, color);
+    }
+    for (const live of this.liveAngles) {
+      const color = this.colors[live.colorKey];
+      this.drawTerminalArrow(live.point, color);
+      this.drawLiveAngleLabel(live.symbol, live.angle, color);
     }
+    this.ctx.lineWidth = 1;
+  }
+
+  /**
+   * Label a terminal line partway along it, on a light background
+   * @param {string} text - The label
+   * @param {number} angle - Angle of the line in radians
+   * @param {string} color - Text color
+   */
+  drawLiveAngleLabel(text, angle, color) {
+    const x = this.centerX + this.radius * 0.8 * Math.cos(angle);
+    const y = this.centerY - this.radius * 0.8 * Math.sin(angle);
+    this.ctx.font = "bold 13px Arial";
+    this.ctx.textAlign = "center";
+    this.ctx.textBaseline = "middle";
+    const width = this.ctx.measureText(text).width;
+    this.ctx.fillStyle = this.colors.labelBackground;
+    this.ctx.fillRect(x - width / 2 - 3, y - 8, width + 6, 16);
+    this.ctx.fillStyle = color;
+    this.ctx.fillText(text, x, y);
+    this.ctx.textAlign = "start";
+    this.ctx.textBaseline = "alphabetic";
   }
 
   /**
@@ -1362,14 +5999,12 @@ class UnitCircle {
    * @param {object} angleInfo - Object containing angle details
    */
   drawAngleArcs(angleInfo) {
-    const mathAngle = angleInfo.radians; // Current MATH angle (0 to 2PI)
+    const mathAngle = angleInfo.radians; // Current MATH angle (unbounded in winding mode)
     // Ensure angle is strictly within [0, 2PI) for consistent quadrant/logic checks
-    const normalizedMathAngle =
-      ((mathAngle % (2 * Math.PI)) + 2 * Math.PI) % (2 * Math.PI);
+    const normalizedMathAngle = this.normalizeAngle(mathAngle);
     const degrees = angleInfo.degrees; // Degrees for labels
 
     const refAngleRad = this.calculateReferenceAngle(normalizedMathAngle); // Reference angle in radians (always positive, <= PI/2)
-    const refAngleDeg = (refAngleRad * 180) / Math.PI;
     const quadrant = this.getQuadrant(normalizedMathAngle);
 
     const standardArcRadius = this.radius * 0.2;
@@ -1384,63 +6019,73 @@ class UnitCircle {
     this.ctx.textBaseline = "middle";
 
     // --- Draw Standard Angle Arc (θ) ---
-    // Draw clockwise (default) from 0 to the negative of the math angle
-    this.ctx.beginPath();
-    this.ctx.strokeStyle = this.colors.standardArc;
-    this.ctx.arc(
-      this.centerX,
-      this.centerY,
-      standardArcRadius,
-      0, // Canvas start angle (3 o'clock)
-      -normalizedMathAngle, // Canvas end angle (negative math angle)
-      true // Clockwise
-    );
-    this.ctx.stroke();
-
-    // Add arrow head at end of arc
-    const arrowSize = 10;
-    const endX =
-      this.centerX + standardArcRadius * Math.cos(-normalizedMathAngle);
-    const endY =
-      this.centerY + standardArcRadius * Math.sin(-normalizedMathAngle);
-    const angle = (-normalizedMathAngle - Math.PI / 2) / 1; // Perpendicular to radius at end point
-
-    // Draw arrow head
-    if (Math.abs(degrees) > 0.1) {
-      this.ctx.moveTo(
-        endX - arrowSize * Math.cos(angle - Math.PI / 6),
-        endY - arrowSize * Math.sin(angle - Math.PI / 6)
-      );
-      this.ctx.lineTo(endX, endY);
-      this.ctx.lineTo(
-        endX - arrowSize * Math.cos(angle + Math.PI / 6),
-        endY - arrowSize * Math.sin(angle + Math.PI / 6)
+    // Negative angles and angles past a full turn (winding mode) get a spiral
+    const isWound = mathAngle < -1e-9 || mathAngle > 2 * Math.PI - 1e-9;
+    if (isWound) {
+      this.drawWindingArc(mathAngle, standardArcRadius, labelOffsetFactor);
+    } else {
+      // Draw clockwise (default) from 0 to the negative of the math angle
+      this.ctx.beginPath();
+      this.ctx.strokeStyle = this.colors.standardArc;
+      this.ctx.arc(
+        this.centerX,
+        this.centerY,
+        standardArcRadius,
+        0, // Canvas start angle (3 o'clock)
+        -normalizedMathAngle, // Canvas end angle (negative math angle)
+        true // Clockwise
       );
       this.ctx.stroke();
-    }
 
-    // Standard angle label (numeric degrees) - Placement uses MATH angle midpoint
-    // Avoid placing label directly at 0 or 2PI if angle is tiny
-    const standardLabelAngleMid =
-      Math.abs(normalizedMathAngle) < 0.01 ? 0 : normalizedMathAngle / 2;
-    const mathLabelPosStd = {
-      x:
-        Math.cos(standardLabelAngleMid) * standardArcRadius * labelOffsetFactor,
-      y:
-        Math.sin(standardLabelAngleMid) * standardArcRadius * labelOffsetFactor,
-    };
-    const canvasLabelPosStd = this.mathToCanvas(
-      mathLabelPosStd.x,
-      mathLabelPosStd.y
-    );
-    this.ctx.fillStyle = this.colors.standardArc;
-    // Don't draw 0 degree label if it's exactly 0 to avoid clutter
-    if (Math.abs(degrees) > 0.1) {
-      this.ctx.fillText(
-        `${degrees.toFixed(0)}°`,
-        canvasLabelPosStd.x,
-        canvasLabelPosStd.y
+      // Add arrow head at end of arc
+      const arrowSize = 10;
+      const endX =
+        this.centerX + standardArcRadius * Math.cos(-normalizedMathAngle);
+      const endY =
+        this.centerY + standardArcRadius * Math.sin(-normalizedMathAngle);
+      const angle = (-normalizedMathAngle - Math.PI / 2) / 1; // Perpendicular to radius at end point
+
+      // Draw arrow head
+      if (Math.abs(degrees) > 0.1) {
+        this.ctx.moveTo(
+          endX - arrowSize * Math.cos(angle - Math.PI / 6),
+          endY - arrowSize * Math.sin(angle - Math.PI / 6)
+        );
+        this.ctx.lineTo(endX, endY);
+        this.ctx.lineTo(
+          endX - arrowSize * Math.cos(angle + Math.PI / 6),
+          endY - arrowSize * Math.sin(angle + Math.PI / 6)
+        );
+        this.ctx.stroke();
+      }
+
+      // Standard angle label (in the angle unit) - Placement uses MATH angle midpoint
+      // Avoid placing label directly at 0 or 2PI if angle is tiny
+      const standardLabelAngleMid =
+        Math.abs(normalizedMathAngle) < 0.01 ? 0 : normalizedMathAngle / 2;
+      const mathLabelPosStd = {
+        x:
+          Math.cos(standardLabelAngleMid) *
+          standardArcRadius *
+          labelOffsetFactor,
+        y:
+          Math.sin(standardLabelAngleMid) *
+          standardArcRadius *
+          labelOffsetFactor,
+      };
+      const canvasLabelPosStd = this.mathToCanvas(
+        mathLabelPosStd.x,
+        mathLabelPosStd.y
       );
+      this.ctx.fillStyle = this.colors.standardArc;
+      // Don't draw 0 degree label if it's exactly 0 to avoid clutter
+      if (Math.abs(degrees) > 0.1) {
+        this.ctx.fillText(
+          this.formatAngle(mathAngle),
+          canvasLabelPosStd.x,
+          canvasLabelPosStd.y
+        );
+      }
     }
 
     // --- Determine and Draw Reference Angle Arc (θ') ---
@@ -1503,6 +6148,7 @@ class UnitCircle {
     if (needsRefArcDraw) {
       this.ctx.beginPath();
       this.ctx.strokeStyle = this.colors.referenceArc;
+      this.ctx.setLineDash(this.referenceArcDash);
       this.ctx.arc(
         this.centerX,
         this.centerY,
@@ -1512,6 +6158,7 @@ class UnitCircle {
         true // Clockwise
       );
       this.ctx.stroke();
+      this.ctx.setLineDash([]);
     }
 
     // Draw Reference Angle Label (θ') - Don't draw if angle is exactly on axis
@@ -1527,7 +6174,7 @@ class UnitCircle {
       );
       this.ctx.fillStyle = this.colors.referenceArc;
       this.ctx.fillText(
-        `${refAngleDeg.toFixed(0)}°`, // Use calculated reference angle degrees
+        this.formatAngle(refAngleRad),
         canvasLabelPosRef.x,
         canvasLabelPosRef.y
       );
@@ -1540,20 +6187,89 @@ class UnitCircle {
     this.ctx.font = "10px sans-serif"; // Reset font if needed
   }
 
+  /**
+   * Draw the standard angle arc for a negative or multi-turn angle as a
+   * spiral that moves outward with each full turn, so 390° and 30° look different
+   * @param {number} mathAngle - The unbounded angle in radians
+   * @param {number} baseRadius - Radius of the arc at 0 in pixels
+   * @param {number} labelOffsetFactor - How far out the label sits from the arc
+   */
+  drawWindingArc(mathAngle, baseRadius, labelOffsetFactor) {
+    const turns = Math.abs(mathAngle) / (2 * Math.PI);
+    // Keep the outermost turn inside the reference arc radius
+    const spacing = Math.min(this.radius * 0.06, (this.radius * 0.12) / turns);
+    const spiralPoint = (t) => {
+      const r = baseRadius + (spacing * Math.abs(t)) / (2 * Math.PI);
+      return this.mathToCanvas(Math.cos(t) * r, Math.sin(t) * r);
+    };
+
+    // Trace the spiral as a polyline from 0 to the angle
+    const steps = Math.max(24, Math.ceil(turns * 96));
+    this.ctx.beginPath();
+    this.ctx.strokeStyle = this.colors.standardArc;
+    for (let i = 0; i <= steps; i++) {
+      const point = spiralPoint((mathAngle * i) / steps);
+      if (i === 0) this.ctx.moveTo(point.x, point.y);
+      else this.ctx.lineTo(point.x, point.y);
+    }
+    this.ctx.stroke();
+
+    // Arrow head pointing along the direction of rotation
+    const arrowSize = 10;
+    const end = spiralPoint(mathAngle);
+    const before = spiralPoint(mathAngle - Math.sign(mathAngle) * 0.05);
+    const heading = Math.atan2(end.y - before.y, end.x - before.x);
+    this.ctx.beginPath();
+    this.ctx.moveTo(
+      end.x - arrowSize * Math.cos(heading - Math.PI / 6),
+      end.y - arrowSize * Math.sin(heading - Math.PI / 6)
+    );
+    this.ctx.lineTo(end.x, end.y);
+    this.ctx.lineTo(
+      end.x - arrowSize * Math.cos(heading + Math.PI / 6),
+      end.y - arrowSize * Math.sin(heading + Math.PI / 6)
+    );
+    this.ctx.stroke();
+
+    // Label partway back along the last stretch of the spiral
+    const labelAngle =
+      mathAngle -
+      Math.sign(mathAngle) * Math.min(Math.abs(mathAngle) / 2, Math.PI / 4);
+    const labelRadius =
+      (baseRadius + (spacing * Math.abs(labelAngle)) / (2 * Math.PI)) *
+      labelOffsetFactor;
+    const labelPos = this.mathToCanvas(
+      Math.cos(labelAngle) * labelRadius,
+      Math.sin(labelAngle) * labelRadius
+    );
+    this.ctx.fillStyle = this.colors.standardArc;
+    this.ctx.fillText(this.formatAngle(mathAngle), labelPos.x, labelPos.y);
+  }
+
   /**
    * Draw an angle label near a point
    * @param {object} angleInfo - Angle information object
    * @param {number} canvasPointX - X coordinate in canvas space
    * @param {number} canvasPointY - Y coordinate in canvas space
+   * @param {string} [color] - Text color, defaults to the hover color
    */
-  drawHoverAngleLabel(angleInfo, canvasPointX, canvasPointY) {
+  drawHoverAngleLabel(
+    angleInfo,
+    canvasPointX,
+    canvasPointY,
+    color = this.colors.hover
+  ) {
     // angleInfo contains MATH angle/degrees
-    const angleText =
+    let angleText =
       angleInfo.isExact && angleInfo.exactCoordsStr
         ? angleInfo.exactCoordsStr
-        : `(${angleInfo.coords.x.toFixed(2)}, ${angleInfo.coords.y.toFixed(
-            2
-          )})`;
+        : this.locale.formatPair(
+            this.locale.formatNumber(angleInfo.coords.x, 2),
+            this.locale.formatNumber(angleInfo.coords.y, 2)
+          );
+    if (this.options.complexPlaneMode) {
+      angleText = this.formatComplexNumber(angleInfo);
+    }
     const offset = 30;
 
     // Calculate offset direction using the MATH angle
@@ -1566,7 +6282,7 @@ class UnitCircle {
     const labelY = canvasPointY - mathVectorY * offset; // Use MINUS mathVectorY
 
     // Draw background
-    this.ctx.fillStyle = "rgba(255, 255, 255, 0.8)";
+    this.ctx.fillStyle = this.colors.labelBackground;
     this.ctx.font = "14px Arial";
     const textWidth = this.ctx.measureText(angleText).width;
     this.ctx.fillRect(
@@ -1577,7 +6293,7 @@ class UnitCircle {
     ); // Adjust Y pos slightly
 
     // Draw text
-    this.ctx.fillStyle = this.colors.hover;
+    this.ctx.fillStyle = color;
     this.ctx.textAlign = "center";
     this.ctx.textBaseline = "middle";
     this.ctx.fillText(angleText, labelX, labelY);
@@ -1591,9 +6307,10 @@ class UnitCircle {
    * Draw reference triangle
    * @param {number} canvasPointX - X coordinate in canvas space
    * @param {number} canvasPointY - Y coordinate in canvas space
+   * @param {string} [color] - Line color, defaults to the hover color
    */
-  drawReferenceTriangle(canvasPointX, canvasPointY) {
-    this.ctx.strokeStyle = this.colors.hover;
+  drawReferenceTriangle(canvasPointX, canvasPointY, color = this.colors.hover) {
+    this.ctx.strokeStyle = color;
     this.ctx.lineWidth = 1;
     this.ctx.setLineDash([5, 3]);
 
@@ -1610,9 +6327,409 @@ class UnitCircle {
     this.ctx.setLineDash([]);
     this.ctx.lineWidth = 1; // Reset
   }
+
+  /**
+   * Draw the classic geometric segments for all six trig functions:
+   * sin/cos as the legs of the reference triangle, tan/sec along the
+   * tangent line at (1, 0) and cot/csc along the tangent line at (0, 1).
+   * @param {object} angleInfo - Angle information object
+   */
+  drawTrigSegments(angleInfo) {
+    const { sin, cos, tan, sec, cot, csc } = angleInfo;
+    const r = this.radius;
+    const isUndefined = (value) => !isFinite(value);
+    const labelFor = (name, value, exactStr) =>
+      `${this.locale.localizeFunctions(name)} = ${
+        angleInfo.isExact
+          ? exactStr
+          : isUndefined(value)
+          ? "∞"
+          : this.locale.formatNumber(value, 2)
+      }`;
+
+    // Guide lines for the two tangent lines
+    // Beyond any canvas edge, however the view is zoomed and panned
+    const far =
+      Math.hypot(
+        Math.max(this.centerX, this.width - this.centerX),
+        Math.max(this.centerY, this.height - this.centerY)
+      ) * 2;
+    this.ctx.strokeStyle = this.colors.staticFaded;
+    this.ctx.lineWidth = 1;
+    this.ctx.beginPath();
+    let start = this.mathToCanvas(r, -far);
+    let end = this.mathToCanvas(r, far);
+    this.ctx.moveTo(start.x, start.y);
+    this.ctx.lineTo(end.x, end.y);
+    start = this.mathToCanvas(-far, r);
+    end = this.mathToCanvas(far, r);
+    this.ctx.moveTo(start.x, start.y);
+    this.ctx.lineTo(end.x, end.y);
+    this.ctx.stroke();
+
+    // sin and cos: legs of the reference triangle
+    this.drawTrigSegment(
+      { x: cos * r, y: 0 },
+      { x: cos * r, y: sin * r },
+      this.colors.sine,
+      labelFor("sin", sin, angleInfo.sinStr)
+    );
+    this.drawTrigSegment(
+      { x: 0, y: 0 },
+      { x: cos * r, y: 0 },
+      this.colors.cosine,
+      labelFor("cos", cos, angleInfo.cosStr)
+    );
+
+    // tan along x = 1, sec from the origin to where the terminal line meets it
+    if (isUndefined(tan)) {
+      const direction = sin >= 0 ? 1 : -1;
+      this.drawTrigSegment(
+        { x: r, y: 0 },
+        { x: r, y: direction * far },
+        this.colors.tangent,
+        labelFor("tan", tan, angleInfo.tanStr),
+        true
+      );
+      this.drawTrigSegment(
+        { x: 0, y: 0 },
+        { x: 0, y: direction * far },
+        this.colors.secant,
+        labelFor("sec", sec, angleInfo.secStr),
+        true
+      );
+    } else {
+      this.drawTrigSegment(
+        { x: r, y: 0 },
+        { x: r, y: tan * r },
+        this.colors.tangent,
+        labelFor("tan", tan, angleInfo.tanStr)
+      );
+      this.drawTrigSegment(
+        { x: 0, y: 0 },
+        { x: r, y: tan * r },
+        this.colors.secant,
+        labelFor("sec", sec, angleInfo.secStr)
+      );
+    }
+
+    // cot along y = 1, csc from the origin to where the terminal line meets it
+    if (isUndefined(cot)) {
+      const direction = cos >= 0 ? 1 : -1;
+      this.drawTrigSegment(
+        { x: 0, y: r },
+        { x: direction * far, y: r },
+        this.colors.cotangent,
+        labelFor("cot", cot, angleInfo.cotStr),
+        true
+      );
+      this.drawTrigSegment(
+        { x: 0, y: 0 },
+        { x: direction * far, y: 0 },
+        this.colors.cosecant,
+        labelFor("csc", csc, angleInfo.cscStr),
+        true
+      );
+    } else {
+      this.drawTrigSegment(
+        { x: 0, y: r },
+        { x: cot * r, y: r },
+        this.colors.cotangent,
+        labelFor("cot", cot, angleInfo.cotStr)
+      );
+      this.drawTrigSegment(
+        { x: 0, y: 0 },
+        { x: cot * r, y: r },
+        this.colors.cosecant,
+        labelFor("csc", csc, angleInfo.cscStr)
+      );
+    }
+  }
+
+  /**
+   * Draw a single labelled trig segment between two math-space points
+   * @param {{x: number, y: number}} mathFrom - Start point relative to center (pixels)
+   * @param {{x: number, y: number}} mathTo - End point relative to center (pixels)
+   * @param {string} color - Stroke and label color
+   * @param {string} label - Text to draw next to the segment
+   * @param {boolean} [toInfinity=false] - Whether the segment runs off to infinity
+   */
+  drawTrigSegment(mathFrom, mathTo, color, label, toInfinity = false) {
+    const from = this.mathToCanvas(mathFrom.x, mathFrom.y);
+    const to = this.mathToCanvas(mathTo.x, mathTo.y);
+
+    this.ctx.strokeStyle = color;
+    this.ctx.lineWidth = 3;
+    if (toInfinity) this.ctx.setLineDash([8, 4]);
+    this.ctx.beginPath();
+    this.ctx.moveTo(from.x, from.y);
+    this.ctx.lineTo(to.x, to.y);
+    this.ctx.stroke();
+    this.ctx.setLineDash([]);
+
+    // Place the label at the visible midpoint, kept inside the canvas
+    const margin = 30;
+    const clamp = (value, max) =>
+      Math.min(Math.max(value, margin), max - margin);
+    let labelX = (from.x + to.x) / 2;
+    let labelY = (from.y + to.y) / 2;
+    if (toInfinity) {
+      // Midpoint of an infinite segment is off-canvas; label near the edge instead
+      const length = Math.hypot(to.x - from.x, to.y - from.y);
+      const reach = Math.min(
+        length,
+        Math.max(this.width, this.height) / 2 - margin
+      );
+      labelX = from.x + ((to.x - from.x) / length) * reach;
+      labelY = from.y + ((to.y - from.y) / length) * reach;
+    }
+    labelX = clamp(labelX, this.width);
+    labelY = clamp(labelY, this.height);
+
+    this.ctx.font = "bold 12px Arial";
+    this.ctx.textAlign = "center";
+    this.ctx.textBaseline = "middle";
+    const textWidth = this.ctx.measureText(label).width;
+    this.ctx.fillStyle = this.colors.labelBackground;
+    this.ctx.fillRect(
+      labelX - textWidth / 2 - 3,
+      labelY - 8,
+      textWidth + 6,
+      16
+    );
+    this.ctx.fillStyle = color;
+    this.ctx.fillText(label, labelX, labelY);
+
+    this.ctx.lineWidth = 1;
+    this.ctx.textAlign = "start";
+    this.ctx.textBaseline = "alphabetic";
+  }
+
+  // ===== SINE/COSINE GRAPH =====
+
+  /**
+   * Compute the layout of the sine/cosine graph panel. A small copy of the
+   * unit circle sits on the left and the curves are "unwrapped" to its right,
+   * sharing the same vertical scale so a horizontal projection lines up.
+   * @returns {{amplitude: number, midY: number, circleX: number, plotLeft: number, plotRight: number}}
+   */
+  getWaveGraphLayout() {
+    const margin = 20;
+    const amplitude = (this.graphHeight / 2) * 0.75; // Pixels for a value of 1
+    const circleX = margin + amplitude;
+    const plotLeft = circleX + amplitude + margin * 1.5;
+    const plotRight = this.graphWidth - margin;
+    return {
+      amplitude,
+      midY: this.graphHeight / 2,
+      circleX,
+      plotLeft,
+      plotRight,
+    };
+  }
+
+  /**
+   * Map an angle in [0, 2π] to an X coordinate on the graph canvas
+   * @param {number} angle - The angle in radians
+   * @param {object} layout - Layout from getWaveGraphLayout
+   * @returns {number} X coordinate in graph canvas space
+   */
+  angleToGraphX(angle, layout) {
+    return (
+      layout.plotLeft +
+      (angle / (2 * Math.PI)) * (layout.plotRight - layout.plotLeft)
+    );
+  }
+
+  /**
+   * Draw the sine/cosine graph panel, its tracking point and pinned markers
+   * @param {object|null} selectedPin - The selected pin, if any
+   */
+  drawWaveGraph(selectedPin) {
+    if (!this.options.showWaveGraph || this.graphWidth === 0) return;
+    const ctx = this.graphCtx;
+    const layout = this.getWaveGraphLayout();
+    const { amplitude, midY, circleX, plotLeft, plotRight } = layout;
+
+    ctx.clearRect(0, 0, this.graphWidth, this.graphHeight);
+
+    // Axes for the plot area
+    ctx.strokeStyle = this.colors.axis;
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(plotLeft, midY);
+    ctx.lineTo(plotRight, midY);
+    ctx.moveTo(plotLeft, midY - amplitude * 1.15);
+    ctx.lineTo(plotLeft, midY + amplitude * 1.15);
+    ctx.stroke();
+
+    // Guide lines at y = ±1 and ticks at multiples of π/2
+    ctx.strokeStyle = this.colors.grid;
+    ctx.beginPath();
+    ctx.moveTo(plotLeft, midY - amplitude);
+    ctx.lineTo(plotRight, midY - amplitude);
+    ctx.moveTo(plotLeft, midY + amplitude);
+    ctx.lineTo(plotRight, midY + amplitude);
+    ctx.stroke();
+
+    ctx.font = "11px Arial";
+    ctx.fillStyle = this.colors.axis;
+    ctx.textAlign = "center";
+    ctx.textBaseline = "top";
+    for (let k = 1; k <= 4; k++) {
+      const tickAngle = (k * Math.PI) / 2;
+      const x = this.angleToGraphX(tickAngle, layout);
+      ctx.strokeStyle = this.colors.grid;
+      ctx.beginPath();
+      ctx.moveTo(x, midY - amplitude);
+      ctx.lineTo(x, midY + amplitude);
+      ctx.stroke();
+      ctx.fillText(this.formatRadians(tickAngle), x, midY + 4);
+    }
+    ctx.textAlign = "right";
+    ctx.textBaseline = "middle";
+    ctx.fillText("1", plotLeft - 4, midY - amplitude);
+    ctx.fillText("-1", plotLeft - 4, midY + amplitude);
+
+    // Sine and cosine curves
+    const steps = 120;
+    [
+      {
+        fn: Math.sin,
+        color: this.colors.sine,
+        label: `${this.locale.localizeFunctions("sin")} θ`,
+      },
+      {
+        fn: Math.cos,
+        color: this.colors.cosine,
+        label: `${this.locale.localizeFunctions("cos")} θ`,
+      },
+    ].forEach(({ fn, color, label }, i) => {
+      ctx.strokeStyle = color;
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      for (let step = 0; step <= steps; step++) {
+        const angle = (step / steps) * 2 * Math.PI;
+        const x = this.angleToGraphX(angle, layout);
+        const y = midY - fn(angle) * amplitude;
+        if (step === 0) ctx.moveTo(x, y);
+        else ctx.lineTo(x, y);
+      }
+      ctx.stroke();
+      ctx.fillStyle = color;
+      ctx.textAlign = "right";
+      ctx.textBaseline = "top";
+      ctx.font = "bold 12px Arial";
+      ctx.fillText(label, plotRight, 4 + i * 14);
+    });
+
+    // Miniature unit circle on the left
+    ctx.strokeStyle = this.colors.static;
+    ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    ctx.arc(circleX, midY, amplitude, 0, 2 * Math.PI);
+    ctx.stroke();
+    ctx.strokeStyle = this.colors.axis;
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(circleX - amplitude, midY);
+    ctx.lineTo(circleX + amplitude, midY);
+    ctx.moveTo(circleX, midY - amplitude);
+    ctx.lineTo(circleX, midY + amplitude);
+    ctx.stroke();
+
+    // Pinned angles as markers on both curves
+    for (const pin of this.pinnedAngles) {
+      const isSelected = selectedPin && pin.id === selectedPin.id;
+      const color = isSelected ? this.colors.hover : this.colors.pinned;
+      this.drawWaveGraphMarkers(pin.angle, layout, color, 4);
+    }
+
+    // Tracking point: selected pin first, otherwise the live hover angle
+    let trackedAngle = null;
+    if (selectedPin) trackedAngle = selectedPin.angle;
+    else if (this.isInteractionActive) trackedAngle = this.currentAngle;
+    if (trackedAngle === null) {
+      ctx.textAlign = "start";
+      ctx.textBaseline = "alphabetic";
+      return;
+    }
+
+    const angle = this.normalizeAngle(trackedAngle);
+    const circlePoint = {
+      x: circleX + Math.cos(angle) * amplitude,
+      y: midY - Math.sin(angle) * amplitude,
+    };
+    const graphX = this.angleToGraphX(angle, layout);
+    const sinY = midY - Math.sin(angle) * amplitude;
+    const cosY = midY - Math.cos(angle) * amplitude;
+
+    // Radius to the point on the mini circle
+    ctx.strokeStyle = this.colors.hover;
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.moveTo(circleX, midY);
+    ctx.lineTo(circlePoint.x, circlePoint.y);
+    ctx.stroke();
+
+    // Dashed projection from the circle point across to the sine curve,
+    // plus a dashed drop line marking θ on the horizontal axis
+    ctx.lineWidth = 1;
+    ctx.setLineDash([5, 3]);
+    ctx.beginPath();
+    ctx.moveTo(circlePoint.x, circlePoint.y);
+    ctx.lineTo(graphX, sinY);
+    ctx.stroke();
+    ctx.strokeStyle = this.colors.axis;
+    ctx.beginPath();
+    ctx.moveTo(graphX, midY);
+    ctx.lineTo(
+      graphX,
+      Math.abs(sinY - midY) > Math.abs(cosY - midY) ? sinY : cosY
+    );
+    ctx.stroke();
+    ctx.setLineDash([]);
+
+    ctx.fillStyle = this.colors.hover;
+    ctx.beginPath();
+    ctx.arc(circlePoint.x, circlePoint.y, 4, 0, 2 * Math.PI);
+    ctx.fill();
+    this.drawWaveGraphMarkers(angle, layout, this.colors.hover, 5);
+
+    ctx.lineWidth = 1;
+    ctx.textAlign = "start";
+    ctx.textBaseline = "alphabetic";
+  }
+
+  /**
+   * Draw a marker on both the sine and cosine curves at the given angle
+   * @param {number} angle - The angle in radians
+   * @param {object} layout - Layout from getWaveGraphLayout
+   * @param {string} color - Fill color for the markers
+   * @param {number} size - Marker radius in pixels
+   */
+  drawWaveGraphMarkers(angle, layout, color, size) {
+    const ctx = this.graphCtx;
+    const normalized = this.normalizeAngle(angle);
+    const x = this.angleToGraphX(normalized, layout);
+    ctx.lineWidth = 1.5;
+    for (const [fn, outline] of [
+      [Math.sin, this.colors.sine],
+      [Math.cos, this.colors.cosine],
+    ]) {
+      const y = layout.midY - fn(normalized) * layout.amplitude;
+      ctx.fillStyle = color;
+      ctx.beginPath();
+      ctx.arc(x, y, size, 0, 2 * Math.PI);
+      ctx.fill();
+      ctx.strokeStyle = outline;
+      ctx.stroke();
+    }
+  }
 }
 
-// Initialize the unit circle when the DOM is fully loaded
+// Initialize the unit circle when the DOM is fully loaded, on pages with
+// the full interface (pages embedding <unit-circle> elements have none)
 document.addEventListener("DOMContentLoaded", () => {
-  new UnitCircle();
+  if (document.getElementById("unitCircleCanvas")) new UnitCircle();
 });
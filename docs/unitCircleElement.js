@@ -0,0 +1,173 @@
+/**
+ * Unit Circle Element - The <unit-circle> custom element
+ * Embeds the circle and its sine/cosine graph in any page, without the info
+ * and controls panels, so several can sit side by side, e.g.
+ * <unit-circle angle="π/3" pins="π/6, 3π/4" show-coordinates="false">
+ *
+ * Attributes:
+ * - angle: the current angle, as typed in the angle box ("π/3", "60")
+ * - pins: comma-separated angles to pin
+ * - theme: one of UnitCircle's themes (default "auto")
+ * - locale: a language code from Locale.catalogues (default: the browser's)
+ * - one per display option in kebab case, e.g. show-coordinates or
+ *   polar-mode: present turns it on, "false" turns it off
+ *
+ * @author Tartuke
+ * @version 1.0.0
+ */
+
+class UnitCircleElement extends HTMLElement {
+  /** @type {string} The full page's stylesheet, found next to this script */
+  static stylesheetUrl = new URL(
+    "styles.css",
+    document.currentScript ? document.currentScript.src : document.baseURI
+  ).href;
+
+  /** @type {Object<string, string>} Display option keys by attribute name,
+   * e.g. "show-coordinates" → "showCoordinates" */
+  static optionAttributes = Object.fromEntries(
+    Object.keys(UnitCircle.defaultOptions).map((key) => [
+      key.replace(/[A-Z]/g, (letter) => `-${letter.toLowerCase()}`),
+      key,
+    ])
+  );
+
+  /**
+   * @returns {Array<string>} Attributes whose changes update the circle
+   */
+  static get observedAttributes() {
+    // Options first, since winding mode changes how angles are read
+    return [
+      ...Object.keys(UnitCircleElement.optionAttributes),
+      "theme",
+      "locale",
+      "angle",
+      "pins",
+    ];
+  }
+
+  /** @type {UnitCircle|null} The circle, created once the element is on the page */
+  unitCircle = null;
+
+  /**
+   * Build the shadow DOM and the circle the first time the element is
+   * added to a page, when it can be measured
+   */
+  connectedCallback() {
+    if (this.unitCircle) return; // Moved within the page
+    const shadow = this.attachShadow({ mode: "open" });
+    shadow.innerHTML = `
+      <link rel="stylesheet" href="${UnitCircleElement.stylesheetUrl}" />
+      <style>
+        :host {
+          display: block;
+        }
+        .wave-graph-container {
+          margin-top: 1rem;
+        }
+      </style>
+      <div class="unit-circle-container">
+        <canvas
+          id="unitCircleCanvas"
+          tabindex="0"
+          role="application"
+          data-i18n-aria-label="canvas.label"
+          aria-describedby="canvasInstructions"
+        ></canvas>
+        <p
+          id="canvasInstructions"
+          class="visually-hidden"
+          data-i18n="canvas.instructions"
+        ></p>
+        <div
+          id="angleAnnouncer"
+          class="visually-hidden"
+          aria-live="polite"
+          aria-atomic="true"
+        ></div>
+      </div>
+      <div class="wave-graph-container">
+        <canvas id="waveGraphCanvas"></canvas>
+      </div>
+    `;
+    this.unitCircle = new UnitCircle({ root: shadow, embedded: true });
+    for (const name of UnitCircleElement.observedAttributes) {
+      if (this.hasAttribute(name)) {
+        this.applyAttribute(name, this.getAttribute(name));
+      }
+    }
+    // The colors and canvas sizes come from the stylesheet, which finishes
+    // loading after the first drawing
+    shadow.querySelector("link").addEventListener("load", () => {
+      this.unitCircle.setTheme(this.unitCircle.theme);
+      this.unitCircle.resizeCanvas();
+    });
+  }
+
+  /**
+   * Drop the circle's document-level listeners when the element is removed
+   */
+  disconnectedCallback() {
+    if (this.unitCircle) this.unitCircle.cancelPointerDrag();
+  }
+
+  /**
+   * @param {string} name - The attribute
+   * @param {string|null} oldValue - Its previous value
+   * @param {string|null} value - Its new value, or null once removed
+   */
+  attributeChangedCallback(name, oldValue, value) {
+    if (this.unitCircle) this.applyAttribute(name, value);
+  }
+
+  /**
+   * Update the circle from one attribute. Like a shared link, unreadable
+   * angles are skipped rather than reported.
+   * @param {string} name - One of observedAttributes
+   * @param {string|null} value - The attribute's value, or null if absent
+   */
+  applyAttribute(name, value) {
+    const circle = this.unitCircle;
+    const readAngle = (text) => {
+      try {
+        return circle.parseAngleExpression(text);
+      } catch (error) {
+        return null;
+      }
+    };
+
+    if (name === "angle") {
+      const angle = readAngle(value || "0");
+      if (angle === null) return;
+      circle.setTypedAngle(angle);
+      circle.draw();
+    } else if (name === "pins") {
+      circle.pinnedAngles = (value || "")
+        .split(",")
+        .filter((text) => text.trim())
+        .map(readAngle)
+        .filter((angle) => angle !== null)
+        .map((angle) =>
+          circle.createPin(
+            circle.options.windingMode ? angle : circle.normalizeAngle(angle)
+          )
+        );
+      circle.selectedPinId = null;
+      circle.draw();
+    } else if (name === "theme") {
+      circle.setTheme(value || "auto");
+    } else if (name === "locale") {
+      circle.setLocale(
+        value || Locale.detect(navigator.languages || [navigator.language])
+      );
+    } else {
+      const key = UnitCircleElement.optionAttributes[name];
+      circle.setOption(
+        key,
+        value === null ? UnitCircle.defaultOptions[key] : value !== "false"
+      );
+    }
+  }
+}
+
+customElements.define("unit-circle", UnitCircleElement);
@@ -24,10 +24,20 @@ serve({
     // Serve different file types based on path
     if (url.pathname === "/" || url.pathname === "/index.html") {
       return serveStaticFile("docs/index.html", "text/html");
+    } else if (url.pathname === "/embed.html") {
+      return serveStaticFile("docs/embed.html", "text/html");
     } else if (url.pathname === "/styles.css") {
       return serveStaticFile("docs/styles.css", "text/css");
+    } else if (url.pathname === "/exactValues.js") {
+      return serveStaticFile("docs/exactValues.js", "text/javascript");
+    } else if (url.pathname === "/svgContext.js") {
+      return serveStaticFile("docs/svgContext.js", "text/javascript");
+    } else if (url.pathname === "/locale.js") {
+      return serveStaticFile("docs/locale.js", "text/javascript");
     } else if (url.pathname === "/unitCircle.js") {
       return serveStaticFile("docs/unitCircle.js", "text/javascript");
+    } else if (url.pathname === "/unitCircleElement.js") {
+      return serveStaticFile("docs/unitCircleElement.js", "text/javascript");
     } else {
       return new Response("Not found", { status: 404 });
     }
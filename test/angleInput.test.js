@@ -0,0 +1,93 @@
+import { beforeAll, describe, expect, test } from "bun:test";
+
+let circle;
+beforeAll(() => {
+  circle = new UnitCircle();
+  circle.setLocale("en");
+});
+
+/**
+ * @param {string} text - A typed angle
+ * @returns {number} The angle in degrees, to 6 decimal places
+ */
+const degrees = (text) =>
+  Number(((circle.parseAngleExpression(text) * 180) / Math.PI).toFixed(6));
+
+describe("evaluateExpression", () => {
+  test("follows precedence, parentheses and implicit multiplication", () => {
+    expect(circle.evaluateExpression("1 + 2 * 3").value).toBe(7);
+    expect(circle.evaluateExpression("(1 + 2)3").value).toBe(9);
+    expect(circle.evaluateExpression("-√3/2").value).toBeCloseTo(
+      -Math.sqrt(3) / 2,
+      12
+    );
+    expect(circle.evaluateExpression("2sqrt(3)/3").value).toBeCloseTo(
+      (2 * Math.sqrt(3)) / 3,
+      12
+    );
+  });
+
+  test("reads exponent notation", () => {
+    expect(circle.evaluateExpression("1e3").value).toBe(1000);
+    expect(circle.evaluateExpression("2.5E-1").value).toBe(0.25);
+  });
+
+  test("reports what the input contained", () => {
+    expect(circle.evaluateExpression("7π/6")).toMatchObject({
+      hasPi: true,
+      hasUnit: false,
+      mixesPlainTerms: false,
+    });
+    expect(circle.evaluateExpression("30°")).toMatchObject({
+      hasPi: false,
+      hasUnit: true,
+    });
+    expect(circle.evaluateExpression("π/3 + 30").mixesPlainTerms).toBe(true);
+  });
+
+  test("describes the first problem", () => {
+    expect(() => circle.evaluateExpression("")).toThrow("Enter an angle");
+    expect(() => circle.evaluateExpression("1/0")).toThrow("Division by zero");
+    expect(() => circle.evaluateExpression("(1 + 2")).toThrow('Missing ")"');
+    expect(() => circle.evaluateExpression("√(-1)")).toThrow(
+      "Square root of a negative number"
+    );
+    expect(() => circle.evaluateExpression("2 $")).toThrow('Unexpected "$"');
+  });
+});
+
+describe("parseAngleExpression", () => {
+  test("reads plain numbers as degrees", () => {
+    expect(degrees("210")).toBe(210);
+    expect(degrees("-45.5")).toBe(-45.5);
+    expect(degrees("1e3")).toBe(1000);
+  });
+
+  test("reads π and units as radians", () => {
+    expect(degrees("7π/6")).toBe(210);
+    expect(degrees("7pi/6")).toBe(210);
+    expect(degrees("-3π/4")).toBe(-135);
+    expect(degrees("π/3 + 2π")).toBe(420);
+    expect(degrees("π/3 + 30°")).toBe(90);
+    expect(degrees("(1 + 1)π")).toBe(360);
+    expect(circle.parseAngleExpression("1.2 rad")).toBeCloseTo(1.2, 12);
+  });
+
+  test("rejects sums of π terms and plain numbers", () => {
+    for (const text of ["π/3 + 30", "30 + π", "2(π + 1)"]) {
+      expect(() => circle.parseAngleExpression(text)).toThrow(
+        "Give the plain numbers a unit"
+      );
+    }
+  });
+
+  test("reads decimal commas in languages that use them", () => {
+    circle.setLocale("es");
+    try {
+      expect(degrees("22,5")).toBe(22.5);
+      expect(degrees("1,5 grados")).toBe(1.5);
+    } finally {
+      circle.setLocale("en");
+    }
+  });
+});
@@ -0,0 +1,119 @@
+import { beforeAll, describe, expect, test } from "bun:test";
+
+let circle;
+beforeAll(() => {
+  circle = new UnitCircle();
+  circle.setLocale("en");
+});
+
+/**
+ * Solve an equation on [0, 2π)
+ * @param {string} text - The equation
+ * @returns {{general: Array<string>, solutions: Array<string>, kText: string}}
+ *   The general solutions as "base + step·k" and the solutions, as π fractions
+ */
+const solve = (text) => {
+  const { general, solutions, kText } = circle.solveTrigEquation(
+    circle.parseTrigEquation(text),
+    0,
+    2 * Math.PI
+  );
+  return {
+    general: general.map(
+      ({ base, step }) =>
+        `${circle.formatPiFraction(base)} + ${circle.formatPiFraction(step)}`
+    ),
+    solutions: solutions.map((angle) => circle.formatPiFraction(angle)),
+    kText,
+  };
+};
+
+describe("parseTrigEquation", () => {
+  test("reduces the equation to fn(nθ + c) = k", () => {
+    const equation = circle.parseTrigEquation("2 sin(3θ + π/2) + 1 = 0");
+    expect(equation.fn).toBe("sin");
+    expect(equation.n).toBeCloseTo(3, 12);
+    expect(equation.c).toBeCloseTo(Math.PI / 2, 12);
+    expect(equation.k).toBeCloseTo(-0.5, 12);
+  });
+
+  test("accepts sen and terms on both sides", () => {
+    const equation = circle.parseTrigEquation("sen x = 1 - sen x");
+    expect(equation).toMatchObject({ fn: "sin", n: 1, c: 0 });
+    expect(equation.k).toBeCloseTo(0.5, 12);
+  });
+
+  test("explains the forms it cannot solve", () => {
+    const message = (text) => {
+      try {
+        circle.parseTrigEquation(text);
+        return null;
+      } catch (error) {
+        return error.message;
+      }
+    };
+    expect(message("sin θ")).toStartWith("Write one equation");
+    expect(message("θ = 1")).toStartWith("Include sin, cos or tan");
+    expect(message("sin θ = cos θ")).toStartWith("Use only one");
+    expect(message("sin θ sin θ = 1")).toStartWith(
+      "The equation must be linear"
+    );
+    expect(message("sin θ - sin θ = 1")).toBe("The sin terms cancel out");
+    expect(message("1/sin θ = 2")).toStartWith("Dividing by sin");
+    expect(message("3/(2 cos θ) = 1")).toStartWith("Dividing by cos");
+    expect(message("sin θ / 0 = 1")).toBe("Division by zero");
+  });
+});
+
+describe("solveTrigEquation", () => {
+  test("finds both solutions of sin θ = k in one turn", () => {
+    expect(solve("2 sin θ + 1 = 0")).toEqual({
+      general: ["7π/6 + 2π", "11π/6 + 2π"],
+      solutions: ["7π/6", "11π/6"],
+      kText: "-1/2",
+    });
+  });
+
+  test("divides the period by the coefficient of θ", () => {
+    expect(solve("cos 2θ = 1/2").solutions).toEqual([
+      "π/6",
+      "5π/6",
+      "7π/6",
+      "11π/6",
+    ]);
+  });
+
+  test("merges families half a period apart", () => {
+    expect(solve("sin θ = 0")).toMatchObject({
+      general: ["0 + π"],
+      solutions: ["0", "π"],
+    });
+    expect(solve("tan θ = 1").general).toEqual(["π/4 + π"]);
+  });
+
+  test("has no solutions out of range", () => {
+    expect(solve("sin θ = 2").solutions).toEqual([]);
+  });
+
+  test("keeps to the interval", () => {
+    const { solutions } = circle.solveTrigEquation(
+      circle.parseTrigEquation("tan θ = 1"),
+      -Math.PI,
+      Math.PI
+    );
+    expect(solutions.map((angle) => circle.formatPiFraction(angle))).toEqual([
+      "-3π/4",
+      "π/4",
+    ]);
+  });
+
+  test("refuses to pin too many solutions", () => {
+    expect(() =>
+      circle.solveTrigEquation(
+        circle.parseTrigEquation("sin 100θ = 0"),
+        0,
+        100 * Math.PI
+      )
+    ).toThrow("Too many solutions");
+  });
+});
@@ -0,0 +1,119 @@
+import { describe, expect, test } from "bun:test";
+
+/**
+ * @param {number} numerator
+ * @param {number} denominator
+ * @returns {Object<string, string|null|undefined>} values(), as text
+ */
+const valueStrings = (numerator, denominator) =>
+  Object.fromEntries(
+    Object.entries(ExactTrig.values(numerator, denominator)).map(
+      ([fn, value]) => [fn, value ? value.toString() : value]
+    )
+  );
+
+describe("Rational", () => {
+  test("stays in lowest terms with a positive denominator", () => {
+    const half = new Rational(6n, -4n);
+    expect(half.toString()).toBe("-3/2");
+    expect(half.toNumber()).toBe(-1.5);
+    expect(half.add(new Rational(1n, 2n)).toString()).toBe("-1");
+    expect(half.mul(new Rational(-2n, 3n)).toString()).toBe("1");
+  });
+});
+
+describe("ExactValue", () => {
+  test("pulls square factors out of radicals", () => {
+    const root = ExactValue.sqrt(ExactValue.rational(12n));
+    expect(root.toString()).toBe("2√3");
+    expect(root.toNumber()).toBeCloseTo(Math.sqrt(12), 12);
+  });
+
+  test("rationalizes reciprocals", () => {
+    const value = ExactValue.sqrt(ExactValue.rational(2n)).add(
+      ExactValue.rational(1n)
+    );
+    expect(value.inverse().toString()).toBe("√2-1");
+    expect(ExactValue.rational(0n).inverse()).toBeNull();
+  });
+});
+
+describe("ExactTrig.values", () => {
+  test("gives all six functions of the standard angles", () => {
+    expect(valueStrings(1, 6)).toEqual({
+      sin: "1/2",
+      cos: "√3/2",
+      tan: "√3/3",
+      csc: "2",
+      sec: "2√3/3",
+      cot: "√3",
+    });
+    expect(valueStrings(7, 6)).toEqual({
+      sin: "-1/2",
+      cos: "-√3/2",
+      tan: "√3/3",
+      csc: "-2",
+      sec: "-2√3/3",
+      cot: "√3",
+    });
+  });
+
+  test("writes nested radicals for angles beyond the standard set", () => {
+    expect(valueStrings(1, 12)).toMatchObject({
+      sin: "(√6-√2)/4",
+      tan: "2-√3",
+      csc: "√6+√2",
+    });
+    expect(valueStrings(1, 5)).toMatchObject({
+      sin: "√(10-2√5)/4",
+      cos: "(1+√5)/4",
+      sec: "√5-1",
+    });
+  });
+
+  test("leaves undefined functions null", () => {
+    expect(valueStrings(1, 2)).toMatchObject({ tan: null, sec: null });
+    expect(valueStrings(1, 1)).toMatchObject({ csc: null, cot: null });
+  });
+
+  test("skips reciprocals too costly to rationalize", () => {
+    expect(valueStrings(1, 60)).toMatchObject({
+      tan: undefined,
+      csc: undefined,
+      sec: undefined,
+      cot: undefined,
+    });
+    expect(ExactTrig.values(1, 60).sin.toNumber()).toBeCloseTo(
+      Math.sin(Math.PI / 60),
+      12
+    );
+  });
+
+  test("memoizes by the reduced angle", () => {
+    const values = ExactTrig.values(1, 6);
+    expect(ExactTrig.values(2, 12)).toBe(values);
+    expect(ExactTrig.values(13, 6)).toBe(values);
+  });
+
+  test("has no exact form for non-constructible angles", () => {
+    expect(ExactTrig.values(1, 7)).toBeNull();
+  });
+});
+
+describe("ExactTrig.matchPiFraction", () => {
+  test("recognizes multiples of π in lowest terms", () => {
+    expect(ExactTrig.matchPiFraction((14 * Math.PI) / 12)).toEqual({
+      numerator: 7,
+      denominator: 6,
+    });
+    expect(ExactTrig.matchPiFraction(1)).toBeNull();
+  });
+
+  test("matches angles without exact values only on request", () => {
+    expect(ExactTrig.matchPiFraction(Math.PI / 7)).toBeNull();
+    expect(ExactTrig.matchPiFraction(Math.PI / 7, 1e-9, false)).toEqual({
+      numerator: 1,
+      denominator: 7,
+    });
+  });
+});
@@ -0,0 +1,77 @@
+import { beforeEach, describe, expect, test } from "bun:test";
+
+let circle;
+beforeEach(() => {
+  localStorage.clear();
+  history.replaceState(null, "", location.pathname);
+  circle = new UnitCircle();
+  circle.setLocale("en");
+});
+
+/**
+ * @returns {Array<Object>} The pins' angles in degrees and annotations
+ */
+const pinSummary = () =>
+  circle.pinnedAngles.map(({ angleInfo, name, color, note }) => ({
+    degrees: Number(angleInfo.degrees.toFixed(9)),
+    name,
+    color,
+    note,
+  }));
+
+describe("JSON export", () => {
+  test("round-trips exact and typed angles with their annotations", () => {
+    circle.importPinsJson(
+      JSON.stringify([
+        { angle: "3pi/4", name: 'A, "quoted"', note: "line 1\nline 2" },
+        { degrees: 17, color: "#e67e22" },
+        { angle: 4 },
+      ])
+    );
+    const before = pinSummary();
+    const json = circle.exportPinsJson();
+    expect(JSON.parse(json).pins[0]).toMatchObject({
+      angle: "3pi/4",
+      degrees: 135,
+    });
+
+    circle.importPinsJson(json);
+    expect(pinSummary()).toEqual(before);
+    expect(circle.pinnedAngles[1].angleInfo.degrees).toBeCloseTo(17, 12);
+    expect(circle.exportPinsJson()).toBe(json);
+  });
+
+  test("keeps the pins when an entry is invalid", () => {
+    circle.importPinsJson('[{"degrees": 30}]');
+    for (const [text, message] of [
+      ["{x", "Could not read JSON"],
+      ['[{"angle": "3pi/4"}, {"angle": "abc"}]', "Entry 2"],
+      ['[{"degrees": 30, "color": "red"}]', "Entry 1"],
+      ['[{"angle": 1, "name": 3}]', '"name"'],
+    ]) {
+      expect(() => circle.importPinsJson(text)).toThrow(message);
+    }
+    expect(pinSummary().map((pin) => pin.degrees)).toEqual([30]);
+  });
+});
+
+describe("CSV export", () => {
+  test("writes exact values, decimals and quoted text", () => {
+    circle.importPinsJson(
+      JSON.stringify([
+        { angle: "7pi/6", name: "a, b" },
+        { angle: "pi/60" },
+        { degrees: 17 },
+      ])
+    );
+    const [header, ...rows] = circle.exportPinsCsv().split("\r\n");
+    expect(header).toBe(
+      "Name,Degrees,Radians,Radians (decimal),Coordinates,sin,cos,tan,csc,sec,cot,Note"
+    );
+    expect(rows[0]).toBe(
+      '"a, b",210,7π/6,3.665191,"(-√3/2, -1/2)",-1/2,-√3/2,√3/3,-2,-2√3/3,√3,'
+    );
+    expect(rows[1]).toStartWith(",3,π/60,0.052360,");
+    expect(rows[2]).toStartWith(",17,0.296706,0.296706,");
+  });
+});
@@ -0,0 +1,47 @@
+// Loads the page's scripts into a simulated browser, as docs/index.html does
+import { GlobalRegistrator } from "@happy-dom/global-registrator";
+import { readFileSync } from "fs";
+import { join } from "path";
+
+GlobalRegistrator.register({ url: "http://localhost:3001/" });
+
+const docs = join(import.meta.dir, "..", "docs");
+const page = readFileSync(join(docs, "index.html"), "utf8");
+document.body.innerHTML = page
+  .slice(page.indexOf("<body>") + 6, page.indexOf("</body>"))
+  .replace(/<script[^>]*><\/script>/g, "");
+
+// The theme colors are read from the stylesheet
+const style = document.createElement("style");
+style.textContent = readFileSync(join(docs, "styles.css"), "utf8");
+document.head.append(style);
+
+// The simulated browser neither lays out nor draws: give every element a
+// size and the canvases a drawing context that records nothing
+Element.prototype.getBoundingClientRect = () => new DOMRect(0, 0, 400, 400);
+HTMLCanvasElement.prototype.getContext = function () {
+  const context = {
+    measureText: (text) => ({ width: String(text).length * 7 }),
+    getLineDash: () => [],
+    createLinearGradient: () => ({ addColorStop() {} }),
+  };
+  return new Proxy(context, {
+    get: (target, key) => (key in target ? target[key] : () => {}),
+    set: (target, key, value) => {
+      target[key] = value;
+      return true;
+    },
+  });
+};
+
+// Classes declared by the scripts become globals, as they are on the page
+for (const [file, names] of [
+  ["exactValues.js", ["Rational", "ExactValue", "ExactTrig"]],
+  ["svgContext.js", ["SvgContext"]],
+  ["locale.js", ["Locale"]],
+  ["unitCircle.js", ["UnitCircle"]],
+]) {
+  const source = readFileSync(join(docs, file), "utf8");
+  const exports = names.map((name) => `globalThis.${name} = ${name};`);
+  (0, eval)(`${source}\n${exports.join("\n")}`);
+}
@@ -0,0 +1,43 @@
+import { beforeEach, describe, expect, test } from "bun:test";
+
+let circle;
+beforeEach(() => {
+  localStorage.clear();
+  history.replaceState(null, "", location.pathname);
+  circle = new UnitCircle();
+  circle.setLocale("en");
+});
+
+describe("URL state", () => {
+  test("round-trips pins, selection and options", () => {
+    circle.importPinsJson(
+      JSON.stringify([
+        { angle: "3pi/4", name: "first" },
+        { angle: "-pi/2" },
+        { degrees: 17 },
+      ])
+    );
+    circle.selectedPinId = circle.pinnedAngles[1].id;
+    circle.setOption("showCoordinates", false);
+    const state = circle.serializeState();
+    expect(state).toContain("pins=3pi/4,3pi/2,");
+    expect(state).toContain("off=showCoordinates");
+
+    const copy = new UnitCircle();
+    copy.applyState(state);
+    expect(copy.serializeState()).toBe(state);
+    expect(copy.pinnedAngles.map((pin) => pin.name)).toEqual(["first", "", ""]);
+    expect(copy.options.showCoordinates).toBe(false);
+  });
+
+  test("writes angles as π fractions where it can", () => {
+    expect(circle.formatAngleParam((3 * Math.PI) / 4)).toBe("3pi/4");
+    expect(circle.formatAngleParam(-Math.PI / 2)).toBe("-pi/2");
+    expect(circle.formatAngleParam(0.5)).toBe("0.5");
+    for (const text of ["3pi/4", "-pi/2", "pi", "0.5"]) {
+      expect(circle.formatAngleParam(circle.parseAngleParam(text))).toBe(text);
+    }
+    expect(circle.parseAngleParam("pi/0")).toBeNull();
+    expect(circle.parseAngleParam("abc")).toBeNull();
+  });
+});
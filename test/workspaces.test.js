@@ -0,0 +1,40 @@
+import { beforeEach, describe, expect, test } from "bun:test";
+
+let circle;
+beforeEach(() => {
+  localStorage.clear();
+  history.replaceState(null, "", location.pathname);
+  circle = new UnitCircle();
+  circle.setLocale("en");
+});
+
+describe("workspaces and history", () => {
+  test("open an untagged link in its own workspace", () => {
+    history.replaceState(null, "", "#pins=pi/4");
+    const opened = new UnitCircle();
+    expect(Object.keys(opened.workspaces.states)).toEqual([
+      "Default",
+      "Shared link",
+    ]);
+    expect(opened.workspaces.active).toBe("Shared link");
+    expect(opened.pinnedAngles).toHaveLength(1);
+  });
+
+  test("reload their own entries into the workspace they name", () => {
+    circle.createWorkspace("B");
+    history.replaceState({ workspace: "B" }, "", "#pins=pi/4");
+    const reloaded = new UnitCircle();
+    expect(Object.keys(reloaded.workspaces.states)).toEqual(["Default", "B"]);
+    expect(reloaded.workspaces.active).toBe("B");
+    expect(reloaded.serializeState()).toBe("pins=pi/4");
+  });
+
+  test("bring the URL back in step on entries of deleted workspaces", () => {
+    circle.importPinsJson('[{"angle": "pi/3"}]');
+    history.replaceState({ workspace: "Gone" }, "", "#pins=pi");
+    circle.restoreStateFromUrl();
+    expect(circle.serializeState()).toBe("pins=pi/3");
+    expect(location.hash).toBe("#pins=pi/3");
+    expect(history.state).toEqual({ workspace: "Default" });
+  });
+});